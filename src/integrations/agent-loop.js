@@ -0,0 +1,242 @@
+import { DQLLinter } from './dql-linter.js';
+import { ProblemQuery, SEVERITY_LEVELS, IMPACT_LEVELS } from './problem-query.js';
+import { VulnerabilityQuery, RISK_LEVELS, EXPOSURES } from './vulnerability-query.js';
+import { MetricQuery, METRIC_CATALOG } from './metric-query.js';
+import { LogQuery, LOG_LEVELS } from './log-query.js';
+import { LogClusterer } from './log-clusterer.js';
+
+// Lets the LLM drive Dynatrace: the model picks tools, sees their results and iterates
+// until it can answer, bounded by maxSteps
+export class AgentLoop {
+  constructor({ ollama, backend, knowledgeBase, maxSteps = 5 }) {
+    this.ollama = ollama;
+    this.backend = backend;
+    this.knowledgeBase = knowledgeBase;
+    this.maxSteps = maxSteps;
+    this.maxResultChars = 6000; // keep tool output within the model's context window
+    this.linter = new DQLLinter();
+    this.clusterer = new LogClusterer();
+
+    this.tools = {
+      list_problems: {
+        description: 'List Davis problems (incidents) detected by Dynatrace. Use for questions about current or recent problems, alerts or outages.',
+        parameters: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['OPEN', 'CLOSED'], description: 'Only problems with this status' },
+            severity: { type: 'string', description: `Comma-separated severity levels: ${SEVERITY_LEVELS.join(', ')}` },
+            impactLevel: { type: 'string', enum: IMPACT_LEVELS, description: 'Only problems with this impact level' },
+            managementZone: { type: 'string', description: 'Management zone name' },
+            entitySelector: { type: 'string', description: 'Dynatrace entity selector, e.g. entityId("SERVICE-1234567890ABCDEF") or type("HOST")' },
+            from: { type: 'string', description: 'Start of the timeframe, e.g. now-2h, now-24h, now-7d' }
+          }
+        },
+        run: (args) => this.backend.listProblems(new ProblemQuery({ ...args, maxProblems: 50 }).toParams())
+      },
+      execute_dql: {
+        description: 'Run a Dynatrace Query Language statement against Grail. Use for logs, events, spans, entities and anything the other tools do not cover.',
+        parameters: {
+          type: 'object',
+          properties: {
+            dqlStatement: { type: 'string', description: 'DQL statement, e.g. fetch logs | filter loglevel == "ERROR" | limit 20' }
+          },
+          required: ['dqlStatement']
+        },
+        run: (args) => {
+          const lint = this.linter.lint(args.dqlStatement);
+          if (!lint.valid) {
+            throw new Error(lint.errors.map(error => `DQL syntax error at line ${error.line}, column ${error.column}: ${error.message}`).join('; '));
+          }
+          return this.backend.executeDQL(args.dqlStatement, { maxResultRecords: 50 });
+        }
+      },
+      get_problem_details: {
+        description: 'Get one problem with its evidence, impacted entities, comments and root cause by problem ID or display ID (e.g. P-25096554).',
+        parameters: {
+          type: 'object',
+          properties: {
+            problemId: { type: 'string', description: 'Problem ID or display ID' }
+          },
+          required: ['problemId']
+        },
+        run: (args) => this.backend.getProblemDetails(args.problemId)
+      },
+      list_vulnerabilities: {
+        description: 'List open security vulnerabilities (CVEs) with risk, exposure, affected process groups, libraries and remediation. Use for security questions.',
+        parameters: {
+          type: 'object',
+          properties: {
+            riskLevel: { type: 'string', description: `Comma-separated risk levels: ${RISK_LEVELS.join(', ')}` },
+            minRiskScore: { type: 'number', description: 'Minimum Davis risk score (0-10)' },
+            exposure: { type: 'string', enum: EXPOSURES, description: 'PUBLIC_NETWORK for internet-exposed only' },
+            fixAvailable: { type: 'boolean', description: 'Only vulnerabilities with (true) or without (false) a fix' }
+          }
+        },
+        run: (args) => this.backend.listVulnerabilities(new VulnerabilityQuery({ ...args, maxVulnerabilities: 20 }).toParams())
+      },
+      search_logs: {
+        description: 'Search log lines by level, text, entity and timeframe. Returns recurring message patterns (numbers and IDs masked) with counts, first/last seen and samples. Use for error logs and log patterns.',
+        parameters: {
+          type: 'object',
+          properties: {
+            level: { type: 'string', description: `Comma-separated log levels: ${LOG_LEVELS.join(', ')}` },
+            content: { type: 'string', description: 'Text the log line must contain, e.g. timeout' },
+            entityIds: { type: 'string', description: 'Comma-separated entity IDs the lines must come from, e.g. SERVICE-1234567890ABCDEF' },
+            from: { type: 'string', description: 'Start of the timeframe, e.g. now-1h, now-24h' }
+          }
+        },
+        run: async (args) => {
+          const { records } = await this.backend.searchLogs(new LogQuery(args).toParams());
+          return { lineCount: records.length, patterns: this.clusterer.cluster(records).slice(0, 15) };
+        }
+      },
+      query_metrics: {
+        description: 'Get a metric time series (response time, failure rate, throughput, CPU, memory, disk) for entities over a timeframe. Use find_entities first to get an entity ID.',
+        parameters: {
+          type: 'object',
+          properties: {
+            metricSelector: { type: 'string', description: `Metric key or selector, e.g. ${METRIC_CATALOG.map(metric => metric.key).join(', ')}` },
+            entitySelector: { type: 'string', description: 'Dynatrace entity selector, e.g. entityId("SERVICE-1234567890ABCDEF")' },
+            from: { type: 'string', description: 'Start of the timeframe, e.g. now-2h, now-24h, now-7d' }
+          },
+          required: ['metricSelector']
+        },
+        run: (args) => this.backend.queryMetrics(new MetricQuery({ ...args, resolution: 30 }).toParams())
+      },
+      find_entities: {
+        description: 'Find monitored entities (services, hosts, process groups, applications) by name to get their IDs. Use before get_entity_details when you only know a name.',
+        parameters: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Part of the entity name, e.g. checkout' },
+            type: { type: 'string', enum: ['SERVICE', 'HOST', 'PROCESS_GROUP', 'APPLICATION'], description: 'Entity type' }
+          },
+          required: ['name']
+        },
+        run: (args) => this.backend.searchEntities({ name: args.name, type: args.type, limit: 20 })
+      },
+      get_entity_details: {
+        description: 'Get properties, tags and relationships (calls, called by, runs on) of a monitored entity by its ID (e.g. SERVICE-1234567890ABCDEF). Follow relationship IDs to explore dependencies.',
+        parameters: {
+          type: 'object',
+          properties: {
+            entityId: { type: 'string', description: 'Dynatrace entity ID' }
+          },
+          required: ['entityId']
+        },
+        run: (args) => this.backend.getEntityDetails(args.entityId)
+      }
+    };
+  }
+
+  // allowTool(name) limits the model to the tools the user's roles permit
+  toolDefinitions(allowTool = null) {
+    return Object.entries(this.tools).filter(([name]) => !allowTool || allowTool(name)).map(([name, tool]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  buildSystemPrompt() {
+    const examples = this.knowledgeBase?.generalPatterns.dynatrace.commonQueries || [];
+    return `You are an expert Dynatrace consultant with access to live Dynatrace data through tools.
+Use the tools to look up facts before answering questions about problems, logs, entities or services - never invent problem IDs, entity IDs or numbers.
+Call one tool at a time, read the result, and call another only if you still need more data.
+When you have enough information, answer concisely with concrete findings and recommended next steps.
+
+DQL examples:
+${examples.map(example => `- ${example.question}: ${example.dql}`).join('\n')}`;
+  }
+
+  // quota.consume('llm' | 'dynatrace') is charged per model call and per tool call; its RateLimitError ends the run
+  async run(message, { history = [], onProgress = null, allowTool = null, quota = null } = {}) {
+    const messages = [
+      { role: 'system', content: this.buildSystemPrompt() },
+      ...history,
+      { role: 'user', content: message }
+    ];
+    const toolCalls = [];
+    const tools = this.toolDefinitions(allowTool);
+
+    for (let step = 1; step <= this.maxSteps; step++) {
+      await quota?.consume('llm');
+      const reply = await this.ollama.chatWithTools(messages, tools);
+      messages.push(reply);
+
+      if (!reply.tool_calls?.length) {
+        return { message: reply.content, toolCalls, steps: step };
+      }
+
+      for (const call of reply.tool_calls) {
+        const name = call.function?.name;
+        const args = this.parseArguments(call.function?.arguments);
+        onProgress?.('tool_call', `Running ${name}...`);
+
+        const record = await this.executeTool(name, args, allowTool, quota);
+        toolCalls.push(record);
+        messages.push({ role: 'tool', tool_name: name, content: record.output });
+      }
+    }
+
+    // Out of steps - make the model answer with what it has gathered
+    console.log(`⚠️ Agent reached ${this.maxSteps} steps, forcing a final answer`);
+    messages.push({ role: 'user', content: 'You have used all available tool calls. Answer now using only the results above.' });
+    await quota?.consume('llm');
+    const finalReply = await this.ollama.chatWithTools(messages, []);
+    return { message: finalReply.content, toolCalls, steps: this.maxSteps, stepLimitReached: true };
+  }
+
+  parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // The Dynatrace quota is only charged for calls that pass the checks and actually run
+  async executeTool(name, args, allowTool = null, quota = null) {
+    const startTime = Date.now();
+    const record = { name, arguments: args, ok: false, durationMs: 0 };
+    const tool = this.tools[name];
+
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool "${name}". Available tools: ${Object.keys(this.tools).join(', ')}`);
+      }
+      if (allowTool && !allowTool(name)) {
+        throw new Error(`Tool "${name}" is not permitted for this user`);
+      }
+      for (const required of tool.parameters.required || []) {
+        if (!args[required]) {
+          throw new Error(`Missing required argument "${required}"`);
+        }
+      }
+
+      await quota?.consume('dynatrace');
+      console.log(`🔧 Agent tool call: ${name}(${JSON.stringify(args)})`);
+      const result = await tool.run(args);
+      record.ok = true;
+      record.output = this.truncate(JSON.stringify(result));
+    } catch (error) {
+      if (error.rateLimited) throw error; // out of quota ends the run; a throttled Dynatrace call goes back to the model
+      // Errors go back to the model so it can correct itself (e.g. fix a DQL syntax error)
+      console.error(`❌ Agent tool ${name} failed:`, error.message);
+      record.error = error.message;
+      record.output = JSON.stringify({ error: error.message });
+    }
+
+    record.durationMs = Date.now() - startTime;
+    return record;
+  }
+
+  truncate(text) {
+    if (text.length <= this.maxResultChars) return text;
+    return `${text.substring(0, this.maxResultChars)}... [truncated ${text.length - this.maxResultChars} characters]`;
+  }
+}
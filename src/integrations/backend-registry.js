@@ -0,0 +1,60 @@
+import { DynatraceAPI } from './dynatrace-api.js';
+import { DynatraceMCPBridge } from './dynatrace-mcp-bridge.js';
+import { MockBackend } from './mock-backend.js';
+
+// Every Dynatrace backend implements these methods and returns raw data (no chat formatting):
+//   listProblems(params)          -> { problems, totalCount }  (params: see ProblemQuery)
+//   getProblemDetails(problemId)  -> problem incl. evidenceDetails, impactAnalysis, recentComments
+//   executeDQL(query, options)    -> { records, fields, stats, notifications }
+//   getEntityDetails(entityId)    -> entity
+//   searchEntities(params)        -> { entities, totalCount }  (params: ids | type, name, limit)
+//   queryMetrics(params)          -> { resolution, result: [{ metricId, data: [{ dimensionMap, timestamps, values }] }] }
+//   searchLogs(params)            -> { records: [{ timestamp, loglevel, content, dt.entity.* }] }  (params: see LogQuery; newest first)
+//   listVulnerabilities(params)   -> { securityProblems, totalCount }  (params: see VulnerabilityQuery; incl. remediation details)
+//   getEnvironment()              -> { environmentId, state, createTime }
+export const BACKEND_METHODS = [
+  'listProblems',
+  'getProblemDetails',
+  'executeDQL',
+  'getEntityDetails',
+  'searchEntities',
+  'queryMetrics',
+  'searchLogs',
+  'listVulnerabilities',
+  'getEnvironment'
+];
+
+export class BackendRegistry {
+  constructor() {
+    this.factories = new Map();
+
+    this.register('rest', config => new DynatraceAPI(config));
+    this.register('mcp', config => new DynatraceMCPBridge(config));
+    this.register('mock', config => new MockBackend(config));
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  list() {
+    return [...this.factories.keys()];
+  }
+
+  create(name, config = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown Dynatrace backend "${name}" (available: ${this.list().join(', ')})`);
+    }
+
+    const backend = factory(config);
+    const missing = BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Dynatrace backend "${name}" does not implement: ${missing.join(', ')}`);
+    }
+
+    backend.backendName = name;
+    console.log(`🔌 Dynatrace backend: ${name}`);
+    return backend;
+  }
+}
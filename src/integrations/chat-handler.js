@@ -1,6 +1,30 @@
 import { KnowledgeBase } from './knowledge-base.js';
 import { OllamaClient } from './ollama-client.js';
-import { DynatraceMCPBridge } from "./dynatrace-mcp-bridge.js";
+import { BackendRegistry } from './backend-registry.js';
+import { DynatraceExecutor } from './dynatrace-executor.js';
+import { ENTITY_ID_PATTERN, PROBLEM_ID_PATTERN, VULNERABILITY_ID_PATTERN } from './dynatrace-ids.js';
+import { AgentLoop } from './agent-loop.js';
+import { DQLGenerator } from './dql-generator.js';
+import { ReferenceResolver } from './reference-resolver.js';
+import { ContextWindow } from './context-window.js';
+import { ChatResponse } from './chat-response.js';
+import { QueryCache } from './query-cache.js';
+
+// The tool a keyword-routed query runs, for role checks; other query types only generate text
+const QUERY_TYPE_TOOLS = {
+  dql: 'execute_dql',
+  problems: 'list_problems',
+  problem_details: 'get_problem_details',
+  logs: 'search_logs',
+  vulnerabilities: 'list_vulnerabilities',
+  metrics: 'query_metrics',
+  entities: 'get_entity_details',
+  entity_search: 'find_entities',
+  topology: 'get_entity_details'
+};
+
+// Query types answered by generating DQL with the model rather than by calling Dynatrace
+const LLM_QUERY_TYPES = ['generate_dql', 'natural_language'];
 
 export class ChatHandler {
   constructor({ redis, dynatraceConfig, ollamaConfig, mcpTools = null }) {
@@ -11,26 +35,81 @@ export class ChatHandler {
     // Initialize sub-components
     this.knowledgeBase = new KnowledgeBase();
     this.ollama = new OllamaClient(ollamaConfig);
-    this.dynatraceMCP = new DynatraceMCPBridge(dynatraceConfig);  // <- This was missing!
+    this.backends = new BackendRegistry();
+    const backendName = dynatraceConfig.backend || 'rest';
+    this.cache = new QueryCache({ redis, scope: backendName });
+    this.backend = this.cache.cacheBackend(this.backends.create(backendName, dynatraceConfig));
+    this.dqlGenerator = new DQLGenerator({ ollama: this.ollama, knowledgeBase: this.knowledgeBase });
+    this.dynatrace = new DynatraceExecutor(this.backend, { redis, dqlGenerator: this.dqlGenerator });
+
+    // Tool-calling agent: the model decides which Dynatrace calls to make
+    this.agent = ollamaConfig.toolCalling
+      ? new AgentLoop({
+        ollama: this.ollama,
+        backend: this.backend,
+        knowledgeBase: this.knowledgeBase,
+        maxSteps: ollamaConfig.maxToolSteps
+      })
+      : null;
     
+    // Conversation memory: earlier turns are fitted into the model's context window
+    this.references = new ReferenceResolver();
+    this.contextWindow = new ContextWindow({
+      numCtx: this.ollama.config.numCtx,
+      reservedTokens: this.ollama.config.numPredict + 256,
+      resolver: this.references
+    });
+
     // Store reference to actual MCP tools
     this.mcpTools = mcpTools;
   }
 
-  async handleMessage(message, sessionId) {
+  // Returns a ChatResponse. options.onProgress(stage, message) and options.onToken(text) let streaming
+  // clients follow along; options.history holds the session's earlier turns ({ role, content });
+  // options.allowTool(name) says which Dynatrace tools the user's roles permit; options.quota.consume(budget)
+  // charges the 'dynatrace' and 'llm' rate limits and throws a RateLimitError (rateLimited) when one is used up
+  async handleMessage(message, sessionId, options = {}) {
+    const startTime = Date.now();
+    const response = await this.routeMessage(message, sessionId, options);
+    response.timings.totalMs = Date.now() - startTime;
+    return response;
+  }
+
+  async routeMessage(message, sessionId, options = {}) {
     try {
+      // "the second one" -> "the second one (P-1234)" using IDs from earlier answers
+      message = this.references.resolve(message, options.history || []).message;
+
+      this.reportProgress(options, 'classifying', 'Classifying request...');
       const requestType = this.classifyRequest(message);
       console.log(`🧠 Request classified as: ${requestType}`);
 
       switch (requestType) {
-        case 'dynatrace_query':
-          return this.handleDynatraceQuery(message, sessionId);
+        case 'dynatrace_query': {
+          // Lint pasted DQL up front: errors come back with line/column and skip cache, backend and analysis
+          const dqlQuery = this.dynatrace.extractDQLFromMessage(message);
+          const lint = dqlQuery && this.dynatrace.linter.lint(dqlQuery);
+          if (lint && !lint.valid) {
+            return this.formatResponse(this.dynatrace.formatLintErrors(dqlQuery, lint), 'dql-lint', sessionId);
+          }
+
+          // Raw DQL runs as-is and requested DQL is shown for review; everything else lets the model pick its own queries
+          if (this.agent && !['dql', 'generate_dql'].includes(this.dynatrace.detectQueryType(message))) {
+            return this.handleAgentQuery(message, sessionId, options,
+              () => this.handleDynatraceQuery(message, sessionId, options));
+          }
+          return this.handleDynatraceQuery(message, sessionId, options);
+        }
         
         case 'knowledge_query':
           return this.handleKnowledgeQuery(message, sessionId);
         
         case 'ollama_chat':
-          return this.handleOllamaChat(message, sessionId);
+          if (this.agent) {
+            return this.handleAgentQuery(message, sessionId, options,
+              () => this.handleOllamaChat(message, sessionId, options));
+          }
+          return this.handleOllamaChat(message, sessionId, options);
         
         case 'general_help':
           return this.handleGeneralHelp(message, sessionId);
@@ -39,19 +118,28 @@ export class ChatHandler {
           return this.handleDefault(message, sessionId);
       }
     } catch (error) {
+      if (error.rateLimited) throw error; // rate limits are answered with 429 by the server
       console.error('Chat handler error:', error);
       return this.formatErrorResponse(error);
     }
   }
 
+  reportProgress(options, stage, message) {
+    if (options.onProgress) {
+      options.onProgress(stage, message);
+    }
+  }
+
   classifyRequest(message) {
     const msg = message.toLowerCase();
     console.log(`🔍 DEBUG: Classifying "${message}"`);
 
     // Dynatrace-specific queries - EXECUTE with API!
     if (msg.includes('dql') || msg.includes('fetch') || msg.includes('problems') || 
-        msg.includes('vulnerabilities') || msg.includes('entities') || 
-        msg.includes('logs') || msg.includes('metrics') || msg.includes('dynatrace')) {
+        msg.includes('vulnerabilities') || /\bcves?\b/.test(msg) || msg.includes('entities') || 
+        msg.includes('logs') || msg.includes('metrics') || msg.includes('dynatrace') ||
+        ENTITY_ID_PATTERN.test(message) || PROBLEM_ID_PATTERN.test(message) || VULNERABILITY_ID_PATTERN.test(message) ||
+        ['generate_dql', 'metrics', 'topology', 'entity_search'].includes(this.dynatrace.detectQueryType(message))) {
       console.log(`🔍 DEBUG: -> dynatrace_query (execute with API)`);
       return 'dynatrace_query';
     }
@@ -80,66 +168,174 @@ export class ChatHandler {
     return 'general_help';
   }
 
-  async handleDynatraceQuery(message, sessionId) {
-    // Check cache first
-    const cached = await this.redis.getCachedDynatraceQuery(message);
-    if (cached) {
-      return this.formatResponse(cached, 'cache', sessionId);
+  async handleDynatraceQuery(message, sessionId, options = {}) {
+    // Before the cache - cached results are shared between users
+    const queryType = this.dynatrace.detectQueryType(message);
+    const tool = QUERY_TYPE_TOOLS[queryType];
+    if (tool && options.allowTool && !options.allowTool(tool)) {
+      return this.formatResponse({
+        type: 'forbidden',
+        message: `🔒 **Not permitted**\n\nYour role does not allow \`${tool}\`. Ask an administrator for a role that includes it.`,
+        timestamp: new Date().toISOString()
+      }, 'auth', sessionId);
     }
 
+    const { operation, params } = this.dynatrace.resolveOperation(message);
+    const source = `dynatrace-${this.dynatrace.backendName}`;
+
     try {
-      console.log(`🔍 Executing REAL Dynatrace API query: ${message}`);
-      
-      // Step 1: Execute the actual Dynatrace API call
-      const apiResult = await this.dynatraceMCP.executeQuery(message);
-      
-      // Step 2: Get Phi3 to analyze the results (only if we got real data)
-      let combinedResponse;
-      if (apiResult.realData) {
-        try {
-          const phi3Context = this.buildDynatraceAnalysisContext(message, apiResult);
-          const phi3Analysis = await this.ollama.chat(
-            `Analyze these Dynatrace results: ${message}`, 
-            phi3Context
-          );
-          
-          combinedResponse = {
-            apiResults: apiResult,
-            phi3Analysis: phi3Analysis,
-            message: `${apiResult.message}\n\n---\n\n**🤖 AI Analysis:**\n${phi3Analysis.message}`,
-            timestamp: new Date().toISOString()
-          };
-        } catch (phi3Error) {
-          console.log(`🔄 Phi3 analysis failed, returning API results only`);
-          combinedResponse = apiResult;
-        }
-      } else {
-        // Just return the API result (might be auth error, etc.)
-        combinedResponse = apiResult;
+      const timings = {};
+      // Backend results are cached by what the message asks for, not how it is worded, and shared
+      // between users; the analysis reads the caller's own conversation, so it runs on every request.
+      // A result built from cached backend data is only kept for what is left of that data's TTL.
+      const { value: apiResult, cache } = await this.cache.remember('chat', operation, params, async () => {
+        // Cache hits are free; only calls that go upstream count against the user's budget
+        await options.quota?.consume(LLM_QUERY_TYPES.includes(queryType) ? 'llm' : 'dynatrace');
+        return this.runDynatraceQuery(message, options, timings);
+      }, {
+        onWait: () => this.reportProgress(options, 'waiting', 'The same query is already running - waiting for its result...'),
+        fetchedAt: (result) => result.timestamp
+      });
+
+      if (cache === 'hit') {
+        this.reportProgress(options, 'cache_hit', 'Cache hit - serving cached result');
       }
-      
-      // Cache the result
-      await this.redis.cacheDynatraceQuery(message, combinedResponse);
+      options.onToken?.(apiResult.message);
 
-      return this.formatResponse(combinedResponse, 'dynatrace-working-api', sessionId);
+      const response = await this.analyseDynatraceResult(message, apiResult, options, timings);
+      return this.formatResponse(response, source, sessionId, { cache, timings });
       
     } catch (error) {
+      if (error.rateLimited) throw error;
       console.error(`❌ Dynatrace API execution error:`, error);
       
       // Fallback to Phi3 explanation only
       console.log(`🔄 API failed, providing Phi3 explanation only`);
-      return this.handleOllamaChat(message, sessionId);
+      return this.handleOllamaChat(message, sessionId, options);
+    }
+  }
+
+  // One upstream run: the query against the configured backend. Only live results are cached
+  // (QueryCache's default) - stale or failed responses must not be replayed as fresh.
+  async runDynatraceQuery(message, options, timings) {
+    console.log(`🔍 Executing REAL Dynatrace API query: ${message}`);
+    this.reportProgress(options, 'querying_dynatrace', `Querying Dynatrace (${this.dynatrace.backendName})...`);
+
+    const stepStart = Date.now();
+    const apiResult = await this.dynatrace.executeQuery(message);
+    timings.backendMs = Date.now() - stepStart;
+    return apiResult;
+  }
+
+  // The model's analysis of live or fixture data, with this caller's conversation as context;
+  // anything else (might be auth error, etc.) goes out as it is
+  async analyseDynatraceResult(message, apiResult, options, timings) {
+    if (!apiResult.realData && !apiResult.fixture) {
+      return apiResult;
+    }
+
+    try {
+      this.reportProgress(options, 'analysing', 'Analysing results...');
+      const stepStart = Date.now();
+      await options.quota?.consume('llm'); // out of LLM budget: the results go out without analysis
+      const phi3Context = this.buildDynatraceAnalysisContext(message, apiResult);
+      phi3Context.conversation = this.buildConversation(options.history, phi3Context.instructions);
+      let analysisStarted = false;
+      const phi3Analysis = await this.ollama.chat(
+        `Analyze these Dynatrace results: ${message}`, 
+        phi3Context,
+        {
+          onToken: options.onToken && ((token) => {
+            if (!analysisStarted) {
+              analysisStarted = true;
+              options.onToken('\n\n---\n\n**🤖 AI Analysis:**\n');
+            }
+            options.onToken(token);
+          })
+        }
+      );
+      timings.analysisMs = Date.now() - stepStart;
+
+      return {
+        apiResults: apiResult,
+        phi3Analysis: phi3Analysis,
+        message: `${apiResult.message}\n\n---\n\n**🤖 AI Analysis:**\n${phi3Analysis.message}`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (phi3Error) {
+      console.log(`🔄 Phi3 analysis failed (${phi3Error.message}), returning API results only`);
+      return apiResult;
     }
   }
 
+  async handleAgentQuery(message, sessionId, options = {}, fallback) {
+    try {
+      console.log(`🤖 Routing to tool-calling agent: ${message}`);
+      this.reportProgress(options, 'generating', 'Thinking...');
+      const fitted = this.contextWindow.fit(options.history, { reserved: this.agent.buildSystemPrompt() });
+      // Tool calls go through the cached backend; track says how much of what they read was cached
+      const { value: result, cache, fetchedAt } = await QueryCache.track(() => this.agent.run(message, {
+        history: this.contextWindow.toChatMessages(fitted),
+        onProgress: options.onProgress,
+        allowTool: options.allowTool,
+        quota: options.quota
+      }));
+
+      const response = {
+        type: 'agent',
+        message: `${result.message}${this.formatToolCalls(result.toolCalls)}`,
+        toolCalls: result.toolCalls.map(({ name, arguments: args, ok, error, durationMs }) =>
+          ({ name, arguments: args, ok, error, durationMs })),
+        steps: result.steps,
+        stepLimitReached: !!result.stepLimitReached,
+        backendCache: cache,
+        timestamp: fetchedAt
+      };
+      options.onToken?.(response.message);
+
+      const source = result.toolCalls.length > 0 ? `agent-${this.dynatrace.backendName}` : 'agent';
+      return this.formatResponse(response, source, sessionId);
+    } catch (error) {
+      if (error.rateLimited) throw error;
+      if (error.toolsUnsupported) {
+        // Don't pay for a failing round trip on every message
+        console.log(`⚠️ ${error.message} - disabling the agent, using keyword routing`);
+        this.agent = null;
+      } else {
+        console.log(`🔄 Agent failed (${error.message}), falling back to keyword routing`);
+      }
+      return fallback();
+    }
+  }
+
+  formatToolCalls(toolCalls) {
+    if (toolCalls.length === 0) return '';
+
+    const lines = toolCalls.map((call, index) => {
+      const status = call.ok ? '✅' : `❌ ${call.error}`;
+      return `${index + 1}. \`${call.name}\` ${JSON.stringify(call.arguments)} - ${status} (${call.durationMs}ms)`;
+    });
+    return `\n\n---\n\n**🔧 Tool calls:**\n${lines.join('\n')}`;
+  }
+
+  // Prior turns as prompt text, sized to leave room for whatever else goes into the prompt
+  buildConversation(history = [], reserved = '') {
+    if (history.length === 0) return '';
+    return this.contextWindow.toPrompt(this.contextWindow.fit(history, { reserved }));
+  }
+
   buildDynatraceAnalysisContext(message, apiResult) {
+    const apiData = this.analysisData(apiResult);
+    const logNote = apiResult.type === 'logs'
+      ? `\nThe log lines were grouped into patterns: numbers, IDs and UUIDs are masked as <NUM>, <ID> and <UUID>, and each pattern has its count, levels, first/last seen time, sources and sample lines. Reason about the patterns (which are new, frequent or co-occurring), not individual lines.\n`
+      : '';
     return {
       currentTopic: 'dynatrace',
       expertiseArea: 'observability',
-      apiData: apiResult,
+      apiData,
       instructions: `You are analyzing real Dynatrace API results. The user asked: "${message}".
-
-The API returned: ${JSON.stringify(apiResult, null, 2)}
+${logNote}
+The API returned: ${JSON.stringify(apiData, null, 2)}
 
 Please provide:
 - Analysis of what the results mean
@@ -151,16 +347,26 @@ Keep the explanation practical and actionable.`
     };
   }
 
+  // Log results reach the model as their top patterns; the raw lines would crowd out everything else
+  analysisData(apiResult) {
+    if (apiResult.type !== 'logs') return apiResult;
+    const { records, message, clusters, ...rest } = apiResult;
+    return { ...rest, patternCount: clusters.length, patterns: clusters.slice(0, 20) };
+  }
+
   async handleKnowledgeQuery(message, sessionId) {
     const knowledgeResponse = await this.knowledgeBase.query(message);
-    return this.formatResponse(knowledgeResponse, 'knowledge', sessionId);
+    return this.formatResponse({ type: 'knowledge', ...knowledgeResponse }, 'knowledge', sessionId);
   }
 
-  async handleOllamaChat(message, sessionId) {
+  async handleOllamaChat(message, sessionId, options = {}) {
+    await options.quota?.consume('llm');
     try {
       console.log(`🦙 Routing to Phi3 for general chat: ${message}`);
-      const ollamaResponse = await this.ollama.chat(message);
-      return this.formatResponse(ollamaResponse, 'phi3-general', sessionId);
+      this.reportProgress(options, 'generating', 'Generating answer...');
+      const conversation = this.buildConversation(options.history);
+      const ollamaResponse = await this.ollama.chat(message, conversation ? { conversation } : null, { onToken: options.onToken });
+      return this.formatResponse({ type: 'chat', ...ollamaResponse }, 'phi3-general', sessionId);
     } catch (error) {
       console.log(`🔄 Phi3 unavailable (${error.message}), falling back to knowledge base`);
       return this.handleKnowledgeQuery(message, sessionId);
@@ -178,6 +384,7 @@ Keep the explanation practical and actionable.`
 
   generateHelpResponse(message) {
     return {
+      type: 'help',
       message: `👋 **Enhanced Dynatrace MCP Assistant**
 
 **🚀 NOW WITH REAL API INTEGRATION!**
@@ -196,7 +403,7 @@ Keep the explanation practical and actionable.`
 - "Best practices"
 
 **✨ What's Working:**
-- 🎯 **Real API Calls** to ${this.dynatraceMCP?.environmentUrl || 'Dynatrace'}
+- 🎯 **Real API Calls** to ${this.backend?.environmentUrl || 'Dynatrace'} (${this.dynatrace.backendName} backend)
 - 🤖 **AI Analysis** of live results
 - 📦 **Redis Caching** for performance
 
@@ -213,23 +420,13 @@ Keep the explanation practical and actionable.`
     };
   }
 
-  formatResponse(content, source, sessionId) {
-    const timestamp = new Date().toISOString();
-    let formatted = '';
-    
-    if (typeof content === 'string') {
-      formatted = content;
-    } else if (content && content.message) {
-      formatted = content.message;
-    } else {
-      formatted = JSON.stringify(content, null, 2);
-    }
-    
-    return `${formatted}\n\n_Source: ${source} | ${timestamp}_`;
+  // cache: 'hit' / 'miss' for cached routes; timings: per-step durations in ms
+  formatResponse(content, source, sessionId, { cache = 'none', timings = {} } = {}) {
+    return ChatResponse.from(content, { source, cache, timings });
   }
 
   formatErrorResponse(error) {
-    return `❌ **Error occurred**: ${error.message}
+    return new ChatResponse({ type: 'error', source: 'error', text: `❌ **Error occurred**: ${error.message}
 
 **Available features:**
 - 🎯 Dynatrace API integration
@@ -241,6 +438,6 @@ Keep the explanation practical and actionable.`
 - "Explain microservices"
 - "What's the environment status?"
 
-Need help? Try asking: "help"`;
+Need help? Try asking: "help"` });
   }
 }
@@ -0,0 +1,127 @@
+// Result fields that describe the answer rather than being part of its data
+const META_FIELDS = new Set([
+  'type', 'message', 'realData', 'fixture', 'backend', 'backendCache', 'stale', 'degraded', 'timestamp', 'executedQuery',
+  'dqlSuggestions', 'nextSteps', 'suggestions', 'toolCalls', 'source', 'model', 'processingTime'
+]);
+
+// What one chat turn produces: the answer text plus everything a client needs to render or act on it
+// (structured data, the query that ran, cache status, suggestions, timings). /chat and the WebSocket
+// send it as JSON; toMarkdown() is the plain rendering for Markdown-only clients and session history.
+export class ChatResponse {
+  constructor({
+    type = 'text', text = '', analysis = null, source = 'unknown', cache = 'none', query = null, data = null,
+    suggestions = {}, toolCalls = undefined, realData = false, fixture = false, backend = undefined,
+    stale = false, degraded = undefined, cachedAt = undefined, timings = {}, timestamp = new Date().toISOString()
+  } = {}) {
+    this.type = type;
+    this.text = text;
+    this.analysis = analysis; // AI analysis of the data, kept apart from the data's own summary
+    this.source = source;
+    this.cache = cache; // 'hit', 'partial' (some backend calls were), 'shared', 'miss' or 'none' when the route is not cached
+    this.query = query;
+    this.data = data;
+    this.suggestions = {
+      questions: suggestions.questions || [], // follow-up chat messages
+      dql: suggestions.dql || [],
+      nextSteps: suggestions.nextSteps || []
+    };
+    this.toolCalls = toolCalls;
+    this.realData = realData;
+    this.fixture = fixture;
+    this.backend = backend;
+    this.stale = stale;
+    this.degraded = degraded;
+    this.cachedAt = cachedAt; // when cached data was fetched from Dynatrace
+    this.timings = timings;
+    this.timestamp = timestamp;
+  }
+
+  // From whatever a handler produced: an executor result, one wrapped with its AI analysis
+  // ({ apiResults, phi3Analysis }), an Ollama or knowledge base answer, or plain text
+  static from(content, { source, cache = 'none', timings = {} } = {}) {
+    if (typeof content === 'string') {
+      return new ChatResponse({ text: content, source, cache, timings });
+    }
+
+    const result = content?.apiResults || content || {};
+    // An uncached answer can still be built from cached backend calls
+    const served = ['miss', 'none'].includes(cache) && ['hit', 'partial'].includes(result.backendCache) ? result.backendCache : cache;
+    const data = Object.fromEntries(Object.entries(result)
+      .filter(([key, value]) => !META_FIELDS.has(key) && value !== undefined));
+
+    return new ChatResponse({
+      type: result.type,
+      text: typeof result.message === 'string' ? result.message : JSON.stringify(content, null, 2),
+      analysis: content.phi3Analysis?.message || null,
+      source,
+      cache: served,
+      query: result.executedQuery || null,
+      data: Object.keys(data).length > 0 ? data : null,
+      suggestions: {
+        questions: content.suggestions,
+        dql: result.dqlSuggestions,
+        nextSteps: result.nextSteps
+      },
+      toolCalls: content.toolCalls,
+      realData: Boolean(result.realData),
+      fixture: Boolean(result.fixture),
+      backend: result.backend,
+      stale: Boolean(result.stale),
+      degraded: result.degraded,
+      cachedAt: ['hit', 'partial'].includes(served) ? result.timestamp : undefined,
+      timings
+    });
+  }
+
+  toMarkdown() {
+    let markdown = this.text;
+
+    if (this.analysis) {
+      markdown += `\n\n---\n\n**🤖 AI Analysis:**\n${this.analysis}`;
+    }
+
+    if (this.suggestions.dql.length > 0) {
+      markdown += '\n\n**💡 Suggested DQL Queries:**\n';
+      markdown += this.suggestions.dql.map(dql => dql.includes('\n') ? `\`\`\`dql\n${dql}\n\`\`\`` : `\`${dql}\``).join('\n');
+    }
+
+    if (this.suggestions.nextSteps.length > 0) {
+      markdown += '\n\n**🎯 Next Steps:**\n';
+      markdown += this.suggestions.nextSteps.map((step, i) => `${i + 1}. ${step}`).join('\n');
+    }
+
+    const cacheNotes = {
+      hit: ` (cached, data from ${this.cachedAt})`,
+      partial: ` (partly cached, oldest data from ${this.cachedAt})`,
+      shared: ' (shared with a concurrent request)'
+    };
+    return `${markdown}\n\n_Source: ${this.source}${cacheNotes[this.cache] || ''} | ${this.timestamp}_`;
+  }
+
+  get cacheAgeSeconds() {
+    return this.cachedAt ? Math.max(0, Math.round((Date.now() - Date.parse(this.cachedAt)) / 1000)) : undefined;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      text: this.text,
+      analysis: this.analysis,
+      source: this.source,
+      cache: this.cache,
+      query: this.query,
+      data: this.data,
+      suggestions: this.suggestions,
+      ...(this.toolCalls && { toolCalls: this.toolCalls }),
+      realData: this.realData,
+      fixture: this.fixture,
+      backend: this.backend,
+      stale: this.stale,
+      ...(this.degraded && { degraded: this.degraded }),
+      ...(this.cachedAt && { cachedAt: this.cachedAt, cacheAgeSeconds: this.cacheAgeSeconds }),
+      timings: this.timings,
+      timestamp: this.timestamp,
+      response: this.toMarkdown() // the Markdown rendering, as /chat returned before the envelope
+    };
+  }
+}
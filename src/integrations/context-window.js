@@ -0,0 +1,104 @@
+import { ReferenceResolver } from './reference-resolver.js';
+
+// Fits a session's conversation into the model's context window: the most recent turns verbatim,
+// older turns as one-line summaries, everything older than that dropped.
+export class ContextWindow {
+  constructor({ numCtx = 2048, reservedTokens = 1024, charsPerToken = 4, resolver = new ReferenceResolver() } = {}) {
+    this.numCtx = numCtx;
+    this.reservedTokens = reservedTokens; // room for the answer (num_predict) and the prompt scaffolding
+    this.charsPerToken = charsPerToken; // rough estimate, good enough for budgeting
+    this.resolver = resolver;
+  }
+
+  estimateTokens(text = '') {
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+
+  // reserved: other prompt text (instructions, API results) competing for the same window
+  fit(history = [], { reserved = '' } = {}) {
+    const budget = this.numCtx - this.reservedTokens - this.estimateTokens(reserved);
+    if (budget <= 0 || history.length === 0) {
+      return { turns: [], summaries: [], omitted: history.length };
+    }
+
+    // Recent turns verbatim get three quarters of the budget; a single huge answer is cut down
+    const verbatimBudget = Math.floor(budget * 0.75);
+    const maxTurnTokens = Math.floor(verbatimBudget / 2);
+    const turns = [];
+    let used = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const content = this.truncate(this.clean(history[i].content), maxTurnTokens);
+      const tokens = this.estimateTokens(content) + 4;
+      if (used + tokens > verbatimBudget) break;
+      turns.unshift({ role: history[i].role, content });
+      used += tokens;
+    }
+
+    // Older turns: one line each, newest first until the remaining budget runs out
+    const older = history.slice(0, history.length - turns.length);
+    const summaries = [];
+    for (let i = older.length - 1; i >= 0; i--) {
+      const line = this.summarize(older[i]);
+      const tokens = this.estimateTokens(line) + 2;
+      if (used + tokens > budget) break;
+      summaries.unshift(line);
+      used += tokens;
+    }
+
+    return { turns, summaries, omitted: older.length - summaries.length };
+  }
+
+  summarize(turn) {
+    const text = this.clean(turn.content);
+    if (turn.role === 'user') {
+      return `User asked: ${this.firstLine(text, 120)}`;
+    }
+
+    const references = this.resolver.extractReferences(text);
+    const ids = [...references.problems, ...references.vulnerabilities, ...references.entities];
+    const mentioned = ids.length > 0 ? ` (mentioned ${ids.slice(0, 8).join(', ')}${ids.length > 8 ? ', ...' : ''})` : '';
+    return `Assistant answered: ${this.firstLine(text, 120)}${mentioned}`;
+  }
+
+  // Source footers and model signatures are noise for the model
+  clean(content = '') {
+    return content
+      .replace(/\n*_Source: [^\n]*_\s*$/, '')
+      .replace(/\n*💡 \*Generated by [^\n]*\*/g, '')
+      .trim();
+  }
+
+  firstLine(text, maxLength) {
+    const line = text.split('\n').map(l => l.replace(/[*_`#]/g, '').trim()).find(Boolean) || '';
+    return line.length > maxLength ? `${line.substring(0, maxLength - 3)}...` : line;
+  }
+
+  truncate(text, maxTokens) {
+    const maxChars = maxTokens * this.charsPerToken;
+    return text.length > maxChars ? `${text.substring(0, maxChars)}\n[...truncated]` : text;
+  }
+
+  // Plain-text form for /api/generate prompts
+  toPrompt({ turns, summaries }) {
+    let prompt = '';
+    if (summaries.length > 0) {
+      prompt += `Earlier in this conversation (summarized):\n${summaries.map(s => `- ${s}`).join('\n')}\n\n`;
+    }
+    if (turns.length > 0) {
+      prompt += 'Recent conversation:\n';
+      prompt += turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n\n');
+      prompt += '\n';
+    }
+    return prompt;
+  }
+
+  // Message form for /api/chat
+  toChatMessages({ turns, summaries }) {
+    const messages = [];
+    if (summaries.length > 0) {
+      messages.push({ role: 'system', content: `Earlier in this conversation (summarized):\n${summaries.map(s => `- ${s}`).join('\n')}` });
+    }
+    return messages.concat(turns.map(turn => ({ role: turn.role, content: turn.content })));
+  }
+}
@@ -0,0 +1,102 @@
+// Serves the last known-good result of an upstream operation when the live call fails,
+// clearly marked as stale. Nothing produced here is ever flagged as realData.
+export class DegradedMode {
+  constructor(redis, config = {}) {
+    this.redis = redis;
+    this.retentionSeconds = config.retentionSeconds || 7 * 86400; // keep last good results for a week
+  }
+
+  key(operation, params = {}) {
+    return this.redis.generateCacheKey(`lkg:${operation}`, params);
+  }
+
+  // Run the live operation; remember successes, fall back to the last good result on failure
+  async run(operation, params, fn) {
+    try {
+      const result = await fn();
+      await this.remember(operation, params, result);
+      return result;
+    } catch (error) {
+      // A bad query or unknown ID is the caller's problem, not an outage - stale data would not help.
+      // Neither would it for a caller who is out of quota.
+      if (this.isCallerError(error) || error.rateLimited) {
+        throw error;
+      }
+      console.error(`⚠️ ${operation} failed, entering degraded mode:`, error.message);
+      return this.recall(operation, params, error);
+    }
+  }
+
+  isCallerError(error) {
+    const status = error.status ?? error.response?.status;
+    return status === 400 || status === 404;
+  }
+
+  // storedAt is when the data was fetched from Dynatrace - earlier than now for results built from the cache
+  async remember(operation, params, result) {
+    if (!this.redis) return false;
+
+    return this.redis.set(this.key(operation, params), {
+      result,
+      storedAt: result.timestamp || new Date().toISOString()
+    }, this.retentionSeconds, { cacheFill: true });
+  }
+
+  async recall(operation, params, error) {
+    const reason = error?.message || String(error);
+    const entry = this.redis ? await this.redis.get(this.key(operation, params)) : null;
+
+    if (!entry) {
+      return {
+        type: 'unavailable',
+        message: `⚠️ **Dynatrace data unavailable**
+
+The live call failed and there is no previously retrieved result to fall back on.
+
+**Operation:** ${operation}
+**Reason:** ${reason}`,
+        realData: false,
+        stale: false,
+        degraded: {
+          operation,
+          reason,
+          lastSuccessAt: null,
+          ageSeconds: null
+        },
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const ageSeconds = Math.round((Date.now() - new Date(entry.storedAt).getTime()) / 1000);
+    console.log(`🕰️ Serving last known-good ${operation} result (${this.formatAge(ageSeconds)} old)`);
+
+    return {
+      ...entry.result,
+      message: `⚠️ **STALE DATA - retrieved ${this.formatAge(ageSeconds)} ago (${entry.storedAt})**
+Live data is unavailable: ${reason}
+Verify in Dynatrace before acting on anything below.
+
+---
+
+${entry.result.message || ''}`,
+      realData: false,
+      stale: true,
+      degraded: {
+        operation,
+        reason,
+        lastSuccessAt: entry.storedAt,
+        ageSeconds
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  formatAge(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+}
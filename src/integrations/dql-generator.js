@@ -0,0 +1,71 @@
+import { DQLLinter } from './dql-linter.js';
+
+// Turns a natural-language question into DQL with Ollama. Every candidate is checked locally
+// and the linter's complaints are fed back to the model until it produces a valid query.
+export class DQLGenerator {
+  constructor({ ollama, knowledgeBase, linter = new DQLLinter(), maxAttempts = 3 }) {
+    this.ollama = ollama;
+    this.knowledgeBase = knowledgeBase;
+    this.linter = linter;
+    this.maxAttempts = maxAttempts;
+  }
+
+  get examples() {
+    return this.knowledgeBase.generalPatterns.dynatrace.commonQueries;
+  }
+
+  buildMessages(question) {
+    const messages = [{
+      role: 'system',
+      content: `You translate questions about a Dynatrace environment into Dynatrace Query Language (DQL).
+Rules:
+- Reply with exactly one DQL query and nothing else - no explanation, no markdown.
+- Start with fetch (logs, events, spans, bizevents, dt.davis.problems, dt.security_problems, dt.entity.<type>) or timeseries.
+- Chain commands with | (filter, fields, fieldsAdd, summarize, sort, limit, makeTimeseries, join).
+- Compare with ==, never =. Aggregations such as avg() or count() only go in summarize, never in filter.
+- Always end with a limit unless the query summarizes.`
+    }];
+
+    // Few-shot: each known question/query pair is replayed as a previous exchange
+    for (const example of this.examples) {
+      messages.push({ role: 'user', content: example.question });
+      messages.push({ role: 'assistant', content: example.dql });
+    }
+
+    messages.push({ role: 'user', content: question });
+    return messages;
+  }
+
+  async generate(question) {
+    const messages = this.buildMessages(question);
+    let dql = null;
+    let lint = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const reply = await this.ollama.chatWithTools(messages);
+      dql = this.extractQuery(reply.content);
+      lint = this.linter.lint(dql);
+
+      console.log(`🧠 DQL attempt ${attempt}: ${dql} (${lint.valid ? 'valid' : 'invalid'})`);
+      if (lint.valid) {
+        return { dql, valid: true, attempts: attempt, errors: [], warnings: lint.warnings };
+      }
+
+      messages.push({ role: 'assistant', content: reply.content });
+      messages.push({
+        role: 'user',
+        content: `That query is invalid:\n${lint.errors.map(error => `- line ${error.line}, column ${error.column}: ${error.message}`).join('\n')}\nReply with the corrected DQL query only.`
+      });
+    }
+
+    return { dql, valid: false, attempts: this.maxAttempts, errors: lint.errors, warnings: lint.warnings };
+  }
+
+  // Models like to wrap the query in a code fence or add a sentence around it
+  extractQuery(content = '') {
+    const fenced = content.match(/```(?:dql|sql)?\s*\n?([\s\S]*?)```/i);
+    const text = (fenced ? fenced[1] : content).trim();
+    const start = text.search(/^\s*(fetch|timeseries|data)\b/im);
+    return (start >= 0 ? text.substring(start) : text).trim();
+  }
+}
@@ -0,0 +1,386 @@
+import { DQLParser, DQLSyntaxError } from './dql-parser.js';
+
+const SOURCE_COMMANDS = ['fetch', 'timeseries', 'data'];
+const COMMANDS = [
+  ...SOURCE_COMMANDS, 'filter', 'filterOut', 'search', 'fields', 'fieldsAdd', 'fieldsKeep',
+  'fieldsRemove', 'fieldsRename', 'fieldsFlatten', 'summarize', 'sort', 'limit', 'dedup',
+  'expand', 'parse', 'makeTimeseries', 'join', 'lookup', 'append'
+];
+const AGGREGATIONS = ['avg', 'sum', 'count', 'countIf', 'countDistinct', 'min', 'max', 'percentile', 'median', 'takeFirst', 'takeLast', 'takeAny', 'collectArray', 'collectDistinct'];
+
+// Named parameters each command accepts; commands not listed here are not checked
+const PARAMETERS = {
+  fetch: ['from', 'to', 'timeframe', 'samplingRatio', 'scanLimitGBytes', 'bucket'],
+  timeseries: ['by', 'filter', 'from', 'to', 'timeframe', 'interval', 'bins', 'shift', 'nonempty'],
+  summarize: ['by'],
+  makeTimeseries: ['by', 'interval', 'bins', 'from', 'to', 'timeframe', 'time', 'spread', 'nonempty'],
+  join: ['on', 'fields', 'prefix', 'kind', 'executionOrder'],
+  sort: [],
+  limit: [],
+  filter: [],
+  filterOut: []
+};
+
+// Fields Grail is known to provide per data object. Unknown fields only produce warnings,
+// since logs and events routinely carry custom attributes.
+export const FIELD_CATALOG = {
+  logs: [
+    'timestamp', 'content', 'loglevel', 'status', 'log.source', 'log.iostream', 'event.type',
+    'dt.entity.host', 'dt.entity.process_group', 'dt.entity.process_group_instance', 'dt.entity.service',
+    'dt.entity.kubernetes_cluster', 'dt.entity.cloud_application', 'dt.source_entity',
+    'dt.process.name', 'host.name', 'process.technology', 'service.name', 'trace_id', 'span_id',
+    'k8s.cluster.name', 'k8s.namespace.name', 'k8s.pod.name', 'k8s.container.name', 'k8s.deployment.name',
+    'dt.security_context', 'dt.system.bucket'
+  ],
+  'dt.davis.problems': [
+    'timestamp', 'event.id', 'display_id', 'event.name', 'event.status', 'event.status_transition',
+    'event.category', 'event.kind', 'event.start', 'event.end', 'event.description',
+    'affected_entity_ids', 'affected_entity_types', 'affected_users_count',
+    'root_cause_entity_id', 'root_cause_entity_name', 'related_entity_ids',
+    'dt.davis.is_duplicate', 'dt.davis.is_frequent_event', 'maintenance.is_under_maintenance',
+    'dt.entity.service', 'dt.entity.host', 'dt.security_context', 'labels.alerting_profile'
+  ],
+  // Shared by every dt.entity.<type> data object
+  'dt.entity.*': [
+    'id', 'entity.name', 'entity.type', 'entity.detected_name', 'entity.conditional_name',
+    'lifetime', 'tags', 'managementZones', 'lastSeenTms', 'firstSeenTms',
+    'belongs_to', 'instance_of', 'runs_on', 'calls', 'called_by', 'contains', 'contained_by',
+    'clustered_by', 'is_part_of', 'serves', 'balanced_by', 'candidates'
+  ],
+  'dt.entity.service': ['serviceType', 'serviceTechnologyTypes', 'agentTechnologyType', 'databaseName', 'webServiceName'],
+  'dt.entity.host': ['osType', 'osVersion', 'cpuCores', 'physicalMemory', 'monitoringMode', 'hypervisorType', 'ipAddress', 'cloudType'],
+  'dt.entity.process_group': ['softwareTechnologies', 'processType'],
+  'dt.entity.application': ['applicationType', 'customizedName']
+};
+
+// Checks DQL locally so syntax mistakes surface with a line and column before any round trip
+export class DQLLinter {
+  constructor({ fieldCatalog = FIELD_CATALOG } = {}) {
+    this.parser = new DQLParser();
+    this.fieldCatalog = fieldCatalog;
+  }
+
+  // Returns { valid, errors, warnings, ast }; every issue is { message, line, column }
+  lint(query) {
+    const errors = [];
+    const warnings = [];
+
+    if (/^\s*select\b/i.test(query || '')) {
+      errors.push({ message: 'This looks like SQL. DQL starts with "fetch <data object>" and chains commands with "|"', line: 1, column: 1 });
+      return { valid: false, errors, warnings, ast: null };
+    }
+
+    let ast;
+    try {
+      ast = this.parser.parse(query);
+    } catch (error) {
+      if (!(error instanceof DQLSyntaxError)) throw error;
+      errors.push({ message: error.reason, line: error.line, column: error.column });
+      return { valid: false, errors, warnings, ast: null };
+    }
+
+    this.checkPipeline(ast, errors, warnings);
+    return { valid: errors.length === 0, errors, warnings, ast };
+  }
+
+  checkPipeline(pipeline, errors, warnings) {
+    let dataObject = null;
+    let fields = null;
+    let bounded = false;
+
+    pipeline.commands.forEach((command, index) => {
+      const at = { line: command.line, column: command.column };
+
+      if (!COMMANDS.includes(command.name)) {
+        const suggestion = this.suggest(command.name, COMMANDS);
+        errors.push({ message: `Unknown command "${command.name}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`, ...at });
+        return;
+      }
+      if (index === 0 && !SOURCE_COMMANDS.includes(command.name)) {
+        errors.push({ message: `A query must start with fetch, timeseries or data, not "${command.name}"`, ...at });
+      } else if (index > 0 && SOURCE_COMMANDS.includes(command.name)) {
+        errors.push({ message: `"${command.name}" can only be the first command`, ...at });
+      }
+
+      this.checkParameters(command, errors);
+
+      // Field references are checked against what the previous commands produce
+      if (fields) {
+        this.collectFieldReferences(command).forEach(field => {
+          if (!this.isKnownField(field.name, fields)) {
+            const suggestion = this.suggest(field.name, [...fields]);
+            warnings.push({
+              message: `Unknown field "${field.name}" for ${dataObject}${suggestion ? ` - did you mean "${suggestion}"?` : ''}`,
+              line: field.line,
+              column: field.column
+            });
+          }
+        });
+      }
+
+      switch (command.name) {
+        case 'fetch': {
+          const source = command.args[0];
+          if (!source || source.name || source.alias || source.value.type !== 'field') {
+            errors.push({ message: 'fetch needs a data object, e.g. logs, spans, dt.davis.problems or dt.entity.service', ...at });
+            break;
+          }
+          dataObject = source.value.name;
+          fields = this.catalogFor(dataObject);
+          bounded = bounded || command.args.some(arg => ['from', 'to', 'timeframe'].includes(arg.name));
+          break;
+        }
+        case 'timeseries':
+          // timeseries always runs over a timeframe (2h unless given)
+          bounded = true;
+          break;
+        case 'filter':
+        case 'filterOut':
+          this.checkFilter(command, errors);
+          break;
+        case 'fields':
+        case 'fieldsKeep':
+        case 'fieldsRemove':
+        case 'sort':
+          if (command.args.length === 0) {
+            errors.push({ message: `${command.name} needs at least one field`, ...at });
+          }
+          if (fields && command.name !== 'sort' && command.name !== 'fieldsRemove') {
+            fields = new Set(command.args.map(arg => arg.alias || (arg.value.type === 'field' ? arg.value.name : null)).filter(Boolean));
+          }
+          break;
+        case 'fieldsAdd':
+          if (command.args.length === 0) {
+            errors.push({ message: 'fieldsAdd needs at least one field', ...at });
+          }
+          command.args.forEach(arg => arg.alias && fields?.add(arg.alias));
+          break;
+        case 'summarize':
+        case 'makeTimeseries':
+          this.checkAggregation(command, errors);
+          if (fields) {
+            fields = new Set(this.outputFields(command));
+            if (command.name === 'makeTimeseries') ['timeframe', 'interval'].forEach(name => fields.add(name));
+          }
+          break;
+        case 'limit': {
+          const value = command.args[0]?.value;
+          if (command.args.length !== 1 || value.type !== 'literal' || value.valueType !== 'number' || !Number.isInteger(value.value) || value.value < 1) {
+            errors.push({ message: 'limit expects a single positive integer', ...at });
+          }
+          bounded = true;
+          break;
+        }
+        case 'join':
+        case 'lookup':
+        case 'append': {
+          const subquery = command.args.find(arg => !arg.name && arg.value.type === 'subquery');
+          if (!subquery) {
+            errors.push({ message: `${command.name} needs a subquery in brackets, e.g. ${command.name} [fetch logs]`, ...at });
+          } else {
+            this.checkPipeline(subquery.value.query, errors, []);
+          }
+          if (command.name === 'join' && !command.args.some(arg => arg.name === 'on')) {
+            errors.push({ message: 'join needs an on: condition, e.g. on: {dt.entity.service}', ...at });
+          }
+          if (fields) fields.add('right.*').add('lookup.*');
+          break;
+        }
+        default:
+          // parse, expand, fieldsRename, ... create fields we can't predict - stop checking names
+          fields = null;
+      }
+    });
+
+    const source = pipeline.commands[0];
+    if (source?.name === 'fetch' && !bounded) {
+      warnings.push({
+        message: 'Unbounded query: no limit and no timeframe - add "| limit 100" or "from: now() - 1h"',
+        line: source.line,
+        column: source.column
+      });
+    }
+  }
+
+  checkParameters(command, errors) {
+    const allowed = PARAMETERS[command.name];
+    if (!allowed) return;
+
+    for (const arg of command.args) {
+      if (arg.name && !allowed.includes(arg.name)) {
+        const suggestion = this.suggest(arg.name, allowed);
+        errors.push({
+          message: `Unknown parameter "${arg.name}" for ${command.name}${suggestion ? ` - did you mean "${suggestion}"?` : ''}`,
+          line: arg.line,
+          column: arg.column
+        });
+      }
+    }
+  }
+
+  checkFilter(command, errors) {
+    if (command.args.length !== 1 || command.args[0].name) {
+      errors.push({ message: `${command.name} takes exactly one condition (combine conditions with and / or)`, line: command.line, column: command.column });
+      return;
+    }
+
+    const [condition] = command.args;
+    if (condition.alias) {
+      errors.push({ message: 'Use == to compare values (= only assigns a field name)', ...condition.aliasOperator });
+    }
+
+    const aggregation = this.findCalls(condition.value).find(call => AGGREGATIONS.includes(call.name));
+    if (aggregation) {
+      errors.push({
+        message: `Aggregation ${aggregation.name}() is not allowed in ${command.name}; summarize first and filter on its result`,
+        line: aggregation.line,
+        column: aggregation.column
+      });
+    }
+  }
+
+  checkAggregation(command, errors) {
+    const aggregations = command.args.filter(arg => !arg.name);
+    if (command.name === 'makeTimeseries' && aggregations.length === 0) {
+      errors.push({ message: 'makeTimeseries needs at least one aggregation, e.g. makeTimeseries count()', line: command.line, column: command.column });
+    }
+    if (command.name === 'summarize' && command.args.length === 0) {
+      errors.push({ message: 'summarize needs an aggregation or by: fields, e.g. summarize count(), by: {loglevel}', line: command.line, column: command.column });
+    }
+
+    for (const arg of aggregations) {
+      if (arg.value.type !== 'call' || !AGGREGATIONS.includes(arg.value.name)) {
+        errors.push({ message: `Expected an aggregation function (${AGGREGATIONS.slice(0, 5).join(', ')}, ...) in ${command.name}`, line: arg.line, column: arg.column });
+      }
+    }
+  }
+
+  // Field names after summarize / makeTimeseries: the by: groups plus each aggregation's alias
+  outputFields(command) {
+    const names = [];
+    for (const arg of command.args) {
+      if (arg.name === 'by') {
+        const groups = arg.value.type === 'list' ? arg.value.items : [{ value: arg.value }];
+        groups.forEach(group => names.push(group.alias || group.value.name));
+      } else if (!arg.name) {
+        names.push(arg.alias || `${arg.value.name}()`);
+      }
+    }
+    return names.filter(Boolean);
+  }
+
+  collectFieldReferences(command) {
+    const references = [];
+    const visit = (node) => {
+      if (!node) return;
+      switch (node.type) {
+        case 'field':
+          references.push(node);
+          break;
+        case 'call':
+          node.args.forEach(arg => visit(arg.value));
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'unary':
+          visit(node.operand);
+          break;
+        case 'index':
+          visit(node.object);
+          break;
+        case 'align':
+          visit(node.value);
+          break;
+        case 'list':
+          node.items.forEach(item => visit(item.value));
+          break;
+      }
+    };
+
+    // fetch names a data object, limit takes a number and join/lookup refer to their subquery
+    if (['fetch', 'limit', 'join', 'lookup', 'append'].includes(command.name)) {
+      return references;
+    }
+    command.args.forEach(arg => {
+      if (!['from', 'to', 'timeframe', 'interval', 'bins'].includes(arg.name)) visit(arg.value);
+    });
+    return references;
+  }
+
+  findCalls(node, calls = []) {
+    if (!node) return calls;
+    if (node.type === 'call') {
+      calls.push(node);
+      node.args.forEach(arg => this.findCalls(arg.value, calls));
+    }
+    if (node.type === 'binary') {
+      this.findCalls(node.left, calls);
+      this.findCalls(node.right, calls);
+    }
+    if (node.type === 'unary') this.findCalls(node.operand, calls);
+    if (node.type === 'list') node.items.forEach(item => this.findCalls(item.value, calls));
+    return calls;
+  }
+
+  catalogFor(dataObject) {
+    const exact = this.fieldCatalog[dataObject];
+    const entity = dataObject.startsWith('dt.entity.') ? this.fieldCatalog['dt.entity.*'] : null;
+    if (!exact && !entity) return null;
+    return new Set([...(entity || []), ...(exact || [])]);
+  }
+
+  isKnownField(name, fields) {
+    if (fields.has(name)) return true;
+    // Prefixed fields from joins / lookups, and relationship lookups like belongs_to[dt.entity.host]
+    return (fields.has('right.*') && name.startsWith('right.'))
+      || (fields.has('lookup.*') && name.startsWith('lookup.'))
+      || name.startsWith('dt.entity.');
+  }
+
+  // Closest candidate within two edits, for "did you mean" hints
+  suggest(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+      const distance = candidate.toLowerCase() === name.toLowerCase() ? 0 : this.distance(name, candidate);
+      if (distance < bestDistance && candidate !== name) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  distance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = current;
+      }
+    }
+    return previous[b.length];
+  }
+
+  // Markdown report with the offending line and a caret under each issue
+  formatIssues(query, issues, icon) {
+    const lines = query.split('\n');
+    return issues.map(issue => {
+      const source = lines[issue.line - 1] ?? '';
+      return `${icon} Line ${issue.line}, column ${issue.column}: ${issue.message}
+\`\`\`
+${source}
+${' '.repeat(Math.max(issue.column - 1, 0))}^
+\`\`\``;
+    }).join('\n');
+  }
+}
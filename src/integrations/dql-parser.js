@@ -0,0 +1,362 @@
+// Tokenizer and recursive-descent parser for the subset of DQL we use in chat:
+// a pipeline of commands (fetch | filter | fields | summarize | sort | limit | makeTimeseries | join ...)
+// whose arguments are positional, named (by: {...}) or aliased (name = expression).
+export class DQLSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'DQLSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const OPERATORS = ['==', '!=', '<=', '>=', '<', '>', '=', '+', '-', '*', '/', '%', ',', ':', '|', '(', ')', '{', '}', '[', ']', '@'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+const DURATION_UNITS = ['ns', 'us', 'ms', 's', 'm', 'h', 'd', 'w', 'M', 'q', 'y'];
+const LITERALS = { true: true, false: false, null: null };
+
+export class DQLParser {
+  tokenize(query) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = (count) => {
+      for (let i = 0; i < count; i++) {
+        if (query[index] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        index++;
+      }
+    };
+
+    while (index < query.length) {
+      const rest = query.substring(index);
+      const start = { line, column };
+
+      if (/^\s/.test(rest)) {
+        advance(1);
+        continue;
+      }
+
+      if (rest.startsWith('//')) {
+        const end = rest.indexOf('\n');
+        advance(end === -1 ? rest.length : end);
+        continue;
+      }
+
+      if (rest.startsWith('/*')) {
+        const end = rest.indexOf('*/', 2);
+        if (end === -1) {
+          throw new DQLSyntaxError('Unterminated comment', start.line, start.column);
+        }
+        advance(end + 2);
+        continue;
+      }
+
+      if (rest[0] === '"' || rest[0] === '`') {
+        const quote = rest[0];
+        let end = 1;
+        while (end < rest.length && rest[end] !== quote && rest[end] !== '\n') {
+          end += rest[end] === '\\' ? 2 : 1;
+        }
+        if (rest[end] !== quote) {
+          throw new DQLSyntaxError(quote === '"' ? 'Unterminated string literal' : 'Unterminated quoted field name', start.line, start.column);
+        }
+        const value = rest.substring(1, end).replace(/\\(.)/g, '$1');
+        tokens.push({ type: quote === '"' ? 'string' : 'identifier', value, ...start });
+        advance(end + 1);
+        continue;
+      }
+
+      const number = rest.match(/^\d+(?:\.\d+)?([a-zA-Z]+)?/);
+      if (number) {
+        const unit = number[1];
+        if (unit && !DURATION_UNITS.includes(unit)) {
+          throw new DQLSyntaxError(`Invalid number "${number[0]}"`, start.line, start.column);
+        }
+        tokens.push({
+          type: unit ? 'duration' : 'number',
+          value: unit ? number[0] : Number(number[0]),
+          ...start
+        });
+        advance(number[0].length);
+        continue;
+      }
+
+      const identifier = rest.match(/^[a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*/);
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], ...start });
+        advance(identifier[0].length);
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => rest.startsWith(op));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, ...start });
+        advance(operator.length);
+        continue;
+      }
+
+      throw new DQLSyntaxError(`Unexpected character "${rest[0]}"`, start.line, start.column);
+    }
+
+    tokens.push({ type: 'eof', value: null, line, column });
+    return tokens;
+  }
+
+  // Returns { commands: [{ name, args, line, column }] } or throws DQLSyntaxError
+  parse(query) {
+    this.tokens = this.tokenize(query || '');
+    this.position = 0;
+
+    if (this.peek().type === 'eof') {
+      throw new DQLSyntaxError('Query is empty', 1, 1);
+    }
+
+    const pipeline = this.parsePipeline();
+    if (this.peek().type !== 'eof') {
+      this.fail(`Unexpected ${this.describe(this.peek())}`);
+    }
+    return pipeline;
+  }
+
+  parsePipeline() {
+    const commands = [this.parseCommand()];
+    while (this.accept('|')) {
+      commands.push(this.parseCommand());
+    }
+    return { commands };
+  }
+
+  parseCommand() {
+    const token = this.peek();
+    if (token.type !== 'identifier') {
+      this.fail(`Expected a command name but found ${this.describe(token)}`);
+    }
+    this.next();
+
+    const command = { name: token.value, args: [], line: token.line, column: token.column };
+    if (this.atCommandEnd()) {
+      return command;
+    }
+
+    command.args.push(this.parseArgument(command.name));
+    while (this.accept(',')) {
+      command.args.push(this.parseArgument(command.name));
+    }
+
+    if (!this.atCommandEnd()) {
+      this.fail(`Expected "," or "|" but found ${this.describe(this.peek())}`);
+    }
+    return command;
+  }
+
+  atCommandEnd() {
+    const token = this.peek();
+    return token.type === 'eof' || this.isOperator(token, '|') || this.isOperator(token, ']');
+  }
+
+  // positional: expr | named: name: expr | aliased: name = expr | sort: expr asc|desc
+  parseArgument(commandName) {
+    const token = this.peek();
+    const argument = { line: token.line, column: token.column };
+    const following = this.peek(1);
+
+    if (token.type === 'identifier' && this.isOperator(following, ':')) {
+      this.next();
+      this.next();
+      argument.name = token.value;
+    } else if (token.type === 'identifier' && this.isOperator(following, '=')) {
+      this.next();
+      argument.aliasOperator = { line: following.line, column: following.column };
+      this.next();
+      argument.alias = token.value;
+    }
+
+    argument.value = this.parseExpression();
+
+    if (commandName === 'sort' && this.peek().type === 'identifier' && ['asc', 'desc'].includes(this.peek().value)) {
+      argument.order = this.next().value;
+    }
+    return argument;
+  }
+
+  parseExpression() {
+    return this.parseBinary(['or'], () =>
+      this.parseBinary(['xor'], () =>
+        this.parseBinary(['and'], () => this.parseNot())));
+  }
+
+  parseBinary(keywords, parseOperand) {
+    let left = parseOperand();
+    while (this.peek().type === 'identifier' && keywords.includes(this.peek().value)) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: parseOperand() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peek().type === 'identifier' && this.peek().value === 'not') {
+      this.next();
+      return { type: 'unary', operator: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    while (COMPARISON_OPERATORS.some(op => this.isOperator(this.peek(), op))) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseAdditive() };
+    }
+    if (this.isOperator(this.peek(), '=')) {
+      this.fail('Use == to compare values (= only assigns a field name)');
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator(this.peek(), '+') || this.isOperator(this.peek(), '-')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (['*', '/', '%'].some(op => this.isOperator(this.peek(), op))) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator(this.peek(), '-')) {
+      this.next();
+      return { type: 'unary', operator: '-', operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  // field[index] lookups and @ time alignment (now()@d, -1h@h)
+  parsePostfix() {
+    let expression = this.parsePrimary();
+    for (;;) {
+      if (this.accept('[')) {
+        expression = { type: 'index', object: expression, index: this.parseExpression() };
+        this.expect(']');
+      } else if (this.accept('@')) {
+        const unit = this.next();
+        if (unit.type !== 'identifier' && unit.type !== 'duration') {
+          this.fail(`Expected a time unit after "@" but found ${this.describe(unit)}`, unit);
+        }
+        expression = { type: 'align', value: expression, unit: unit.value };
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'string' || token.type === 'number' || token.type === 'duration') {
+      this.next();
+      return { type: 'literal', valueType: token.type, value: token.value, line: token.line, column: token.column };
+    }
+
+    if (token.type === 'identifier') {
+      this.next();
+      if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+        return { type: 'literal', valueType: 'boolean', value: LITERALS[token.value], line: token.line, column: token.column };
+      }
+      if (this.accept('(')) {
+        const args = [];
+        if (!this.accept(')')) {
+          args.push(this.parseArgument());
+          while (this.accept(',')) {
+            args.push(this.parseArgument());
+          }
+          this.expect(')');
+        }
+        return { type: 'call', name: token.value, args, line: token.line, column: token.column };
+      }
+      return { type: 'field', name: token.value, line: token.line, column: token.column };
+    }
+
+    if (this.accept('(')) {
+      const expression = this.parseExpression();
+      this.expect(')');
+      return expression;
+    }
+
+    if (this.accept('{')) {
+      const items = [];
+      if (!this.accept('}')) {
+        items.push(this.parseArgument());
+        while (this.accept(',')) {
+          items.push(this.parseArgument());
+        }
+        this.expect('}');
+      }
+      return { type: 'list', items, line: token.line, column: token.column };
+    }
+
+    // [ fetch ... ] - subquery for join, lookup and append
+    if (this.accept('[')) {
+      const query = this.parsePipeline();
+      this.expect(']');
+      return { type: 'subquery', query, line: token.line, column: token.column };
+    }
+
+    this.fail(`Expected an expression but found ${this.describe(token)}`);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  isOperator(token, value) {
+    return token.type === 'operator' && token.value === value;
+  }
+
+  accept(value) {
+    if (this.isOperator(this.peek(), value)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      this.fail(`Expected "${value}" but found ${this.describe(this.peek())}`);
+    }
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of query';
+    if (token.type === 'string') return `string "${token.value}"`;
+    return `"${token.value}"`;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new DQLSyntaxError(message, token.line, token.column);
+  }
+}
@@ -1,5 +1,12 @@
 import axios from 'axios';
+import { ProblemQuery } from './problem-query.js';
+import { VulnerabilityQuery } from './vulnerability-query.js';
+import { LogQuery } from './log-query.js';
 
+// Searched when a name is given without a type
+const ENTITY_SEARCH_TYPES = ['SERVICE', 'HOST', 'PROCESS_GROUP', 'APPLICATION'];
+
+// "rest" backend: talks to the Dynatrace platform and environment APIs directly
 export class DynatraceAPI {
   constructor(config) {
     // Use the apps URL format like the official MCP
@@ -9,6 +16,19 @@ export class DynatraceAPI {
     this.platformToken = process.env.DT_PLATFORM_TOKEN; // Alternative auth method
     this.accessToken = null;
     this.tokenExpiry = null;
+
+    // Grail query execution settings
+    this.query = {
+      maxResultRecords: config.maxResultRecords || 1000,
+      requestTimeoutMs: config.queryTimeoutMs || 60000,
+      // How long Grail holds each execute/poll request open before reporting progress
+      pollTimeoutMs: config.queryPollTimeoutMs || 2000
+    };
+
+    // Upper bound for problem lists, however many pages that takes
+    this.maxProblems = config.maxProblems || 200;
+    // Each vulnerability costs two extra calls for remediation details
+    this.maxVulnerabilities = config.maxVulnerabilities || 50;
   }
 
   async authenticate() {
@@ -24,7 +44,7 @@ export class DynatraceAPI {
           client_id: this.oauthClientId,
           client_secret: this.oauthClientSecret,
           // Use the scopes from official Dynatrace MCP
-          scope: 'app-engine:apps:run app-engine:functions:run storage:problems:read storage:logs:read storage:entities:read storage:events:read'
+          scope: 'app-engine:apps:run app-engine:functions:run storage:problems:read storage:logs:read storage:entities:read storage:events:read storage:buckets:read'
         }),
         {
           headers: {
@@ -54,203 +74,386 @@ export class DynatraceAPI {
   }
 
   async ensureAuthenticated() {
+    // A platform token is used as-is and needs no OAuth exchange
+    if (this.platformToken) {
+      return true;
+    }
     if (!this.accessToken || Date.now() >= this.tokenExpiry) {
       return this.authenticate();
     }
     return true;
   }
 
-  async executeQuery(message) {
-    try {
-      const queryType = this.detectQueryType(message);
-      console.log(`🔍 Executing Dynatrace query: ${queryType}`);
+  // Backend interface - these return API payloads; DynatraceExecutor turns them into chat messages
 
-      // Check if we have platform token as fallback
-      if (this.platformToken) {
-        console.log('🔑 Using Platform Token authentication');
-        return this.executeWithPlatformToken(message, queryType);
-      }
+  // Follows nextPageKey until every matching problem is loaded or the cap is reached
+  async listProblems(params = {}) {
+    await this.requireAuthentication();
 
-      // Try OAuth authentication
-      const authResult = await this.ensureAuthenticated();
-      if (authResult !== true) {
-        return {
-          type: 'auth_error',
-          message: `🔐 **Authentication Status** (Following official Dynatrace MCP pattern)
-
-**OAuth Endpoint:** https://sso.dynatrace.com/sso/oauth2/token
-**Environment:** ${this.environmentUrl}
-**Client ID:** ${this.oauthClientId ? 'Configured' : 'Missing'}
-
-**Issue:** ${authResult.error}
-
-**Alternative:** Add Platform Token to .env:
-\`DT_PLATFORM_TOKEN=dt0s16.YOUR_TOKEN_HERE\`
-
-**OAuth Troubleshooting:**
-1. Verify client has these scopes: app-engine:apps:run, storage:problems:read
-2. Check client permissions in Dynatrace
-3. Ensure user has necessary environment permissions`,
-          authResult: authResult,
-          timestamp: new Date().toISOString()
-        };
-      }
+    const query = new ProblemQuery(params);
+    const cap = Math.min(query.maxProblems || this.maxProblems, this.maxProblems);
+    const problems = [];
+    let totalCount = null;
+    let nextPageKey = null;
+
+    do {
+      // The API rejects any other parameter alongside nextPageKey
+      const response = await axios.get(`${this.environmentUrl}/api/v2/problems`, {
+        headers: this.getAuthHeaders(),
+        params: nextPageKey ? { nextPageKey } : {
+          from: query.from,
+          to: query.to,
+          pageSize: Math.min(cap, 500),
+          problemSelector: query.toProblemSelector(),
+          entitySelector: query.entitySelector
+        },
+        timeout: 30000
+      });
+
+      problems.push(...(response.data.problems || []));
+      totalCount = response.data.totalCount ?? totalCount;
+      nextPageKey = response.data.nextPageKey;
+    } while (nextPageKey && problems.length < cap);
+
+    if (nextPageKey) {
+      console.log(`📄 Problem list capped at ${cap} of ${totalCount ?? 'more'} problems`);
+    }
+
+    return {
+      problems: problems.slice(0, cap),
+      totalCount
+    };
+  }
+
+  // Accepts the internal problem ID or the display ID shown in the UI (P-25096554)
+  async getProblemDetails(problemId) {
+    await this.requireAuthentication();
 
-      switch (queryType) {
-        case 'problems':
-          return this.getProblems();
-        case 'environment':
-          return this.getEnvironmentInfo();
-        default:
-          return this.getEnvironmentInfo();
+    let id = problemId;
+    if (/^P-\d+$/.test(problemId)) {
+      const lookup = await axios.get(`${this.environmentUrl}/api/v2/problems`, {
+        headers: this.getAuthHeaders(),
+        params: {
+          from: 'now-365d',
+          problemSelector: `displayId("${problemId}")`,
+          pageSize: 1
+        },
+        timeout: 30000
+      });
+      id = lookup.data.problems?.[0]?.problemId;
+      if (!id) {
+        const error = new Error(`Problem ${problemId} not found`);
+        error.status = 404;
+        throw error;
       }
-    } catch (error) {
-      console.error('❌ Dynatrace API execution error:', error);
-      throw error;
     }
+
+    const response = await axios.get(`${this.environmentUrl}/api/v2/problems/${encodeURIComponent(id)}`, {
+      headers: this.getAuthHeaders(),
+      params: {
+        fields: '+evidenceDetails,+impactAnalysis,+recentComments'
+      },
+      timeout: 30000
+    });
+
+    return response.data;
   }
 
-  async executeWithPlatformToken(message, queryType) {
-    console.log('🔑 Using Platform Token for authentication');
-    
+  async getEntityDetails(entityId) {
+    await this.requireAuthentication();
+
+    const response = await axios.get(`${this.environmentUrl}/api/v2/entities/${encodeURIComponent(entityId)}`, {
+      headers: this.getAuthHeaders(),
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  // Log lines come from Grail; the classic log search API is deprecated
+  async searchLogs(params = {}) {
+    const query = new LogQuery(params);
+    const result = await this.executeDQL(query.toDQL(), { maxResultRecords: query.limit });
+    return { records: result.records };
+  }
+
+  // Metrics API v2; resolution is a number of data points or a timespan such as 5m
+  async queryMetrics(params = {}) {
+    await this.requireAuthentication();
+
+    const response = await axios.get(`${this.environmentUrl}/api/v2/metrics/query`, {
+      headers: this.getAuthHeaders(),
+      params: {
+        metricSelector: params.metricSelector,
+        entitySelector: params.entitySelector,
+        from: params.from || 'now-2h',
+        to: params.to || 'now',
+        resolution: params.resolution || 60
+      },
+      timeout: 30000
+    });
+
     return {
-      type: 'platform_token',
-      message: `🔑 **Platform Token Authentication Ready**
+      resolution: response.data.resolution,
+      result: response.data.result || []
+    };
+  }
 
-**Environment:** ${this.environmentUrl}
-**Token:** ${this.platformToken ? 'Configured' : 'Missing'}
-**Query Type:** ${queryType}
+  // Entities by ID, or by type and name; the API needs a type or an ID in every selector
+  async searchEntities(params = {}) {
+    await this.requireAuthentication();
 
-**Status:** Platform token detected but query execution needs implementation.
-This follows the official Dynatrace MCP v0.5.0+ pattern.`,
-      timestamp: new Date().toISOString()
+    const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    const selectors = params.ids?.length
+      ? [`entityId(${params.ids.map(quote).join(',')})`]
+      : (params.type ? [params.type] : ENTITY_SEARCH_TYPES).map(type =>
+        `type(${quote(type)})${params.name ? `,entityName.contains(${quote(params.name)})` : ''}`);
+
+    const pages = await Promise.all(selectors.map(entitySelector =>
+      axios.get(`${this.environmentUrl}/api/v2/entities`, {
+        headers: this.getAuthHeaders(),
+        params: {
+          entitySelector,
+          from: 'now-3d',
+          pageSize: params.limit || 50,
+          fields: '+properties,+tags,+managementZones,+fromRelationships,+toRelationships'
+        },
+        timeout: 30000
+      })
+    ));
+
+    return {
+      entities: pages.flatMap(page => page.data.entities || []),
+      totalCount: pages.reduce((sum, page) => sum + (page.data.totalCount || 0), 0)
     };
   }
 
-  async getProblems() {
-    try {
-      console.log('🚨 Fetching problems using OAuth Bearer token...');
-      
-      // Test the management API first (like in official docs)
-      const managementUrl = `${this.environmentUrl}/platform/management/v1/environment`;
-      console.log(`📞 Testing connection: ${managementUrl}`);
-      
-      const testResponse = await axios.get(managementUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json'
+  // Lists open security problems, then loads remediation text, vulnerable components and the
+  // per-process-group remediation items for each one that passes the filters
+  async listVulnerabilities(params = {}) {
+    await this.requireAuthentication();
+
+    const query = new VulnerabilityQuery(params);
+    const cap = Math.min(query.maxVulnerabilities || this.maxVulnerabilities, this.maxVulnerabilities);
+    const securityProblems = [];
+    let totalCount = null;
+    let nextPageKey = null;
+
+    do {
+      const response = await axios.get(`${this.environmentUrl}/api/v2/securityProblems`, {
+        headers: this.getAuthHeaders(),
+        params: nextPageKey ? { nextPageKey } : {
+          pageSize: 100,
+          securityProblemSelector: query.toSecurityProblemSelector(),
+          sort: '-riskAssessment.riskScore',
+          fields: '+riskAssessment,+managementZones'
         },
         timeout: 30000
       });
 
-      console.log(`✅ Environment test successful: ${testResponse.data.environmentId}`);
+      // Exposure is in the list payload already; filter before paying for the detail calls
+      const page = (response.data.securityProblems || []).filter(sp => !query.exposure || sp.riskAssessment?.exposure === query.exposure);
+      securityProblems.push(...page);
+      totalCount = response.data.totalCount ?? totalCount;
+      nextPageKey = response.data.nextPageKey;
+    } while (nextPageKey && securityProblems.length < cap);
 
-      // Now try the problems API
-      const problemsUrl = `${this.environmentUrl}/api/v2/problems`;
-      const response = await axios.get(problemsUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          from: 'now-24h',
-          to: 'now',
-          pageSize: 10
-        },
+    const detailed = [];
+    for (let i = 0; i < Math.min(securityProblems.length, cap); i += 5) {
+      detailed.push(...await Promise.all(securityProblems.slice(i, i + 5).map(sp => this.getVulnerabilityDetails(sp))));
+    }
+
+    return {
+      securityProblems: detailed.filter(sp => query.matches(sp)),
+      totalCount
+    };
+  }
+
+  async getVulnerabilityDetails(securityProblem) {
+    const id = encodeURIComponent(securityProblem.securityProblemId);
+    const [details, remediation] = await Promise.all([
+      axios.get(`${this.environmentUrl}/api/v2/securityProblems/${id}`, {
+        headers: this.getAuthHeaders(),
+        params: { fields: '+riskAssessment,+description,+remediationDescription,+vulnerableComponents,+relatedEntities' },
+        timeout: 30000
+      }),
+      axios.get(`${this.environmentUrl}/api/v2/securityProblems/${id}/remediationItems`, {
+        headers: this.getAuthHeaders(),
+        timeout: 30000
+      })
+    ]);
+
+    return {
+      ...securityProblem,
+      ...details.data,
+      remediationItems: remediation.data.remediationItems || []
+    };
+  }
+
+  async getEnvironment() {
+    await this.requireAuthentication();
+
+    const response = await axios.get(`${this.environmentUrl}/platform/management/v1/environment`, {
+      headers: this.getAuthHeaders(),
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async requireAuthentication() {
+    const authResult = await this.ensureAuthenticated();
+    if (authResult !== true) {
+      throw new Error(`Dynatrace authentication failed: ${JSON.stringify(authResult.error)}`);
+    }
+  }
+
+  async executeDQL(query, options = {}) {
+    await this.requireAuthentication();
+
+    const queryUrl = `${this.environmentUrl}/platform/storage/query/v1`;
+    const startTime = Date.now();
+    console.log(`📊 Executing DQL: ${query}`);
+
+    let body;
+    try {
+      const response = await axios.post(`${queryUrl}/query:execute`, {
+        query,
+        defaultTimeframeStart: options.from,
+        defaultTimeframeEnd: options.to,
+        maxResultRecords: options.maxResultRecords || this.query.maxResultRecords,
+        requestTimeoutMilliseconds: this.query.pollTimeoutMs
+      }, {
+        headers: this.getAuthHeaders(),
         timeout: 30000
       });
+      body = response.data;
 
-      const problems = response.data.problems || [];
-      
-      let message = `🚨 **REAL Dynatrace Problems** (${problems.length} found)\n\n`;
-      
-      if (problems.length === 0) {
-        message += '✅ **No current problems!** Your environment is healthy.\n\n';
-      } else {
-        problems.forEach((problem, index) => {
-          message += `**Problem ${index + 1}: ${problem.problemId}**\n`;
-          message += `- **Title:** ${problem.title}\n`;
-          message += `- **Status:** ${problem.status}\n`;
-          message += `- **Severity:** ${problem.severityLevel}\n`;
-          message += `- **Started:** ${new Date(problem.startTime).toLocaleString()}\n\n`;
+      while (body.state === 'RUNNING' || body.state === 'NOT_STARTED') {
+        if (Date.now() - startTime > this.query.requestTimeoutMs) {
+          await this.cancelQuery(body.requestToken);
+          throw new Error(`DQL query timed out after ${this.query.requestTimeoutMs}ms`);
+        }
+
+        console.log(`⏳ DQL query ${body.state.toLowerCase()} (${body.progress ?? 0}%)`);
+        const pollResponse = await axios.get(`${queryUrl}/query:poll`, {
+          headers: this.getAuthHeaders(),
+          params: {
+            'request-token': body.requestToken,
+            'request-timeout-milliseconds': this.query.pollTimeoutMs
+          },
+          timeout: 30000
         });
+        body = { requestToken: body.requestToken, ...pollResponse.data };
       }
+    } catch (error) {
+      throw this.toQueryError(error);
+    }
 
-      message += `**Environment:** ${testResponse.data.environmentId}\n`;
-      message += `**Authentication:** OAuth Bearer Token ✅`;
+    if (body.state !== 'SUCCEEDED') {
+      throw new Error(`DQL query ended in state ${body.state}`);
+    }
 
-      return {
-        type: 'problems',
-        message: message,
-        realData: true,
-        problemCount: problems.length,
-        problems: problems,
-        environmentId: testResponse.data.environmentId,
-        timestamp: new Date().toISOString()
-      };
+    const result = body.result || {};
+    const grail = result.metadata?.grail || {};
+    const fields = this.extractFieldTypes(result.types);
+
+    console.log(`✅ DQL returned ${result.records?.length || 0} records in ${Date.now() - startTime}ms`);
+
+    return {
+      records: this.applyFieldTypes(result.records || [], result.types),
+      fields,
+      stats: {
+        scannedBytes: grail.scannedBytes ?? null,
+        scannedRecords: grail.scannedRecords ?? null,
+        executionTimeMs: grail.executionTimeMilliseconds ?? (Date.now() - startTime),
+        sampled: grail.sampled || false,
+        queryId: grail.queryId || null,
+        analysisTimeframe: grail.analysisTimeframe || null
+      },
+      notifications: grail.notifications || []
+    };
+  }
 
+  async cancelQuery(requestToken) {
+    try {
+      await axios.post(`${this.environmentUrl}/platform/storage/query/v1/query:cancel`, null, {
+        headers: this.getAuthHeaders(),
+        params: { 'request-token': requestToken },
+        timeout: 10000
+      });
     } catch (error) {
-      console.error('❌ Problems API failed:', error.response?.status, error.response?.data);
-      
-      return {
-        type: 'problems_error',
-        message: `❌ **API Call Failed** (Following official MCP pattern)
+      console.error('⚠️ Failed to cancel DQL query:', error.message);
+    }
+  }
 
-**Management API:** ${this.environmentUrl}/platform/management/v1/environment
-**Problems API:** ${this.environmentUrl}/api/v2/problems
-**Status:** ${error.response?.status || 'Network Error'}
-**Error:** ${error.response?.data?.error?.message || error.message}
+  toQueryError(error) {
+    if (!error.response) return error;
 
-**This suggests:** OAuth authentication succeeded but API access needs adjustment.
-Check that your OAuth client has the required scopes in Dynatrace.`,
-        error: error.response?.data || error.message,
-        timestamp: new Date().toISOString()
-      };
+    const apiError = error.response.data?.error || {};
+    const position = apiError.details?.syntaxErrorPosition?.start;
+    let message = apiError.details?.errorMessage || apiError.message || error.message;
+    if (position) {
+      message += ` (line ${position.line}, column ${position.column})`;
     }
+
+    const queryError = new Error(message);
+    queryError.status = error.response.status;
+    queryError.details = apiError;
+    return queryError;
   }
 
-  detectQueryType(message) {
-    const msg = message.toLowerCase();
-    
-    if (msg.includes('problems') || msg.includes('issues')) {
-      return 'problems';
-    } else if (msg.includes('environment') || msg.includes('info')) {
-      return 'environment';
-    } else {
-      return 'problems';
+  // Grail describes column types per range of records: [{ indexRange: [0, 9], mappings: { field: { type } } }]
+  extractFieldTypes(types = []) {
+    const fields = new Map();
+    for (const range of types) {
+      for (const [name, mapping] of Object.entries(range.mappings || {})) {
+        if (!fields.has(name)) {
+          fields.set(name, { name, type: mapping.type });
+        } else if (fields.get(name).type !== mapping.type) {
+          fields.get(name).type = 'mixed';
+        }
+      }
     }
+    return [...fields.values()];
   }
 
-  async getEnvironmentInfo() {
-    try {
-      const managementUrl = `${this.environmentUrl}/platform/management/v1/environment`;
-      const response = await axios.get(managementUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      });
+  applyFieldTypes(records, types = []) {
+    return records.map((record, index) => {
+      const range = types.find(t => index >= t.indexRange[0] && index <= t.indexRange[1]);
+      if (!range) return record;
 
-      return {
-        type: 'environment',
-        message: `🏢 **Dynatrace Environment Info**
-
-**Environment ID:** ${response.data.environmentId}
-**URL:** ${this.environmentUrl}
-**State:** ${response.data.state}
-**Created:** ${new Date(response.data.createTime).toLocaleDateString()}
-
-**Authentication:** OAuth Bearer Token ✅
-**Status:** Connected to official Dynatrace APIs`,
-        realData: true,
-        environmentData: response.data,
-        timestamp: new Date().toISOString()
-      };
+      const typed = { ...record };
+      for (const [name, mapping] of Object.entries(range.mappings || {})) {
+        typed[name] = this.coerceValue(record[name], mapping.type);
+      }
+      return typed;
+    });
+  }
 
-    } catch (error) {
-      console.error('❌ Environment API failed:', error);
-      throw error;
+  coerceValue(value, type) {
+    if (value === null || value === undefined) return value;
+
+    switch (type) {
+      case 'long': {
+        // Grail serializes longs as strings; keep them as strings when they don't fit a JS number
+        const number = Number(value);
+        return Number.isSafeInteger(number) ? number : value;
+      }
+      case 'double':
+        return typeof value === 'string' ? Number(value) : value;
+      case 'boolean':
+        return value === true || value === 'true';
+      default:
+        return value;
     }
   }
+
+  getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.platformToken || this.accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+  }
 }
@@ -1,40 +0,0 @@
-// Direct integration with the installed MCP package
-export class DynatraceDirectMCP {
-  constructor(config) {
-    this.config = config;
-  }
-
-  async executeQuery(message) {
-    try {
-      const queryType = this.detectQueryType(message);
-      console.log(`🔍 Direct MCP integration: ${queryType}`);
-
-      // For now, return a status message
-      return {
-        type: 'direct_mcp_status',
-        message: `🔧 **Direct MCP Integration Status**
-
-**Query:** "${message}"
-**Type:** ${queryType}
-**MCP Package:** @dynatrace-oss/dynatrace-mcp-server installed ✅
-**OAuth Credentials:** Working ✅
-
-**Current Challenge:** Need to import and use the MCP functions directly in Node.js
-
-**Alternative approach:** Since your OAuth is working, let me help you call the exact same endpoints that the MCP uses internally.
-
-The MCP server is essentially a wrapper around Dynatrace APIs with proper authentication handling. Since we have working OAuth, we can call those APIs directly.`,
-        timestamp: new Date().toISOString()
-      };
-
-    } catch (error) {
-      console.error('Direct MCP error:', error);
-      throw error;
-    }
-  }
-
-  detectQueryType(message) {
-    const msg = message.toLowerCase();
-    return msg.includes('problems') ? 'problems' : 'general';
-  }
-}
@@ -1,185 +0,0 @@
-// Direct integration with Dynatrace MCP tools
-export class DynatraceDirect {
-  constructor(config) {
-    this.config = config;
-    this.environmentId = config.environmentId || "zjb50753";
-    this.environmentUrl = config.environment || "https://zjb50753.apps.dynatrace.com";
-  }
-
-  async executeQuery(message) {
-    try {
-      const queryType = this.detectQueryType(message);
-      console.log(`🔍 Executing real Dynatrace query: ${queryType}`);
-
-      switch (queryType) {
-        case 'problems':
-          return this.getProblems(message);
-        
-        case 'vulnerabilities':
-          return this.getVulnerabilities(message);
-        
-        case 'dql':
-          return this.executeDQL(message);
-        
-        case 'environment':
-          return this.getEnvironmentInfo();
-        
-        default:
-          return this.generateAndExecuteDQL(message);
-      }
-    } catch (error) {
-      console.error('❌ Direct Dynatrace execution error:', error);
-      throw error;
-    }
-  }
-
-  detectQueryType(message) {
-    const msg = message.toLowerCase();
-    
-    if (msg.includes('problems') || msg.includes('issues') || msg.includes('incidents')) {
-      return 'problems';
-    } else if (msg.includes('vulnerabilities') || msg.includes('security')) {
-      return 'vulnerabilities';
-    } else if (msg.includes('environment') || msg.includes('tenant') || msg.includes('info')) {
-      return 'environment';
-    } else if (msg.includes('fetch ') || msg.includes('dql')) {
-      return 'dql';
-    } else {
-      return 'generate_dql';
-    }
-  }
-
-  async getProblems(message) {
-    // This simulates calling the Dynatrace MCP list_problems function
-    // We'll replace this with actual function calls once integrated
-    
-    return {
-      type: 'problems',
-      message: `🚨 **REAL Dynatrace Problems from ${this.environmentId}**
-
-**Current Active Problems:**
-
-**Problem P-25096502** ⚡ ACTIVE  
-- **Issue:** Failure rate increase  
-- **Duration:** ~14+ days  
-- **Status:** ERROR  
-
-**Problem P-25096496** ⚡ ACTIVE  
-- **Issue:** PROD_MuleSoft_API - systemtest-mgmt-exp-api - 400 Client Errors  
-- **Duration:** ~22+ days  
-- **Status:** ERROR  
-
-**Problem P-25096376** ⚡ ACTIVE  
-- **Issue:** PROD_MuleSoft_API - jcdb-sys-api - Response Time  
-- **Duration:** ~95+ days  
-- **Status:** ERROR  
-
-**🎯 Key Insights:**
-- Multiple MuleSoft API issues (this aligns with your ADT knowledge!)
-- Long-running problems indicate potential systemic issues
-- Response time and client error patterns need investigation
-
-**Next Steps:**
-1. Investigate MuleSoft API performance patterns
-2. Check for correlation between the three problems
-3. Review error rates and response time thresholds`,
-      realData: true,
-      problemCount: 3,
-      activeProblems: ["P-25096502", "P-25096496", "P-25096376"],
-      timestamp: new Date().toISOString(),
-      environmentUrl: `${this.environmentUrl}/ui/apps/dynatrace.davis.problems`
-    };
-  }
-
-  async getVulnerabilities(message) {
-    return {
-      type: 'vulnerabilities', 
-      message: `🛡️ **Security Vulnerabilities** (Would query your ${this.environmentId} environment)
-
-**To get REAL vulnerability data:** This would call the actual vulnerability scanning tools.
-
-**Typical results would show:**
-- CVE IDs and CVSS scores from your environment
-- Affected components and versions
-- Risk assessments and remediation steps`,
-      realData: false,
-      note: "Requires actual MCP tool integration",
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  async executeDQL(message) {
-    const dqlQuery = this.extractDQLFromMessage(message);
-    
-    return {
-      type: 'dql',
-      message: `📊 **DQL Execution Results** (Would execute against ${this.environmentId})
-
-**Query:** \`${dqlQuery}\`
-
-**Environment:** ${this.environmentUrl}
-
-**To get REAL results:** This would execute the DQL against your live environment and return actual data.`,
-      dqlQuery: dqlQuery,
-      realData: false,
-      note: "Requires actual MCP tool integration", 
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  async getEnvironmentInfo() {
-    return {
-      type: 'environment',
-      message: `🏢 **Dynatrace Environment Information**
-
-**Environment ID:** ${this.environmentId}  
-**URL:** ${this.environmentUrl}  
-**Status:** ACTIVE  
-**Type:** CUSTOMER  
-
-**This is REAL data from your connected environment!**`,
-      realData: true,
-      environmentId: this.environmentId,
-      environmentUrl: this.environmentUrl,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  async generateAndExecuteDQL(message) {
-    const suggestedDQL = this.suggestDQLForMessage(message);
-    
-    return {
-      type: 'generated_dql',
-      message: `🧠 **Generated DQL for: "${message}"**
-
-**Suggested Query:** \`${suggestedDQL}\`
-
-**Would execute against:** ${this.environmentUrl}
-
-**To get REAL results:** This would generate optimal DQL and execute it against your live environment.`,
-      suggestedDQL: suggestedDQL,
-      realData: false,
-      note: "Requires actual MCP tool integration",
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  extractDQLFromMessage(message) {
-    const dqlMatch = message.match(/(?:fetch|dql:?)\s+(.+)/i);
-    return dqlMatch ? dqlMatch[1].trim() : message;
-  }
-
-  suggestDQLForMessage(message) {
-    const msg = message.toLowerCase();
-    
-    if (msg.includes('error') || msg.includes('logs')) {
-      return 'fetch logs | filter loglevel == "ERROR" | limit 100';
-    } else if (msg.includes('slow') || msg.includes('performance')) {
-      return 'fetch dt.entity.service | summarize avg(response_time), by: {service.name}';
-    } else if (msg.includes('problems')) {
-      return 'fetch dt.davis.problems | filter status == "OPEN" | limit 10';
-    } else {
-      return 'fetch dt.entity.service | limit 10';
-    }
-  }
-}
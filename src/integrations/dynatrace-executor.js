@@ -1,31 +1,91 @@
-// This module will execute actual Dynatrace queries
+import { DegradedMode } from './degraded-mode.js';
+import { DQLLinter } from './dql-linter.js';
+import { ENTITY_ID_PATTERN, PROBLEM_ID_PATTERN, VULNERABILITY_ID_PATTERN } from './dynatrace-ids.js';
+import { ProblemQuery } from './problem-query.js';
+import { VulnerabilityQuery } from './vulnerability-query.js';
+import { METRIC_CATALOG, MetricQuery } from './metric-query.js';
+import { LogQuery } from './log-query.js';
+import { LogClusterer } from './log-clusterer.js';
+import { QueryCache } from './query-cache.js';
+
+const SPARK_BARS = '▁▂▃▄▅▆▇█';
+
+const TOPOLOGY_PATTERN = /\b(depends?|dependencies|dependents|upstream|downstream|callers|calls|called by|topology|relationships|neighbou?rs|runs? on|running on)\b/i;
+
+// How each relationship reads from the entity's point of view; unknown kinds fall back to their raw name
+const RELATIONSHIP_LABELS = {
+  from: {
+    calls: '⬇️ Calls (downstream)',
+    runsOn: '🖥️ Runs on',
+    runsOnHost: '🖥️ Runs on',
+    isProcessOf: '🖥️ Runs on',
+    belongsTo: '📁 Belongs to',
+    isInstanceOf: '📁 Belongs to'
+  },
+  to: {
+    calls: '⬆️ Called by (upstream)',
+    runsOn: '⚙️ Runs',
+    runsOnHost: '⚙️ Runs',
+    isProcessOf: '⚙️ Runs',
+    belongsTo: '📂 Contains',
+    isInstanceOf: '📂 Instances'
+  }
+};
+
+// Routes chat messages to the configured Dynatrace backend and formats the results
 export class DynatraceExecutor {
-  constructor(config) {
-    this.config = config;
-    // We'll need to connect to the actual MCP tools available in your session
+  constructor(backend, { redis = null, dqlGenerator = null } = {}) {
+    this.backend = backend;
+    this.redis = redis;
+    this.degraded = new DegradedMode(redis);
+    this.dqlGenerator = dqlGenerator;
+    this.linter = new DQLLinter();
+    this.clusterer = new LogClusterer();
+  }
+
+  get backendName() {
+    return this.backend.backendName || 'dynatrace';
   }
 
   async executeQuery(message) {
     try {
-      // First, let's try to detect what type of query this is
       const queryType = this.detectQueryType(message);
-      console.log(`🔍 Detected query type: ${queryType}`);
+      console.log(`🔍 Detected query type: ${queryType} (backend: ${this.backendName})`);
 
       switch (queryType) {
+        case 'dql':
+          return this.executeDQL(message);
+
         case 'problems':
           return this.getProblems(message);
-        
+
+        case 'problem_details':
+          return this.getProblemDetails(message.match(PROBLEM_ID_PATTERN)[0]);
+
+        case 'logs':
+          return this.getLogs(message);
+
         case 'vulnerabilities':
           return this.getVulnerabilities(message);
-        
-        case 'dql':
-          return this.executeDQL(message);
-        
+
+        case 'metrics':
+          return this.getMetrics(message);
+
         case 'entities':
           return this.getEntities(message);
-        
+
+        case 'entity_search':
+          return this.searchEntities(message);
+
+        case 'topology':
+          return this.getTopology(message);
+
+        case 'environment':
+          return this.getEnvironmentInfo();
+
+        case 'generate_dql':
         default:
-          return this.generateDQLAndExecute(message);
+          return this.generateDQL(message);
       }
     } catch (error) {
       console.error('❌ Dynatrace execution error:', error);
@@ -35,13 +95,29 @@ export class DynatraceExecutor {
 
   detectQueryType(message) {
     const msg = message.toLowerCase();
-    
-    if (msg.includes('problems') || msg.includes('issues') || msg.includes('incidents')) {
-      return 'problems';
-    } else if (msg.includes('vulnerabilities') || msg.includes('security')) {
-      return 'vulnerabilities';
-    } else if (msg.includes('fetch ') || msg.includes('dql')) {
+
+    if (this.extractDQLFromMessage(message)) {
       return 'dql';
+    } else if (/\b(generate|write|build|create)\b.*\b(dql|query)\b/.test(msg)) {
+      return 'generate_dql';
+    } else if (PROBLEM_ID_PATTERN.test(message)) {
+      return 'problem_details';
+    } else if (/\b(logs|log (lines|entries|messages|patterns))\b/.test(msg)) {
+      return 'logs';
+    } else if (VULNERABILITY_ID_PATTERN.test(message) || msg.includes('vulnerabilities') || msg.includes('security') || msg.includes('cve')) {
+      return 'vulnerabilities';
+    } else if (msg.includes('problems') || msg.includes('issues') || msg.includes('incidents')) {
+      return 'problems';
+    } else if (MetricQuery.findMetric(message)) {
+      return 'metrics';
+    } else if (TOPOLOGY_PATTERN.test(message) && (ENTITY_ID_PATTERN.test(message) || this.extractEntityName(message))) {
+      return 'topology';
+    } else if (ENTITY_ID_PATTERN.test(message)) {
+      return 'entities';
+    } else if (/\b(find|search|look ?up|list|show)\b.*\b(services?|hosts?|process(es| groups?)|applications?|entit(y|ies))\b/.test(msg)) {
+      return 'entity_search';
+    } else if (msg.includes('environment') || msg.includes('tenant')) {
+      return 'environment';
     } else if (msg.includes('entities') || msg.includes('services') || msg.includes('hosts')) {
       return 'entities';
     } else {
@@ -49,145 +125,1073 @@ export class DynatraceExecutor {
     }
   }
 
+  // The operation and parameters a message resolves to, worked out without calling the backend;
+  // differently worded questions for the same data resolve to the same operation and parameters
+  resolveOperation(message) {
+    switch (this.detectQueryType(message)) {
+      case 'dql':
+        return { operation: 'executeDQL', params: { query: this.extractDQLFromMessage(message) } };
+
+      case 'problems':
+        return { operation: 'listProblems', params: ProblemQuery.fromMessage(message).toParams() };
+
+      case 'problem_details':
+        return { operation: 'getProblemDetails', params: { problemId: message.match(PROBLEM_ID_PATTERN)[0] } };
+
+      case 'logs': {
+        const query = LogQuery.fromMessage(message);
+        return { operation: 'searchLogs', params: { ...query.toParams(), entityName: query.entityName } };
+      }
+
+      case 'vulnerabilities':
+        return { operation: 'listVulnerabilities', params: VulnerabilityQuery.fromMessage(message).toParams() };
+
+      case 'metrics': {
+        const query = MetricQuery.fromMessage(message) || new MetricQuery();
+        return { operation: 'queryMetrics', params: { ...query.toParams(), entityName: query.entityName } };
+      }
+
+      case 'entities': {
+        const entityId = message.match(ENTITY_ID_PATTERN)?.[0];
+        return entityId
+          ? { operation: 'getEntityDetails', params: { entityId } }
+          : { operation: 'searchEntities', params: this.entitySearchParams(message) };
+      }
+
+      case 'entity_search':
+        return { operation: 'searchEntities', params: this.entitySearchParams(message) };
+
+      case 'topology': {
+        const entityId = message.match(ENTITY_ID_PATTERN)?.[0];
+        const name = entityId ? undefined : this.extractEntityName(message);
+        return { operation: 'getTopology', params: entityId ? { entityId } : { name, type: name && this.detectEntityType(message.replace(name, '')) } };
+      }
+
+      case 'environment':
+        return { operation: 'getEnvironment', params: {} };
+
+      default:
+        return { operation: 'generateDQL', params: { question: message.toLowerCase().replace(/[^\w\s.:-]/g, '').replace(/\s+/g, ' ').trim() } };
+    }
+  }
+
+  // Runs a backend call through degraded mode and stamps the result with where it came from
+  // timestamp is when the data was fetched from Dynatrace, which is earlier than now when the backend
+  // calls were served from the cache; backendCache says whether they all ('hit'), some ('partial') or none were
+  async run(operation, params, fn) {
+    return this.degraded.run(`${this.backendName}:${operation}`, params, async () => {
+      const { value, cache, fetchedAt } = await QueryCache.track(fn);
+      return {
+        ...value,
+        realData: this.backend.live !== false,
+        fixture: this.backend.live === false,
+        backend: this.backendName,
+        backendCache: cache,
+        timestamp: fetchedAt
+      };
+    });
+  }
+
+  // Unknown IDs and names are answered as "not found"; auth, network and server errors are real failures
+  static isNotFound(error) {
+    return (error.status ?? error.response?.status) === 404;
+  }
+
   async getProblems(message) {
-    // This would call the actual Dynatrace MCP list_problems function
-    console.log('🔍 Executing: list_problems');
-    
-    // For now, simulate the call - we'll replace this with actual MCP calls
-    return {
-      type: 'problems',
-      message: `🚨 **Current Dynatrace Problems** (Simulated - needs real MCP connection)
+    return this.listProblems(ProblemQuery.fromMessage(message));
+  }
 
-**To get REAL data, we need to connect to your actual Dynatrace MCP tools.**
+  // Structured entry point for the HTTP API and tools; accepts a ProblemQuery or its params
+  async listProblems(query = {}) {
+    if (!(query instanceof ProblemQuery)) {
+      query = new ProblemQuery(query);
+    }
+    const params = query.toParams();
 
-**What this would return with real connection:**
-- Live problems from ${this.config.environment || 'your Dynatrace environment'}
-- Problem IDs, affected entities, root causes
-- Severity levels and impact analysis
-- Timeline and resolution status
+    return this.run('listProblems', params, async () => {
+      const data = await this.backend.listProblems(params);
+      return {
+        type: 'problems',
+        message: this.formatProblems(data, query),
+        problemCount: data.problems.length,
+        totalCount: data.totalCount,
+        problems: data.problems,
+        query: params,
+        executedQuery: `listProblems(${JSON.stringify(params)})`,
+        ...this.problemFollowUps(data.problems)
+      };
+    });
+  }
 
-**Sample of what you'd see:**
-\`\`\`
-Problem ID: P-12345
-Title: High response time on checkout service
-Severity: CRITICAL
-Affected: easyTravel-frontend
-Status: OPEN
-Duration: 15 minutes
-Root Cause: Database connection pool exhausted
-\`\`\`
+  formatProblems(data, query = null) {
+    const { problems } = data;
 
-💡 **Next step:** Connect this to your existing Dynatrace MCP session.`,
-      executedQuery: 'list_problems({ maxProblemsToDisplay: 10 })',
-      timestamp: new Date().toISOString()
+    // Backends that only have a text rendering (e.g. upstream MCP) pass it through
+    if (problems.length === 0 && data.text) {
+      return `🚨 **Dynatrace Problems**\n\n${data.text}`;
+    }
+
+    const found = data.totalCount > problems.length ? `showing ${problems.length} of ${data.totalCount}` : `${problems.length} found`;
+    let message = `🚨 **Dynatrace Problems** (${found})\n`;
+    if (query) {
+      message += `_Filter: ${query.describe()}_\n`;
+    }
+    message += '\n';
+    if (problems.length === 0) {
+      return message + '✅ **No matching problems!** Nothing was reported for this filter.';
+    }
+
+    problems.forEach((problem, index) => {
+      message += `**Problem ${index + 1}: ${problem.displayId || problem.problemId}**\n`;
+      message += `- **Title:** ${problem.title}\n`;
+      message += `- **Status:** ${problem.status}\n`;
+      message += `- **Severity:** ${problem.severityLevel}\n`;
+      message += `- **Started:** ${new Date(problem.startTime).toLocaleString()}\n`;
+      if (problem.endTime && problem.endTime > 0) {
+        message += `- **Ended:** ${new Date(problem.endTime).toLocaleString()}\n`;
+      }
+      message += `- **Affected Entities:** ${problem.affectedEntities?.length || 0}\n`;
+      message += `- **Management Zones:** ${problem.managementZones?.map(mz => mz.name).join(', ') || 'None'}\n\n`;
+    });
+    return message.trimEnd();
+  }
+
+  async getProblemDetails(problemId) {
+    console.log(`🔍 Fetching problem details: ${problemId}`);
+
+    try {
+      return await this.run('getProblemDetails', { problemId }, async () => {
+        const problem = await this.backend.getProblemDetails(problemId);
+        return {
+          type: 'problem_details',
+          message: this.formatProblemDetails(problem),
+          problem,
+          executedQuery: `getProblemDetails(${problemId})`,
+          ...this.problemDetailFollowUps(problem)
+        };
+      });
+    } catch (error) {
+      if (!DynatraceExecutor.isNotFound(error)) throw error;
+      return {
+        type: 'problem_not_found',
+        message: `🚨 **Problem not found:** \`${problemId}\`\n\n${error.message}`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  problemFollowUps(problems) {
+    const first = problems.find(problem => problem.status === 'OPEN') || problems[0];
+    if (!first) return {};
+    return {
+      dqlSuggestions: ['fetch dt.davis.problems, from: now() - 24h | filter event.status == "ACTIVE" | summarize problems = count(), by: {event.category}'],
+      nextSteps: [`Drill into ${first.displayId || first.problemId} for evidence, impact and timeline: "details of ${first.displayId || first.problemId}"`]
     };
   }
 
-  async getVulnerabilities(message) {
-    console.log('🔍 Executing: list_vulnerabilities');
-    
+  // Where to look next: the root cause's logs, dependencies and response time
+  problemDetailFollowUps(problem) {
+    const root = problem.rootCauseEntity;
+    if (!root?.entityId?.id) return {};
     return {
-      type: 'vulnerabilities',
-      message: `🛡️ **Security Vulnerabilities** (Simulated - needs real MCP connection)
+      dqlSuggestions: [new LogQuery({ level: 'ERROR', entityIds: [root.entityId.id], from: 'now-2h', limit: 100 }).toDQL()],
+      nextSteps: [
+        `Check error log patterns on the root cause: "error logs for ${root.entityId.id}"`,
+        `See what ${root.name} depends on: "what does ${root.entityId.id} depend on"`
+      ]
+    };
+  }
 
-**Would show REAL vulnerabilities from your environment:**
-- CVE IDs and severity scores
-- Affected components and versions
-- Remediation recommendations
-- Risk assessment and exposure
+  formatProblemDetails(problem) {
+    if (problem.text) {
+      return `🚨 **Problem ${problem.problemId || ''}**\n\n${problem.text}`;
+    }
 
-**Sample:**
-\`\`\`
-CVE-2024-12345: Critical
-Component: log4j-2.14.1
-Risk Score: 9.8
-Exposure: Public Network
-Recommendation: Upgrade to 2.17.1+
-\`\`\``,
-      executedQuery: 'list_vulnerabilities({ riskScore: 8 })',
-      timestamp: new Date().toISOString()
+    const entityName = (entity) => entity ? `${entity.name} (\`${entity.entityId?.id}\`)` : 'unknown';
+    const evidence = problem.evidenceDetails?.details || [];
+    const impacts = problem.impactAnalysis?.impacts || [];
+    const comments = problem.recentComments?.comments || [];
+
+    let message = `🚨 **${problem.displayId || problem.problemId}: ${problem.title}**\n\n`;
+    message += `- **Status:** ${problem.status}\n`;
+    message += `- **Severity:** ${problem.severityLevel} | **Impact:** ${problem.impactLevel}\n`;
+    message += `- **Root cause:** ${problem.rootCauseEntity ? entityName(problem.rootCauseEntity) : 'not identified'}\n`;
+    message += `- **Management Zones:** ${problem.managementZones?.map(mz => mz.name).join(', ') || 'None'}\n`;
+
+    if (evidence.length > 0) {
+      message += `\n**🔬 Evidence** (${evidence.length})\n`;
+      for (const item of evidence) {
+        message += `- ${item.rootCauseRelevant ? '🎯 ' : ''}**${item.displayName}** on ${item.entity?.name || 'unknown'} - ${this.describeEvidence(item)}\n`;
+      }
+    }
+
+    const impacted = impacts.length > 0
+      ? impacts.map(impact => `- ${entityName(impact.impactedEntity)} - ${impact.impactType}${impact.estimatedAffectedUsers ? `, ~${impact.estimatedAffectedUsers} users` : ''}`)
+      : (problem.impactedEntities || problem.affectedEntities || []).map(entity => `- ${entityName(entity)}`);
+    if (impacted.length > 0) {
+      message += `\n**💥 Impacted Entities** (${impacted.length})\n${impacted.join('\n')}\n`;
+    }
+
+    if (comments.length > 0) {
+      message += `\n**💬 Comments** (${problem.recentComments.totalCount ?? comments.length})\n`;
+      for (const comment of comments) {
+        message += `- ${new Date(comment.createdAtTimestamp).toLocaleString()} **${comment.authorName}**: ${comment.content}\n`;
+      }
+    }
+
+    message += `\n**🕒 Timeline**\n${this.buildProblemTimeline(problem).map(entry => `- ${new Date(entry.time).toLocaleString()} - ${entry.label}`).join('\n')}`;
+    return message;
+  }
+
+  describeEvidence(item) {
+    switch (item.evidenceType) {
+      case 'METRIC':
+      case 'TRANSACTIONAL':
+        return `${this.formatMetricValue(item.valueBeforeChangePoint, item.unit)} → ${this.formatMetricValue(item.valueAfterChangePoint, item.unit)}`;
+      case 'EVENT':
+        return `event ${item.eventType || ''}`.trim();
+      case 'AVAILABILITY_EVIDENCE':
+        return item.endTime > 0 ? `unavailable until ${new Date(item.endTime).toLocaleTimeString()}` : 'unavailable';
+      case 'MAINTENANCE_WINDOW':
+        return 'maintenance window';
+      default:
+        return item.evidenceType;
+    }
+  }
+
+  formatMetricValue(value, unit) {
+    if (typeof value !== 'number') return '?';
+    switch (unit) {
+      case 'MicroSecond':
+        return value >= 1e6 ? `${(value / 1e6).toFixed(2)} s` : `${(value / 1000).toFixed(0)} ms`;
+      case 'MilliSecond':
+        return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value.toFixed(0)} ms`;
+      case 'Percent':
+        return `${Number(value.toFixed(1))}%`;
+      case 'Count':
+        return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : `${Math.round(value)}`;
+      case 'Byte':
+        return value >= 1024 ** 3 ? `${(value / 1024 ** 3).toFixed(1)} GiB` : `${(value / 1024 ** 2).toFixed(1)} MiB`;
+      default:
+        return `${value}${unit ? ` ${unit}` : ''}`;
+    }
+  }
+
+  // Opened, evidence, comments and closed, in order of occurrence
+  buildProblemTimeline(problem) {
+    const entries = [{ time: problem.startTime, label: 'Problem opened' }];
+    for (const item of problem.evidenceDetails?.details || []) {
+      entries.push({ time: item.startTime, label: `${item.evidenceType.toLowerCase().replace(/_/g, ' ')}: ${item.displayName}` });
+    }
+    for (const comment of problem.recentComments?.comments || []) {
+      entries.push({ time: comment.createdAtTimestamp, label: `comment by ${comment.authorName}` });
+    }
+    if (problem.endTime > 0) {
+      entries.push({ time: problem.endTime, label: 'Problem closed' });
+    }
+    return entries.filter(entry => entry.time > 0).sort((a, b) => a.time - b.time);
+  }
+
+  async getVulnerabilities(message) {
+    return this.listVulnerabilities(VulnerabilityQuery.fromMessage(message));
+  }
+
+  // Structured entry point for the HTTP API and tools; accepts a VulnerabilityQuery or its params
+  async listVulnerabilities(query = {}) {
+    if (!(query instanceof VulnerabilityQuery)) {
+      query = new VulnerabilityQuery(query);
+    }
+    const params = query.toParams();
+
+    return this.run('listVulnerabilities', params, async () => {
+      const data = await this.backend.listVulnerabilities(params);
+      return {
+        type: 'vulnerabilities',
+        message: this.formatVulnerabilities(data, query),
+        vulnerabilityCount: data.securityProblems.length,
+        securityProblems: data.securityProblems,
+        groups: query.groupBy ? this.groupVulnerabilities(data.securityProblems, query) : undefined,
+        query: params,
+        executedQuery: `listVulnerabilities(${JSON.stringify(params)})`
+      };
+    });
+  }
+
+  formatVulnerabilities(data, query = null) {
+    const { securityProblems } = data;
+
+    if (securityProblems.length === 0 && data.text) {
+      return `🛡️ **Security Vulnerabilities**\n\n${data.text}`;
+    }
+
+    let message = `🛡️ **Security Vulnerabilities** (${securityProblems.length} open)\n`;
+    if (query) {
+      message += `_Filter: ${query.describe()}_\n`;
+    }
+    message += '\n';
+    if (securityProblems.length === 0) {
+      return message + '✅ **No open vulnerabilities** match this request.';
+    }
+
+    if (query?.groupBy) {
+      return message + this.formatVulnerabilityGroups(securityProblems, query);
+    }
+
+    for (const vulnerability of securityProblems) {
+      const risk = vulnerability.riskAssessment || {};
+      message += `**${vulnerability.displayId}** - ${vulnerability.title}\n`;
+      if (vulnerability.cveIds?.length) {
+        message += `- **CVE:** ${vulnerability.cveIds.join(', ')}\n`;
+      }
+      message += `- **Risk:** ${risk.riskLevel || 'UNKNOWN'} (${risk.riskScore ?? '?'})\n`;
+      message += `- **Exposure:** ${risk.exposure || 'NOT_AVAILABLE'}\n`;
+      message += `- **Technology:** ${vulnerability.technology || 'unknown'}\n`;
+      if (vulnerability.vulnerableComponents?.length) {
+        message += `- **Library:** ${vulnerability.vulnerableComponents.map(c => c.displayName).join(', ')}\n`;
+      }
+      if (vulnerability.remediationItems?.length) {
+        message += `- **Process Groups:** ${vulnerability.remediationItems.map(item => item.name).join(', ')}\n`;
+      }
+      if (vulnerability.remediationDescription) {
+        message += `- **Remediation:** ${VulnerabilityQuery.hasFix(vulnerability) ? '🩹' : '⛔'} ${vulnerability.remediationDescription}\n`;
+      }
+      message += '\n';
+    }
+    return message.trimEnd();
+  }
+
+  // Groups keyed by process group, library or service; a vulnerability can land in several.
+  // Process groups carry their own exposure, so an exposure filter also drops unexposed groups.
+  groupVulnerabilities(securityProblems, query) {
+    const groups = new Map();
+    const add = (key, name, vulnerability, exposure) => {
+      if (!groups.has(key)) {
+        groups.set(key, { key, name, vulnerabilities: [] });
+      }
+      groups.get(key).vulnerabilities.push({ ...vulnerability, exposure });
     };
+
+    for (const vulnerability of securityProblems) {
+      const exposure = vulnerability.riskAssessment?.exposure;
+      const members = {
+        processGroup: () => (vulnerability.remediationItems || [])
+          .map(item => [item.id, item.name, item.assessment?.exposure ?? exposure])
+          .filter(([, , itemExposure]) => !query.exposure || itemExposure === query.exposure),
+        library: () => (vulnerability.vulnerableComponents || []).map(component => [component.displayName, component.displayName, exposure]),
+        service: () => (vulnerability.relatedEntities?.services || []).map(service => [service.id, service.id, exposure])
+      }[query.groupBy]();
+
+      if (members.length === 0 && query.groupBy !== 'processGroup') {
+        add('unknown', 'Unknown', vulnerability, exposure);
+      }
+      for (const [key, name, memberExposure] of members) {
+        add(key, name, vulnerability, memberExposure);
+      }
+    }
+
+    // Most urgent group first
+    const topScore = (group) => Math.max(...group.vulnerabilities.map(v => v.riskAssessment?.riskScore ?? 0));
+    return [...groups.values()].sort((a, b) => topScore(b) - topScore(a));
+  }
+
+  formatVulnerabilityGroups(securityProblems, query) {
+    const icon = { processGroup: '⚙️', library: '📦', service: '🔧' }[query.groupBy];
+    let message = '';
+
+    for (const group of this.groupVulnerabilities(securityProblems, query)) {
+      message += `${icon} **${query.groupBy === 'service' ? `\`${group.name}\`` : group.name}** (${group.vulnerabilities.length})\n`;
+      for (const vulnerability of group.vulnerabilities) {
+        const risk = vulnerability.riskAssessment || {};
+        const exposed = vulnerability.exposure === 'PUBLIC_NETWORK' ? ' · 🌐 exposed' : '';
+        message += `- **${vulnerability.displayId}** ${vulnerability.cveIds?.join(', ') || vulnerability.title} - ${risk.riskLevel || 'UNKNOWN'} (${risk.riskScore ?? '?'})${exposed}\n`;
+      }
+      message += '\n';
+    }
+
+    // Remediation once per vulnerability rather than once per group it appears in
+    const remediations = securityProblems.filter(v => v.remediationDescription);
+    if (remediations.length > 0) {
+      message += '**🩹 Remediation**\n';
+      for (const vulnerability of remediations) {
+        message += `- **${vulnerability.displayId}:** ${VulnerabilityQuery.hasFix(vulnerability) ? '' : '⛔ '}${vulnerability.remediationDescription}\n`;
+      }
+    }
+    return message.trimEnd();
+  }
+
+  async getMetrics(message) {
+    return this.queryMetrics(MetricQuery.fromMessage(message) || {});
+  }
+
+  // Structured entry point for the HTTP API and tools; accepts a MetricQuery or its params.
+  // An entity given by name is resolved to its ID first.
+  async queryMetrics(query = {}) {
+    if (!(query instanceof MetricQuery)) {
+      query = new MetricQuery(query);
+    }
+    if (!query.metricSelector) {
+      return {
+        type: 'metrics_error',
+        message: `📈 **Which metric?** Try ${METRIC_CATALOG.map(metric => metric.label.toLowerCase()).join(', ')}, or paste a metric selector such as \`builtin:service.response.time\`.`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // The name is resolved inside run() so a failing lookup is degraded like the query itself
+    const lookup = Boolean(query.entityName && !query.entitySelector);
+    try {
+      return await this.run('queryMetrics', lookup ? { ...query.toParams(), entityName: query.entityName } : query.toParams(), async () => {
+        if (lookup) {
+          const { entity } = await this.resolveEntity(undefined, query.entityName, query.metric?.entityType);
+          query.entitySelector = `entityId("${entity.entityId}")`;
+        }
+
+        const params = query.toParams();
+        const data = await this.backend.queryMetrics(params);
+        const series = await this.toSeries(data, query);
+        return {
+          type: 'metrics',
+          message: this.formatMetrics(series, query),
+          series,
+          resolution: data.resolution,
+          query: params,
+          executedQuery: `queryMetrics(${JSON.stringify(params)})`
+        };
+      });
+    } catch (error) {
+      // Only a 404 from the name lookup itself, i.e. before the selector was set, means no such entity
+      if (!lookup || query.entitySelector || !DynatraceExecutor.isNotFound(error)) throw error;
+      return {
+        type: 'entity_not_found',
+        message: `🔍 **Entity not found:** \`${query.entityName}\`\n\n${error.message}`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  // One flat series per metric and entity, with the entity's display name and summary stats
+  async toSeries(data, query) {
+    const series = data.result.flatMap(result => (result.data || []).map(item => ({
+      metricId: result.metricId,
+      entityId: Object.values(item.dimensionMap || {})[0] || item.dimensions?.[0],
+      unit: query.metric?.unit,
+      timestamps: item.timestamps,
+      values: item.values
+    })));
+
+    const ids = [...new Set(series.map(s => s.entityId).filter(id => ENTITY_ID_PATTERN.test(id)))];
+    let names = {};
+    if (ids.length > 0) {
+      try {
+        const { entities } = await this.backend.searchEntities({ ids, limit: ids.length });
+        names = Object.fromEntries(entities.map(entity => [entity.entityId, entity.displayName]));
+      } catch (error) {
+        console.warn('⚠️ Could not resolve metric entity names:', error.message);
+      }
+    }
+
+    return series.map(s => ({ ...s, entityName: names[s.entityId] || s.entityId, stats: this.seriesStats(s.values) }));
+  }
+
+  seriesStats(values = []) {
+    const points = values.filter(value => typeof value === 'number');
+    if (points.length === 0) return null;
+    const sorted = [...points].sort((a, b) => a - b);
+    return {
+      min: sorted[0],
+      avg: points.reduce((sum, value) => sum + value, 0) / points.length,
+      max: sorted[sorted.length - 1],
+      p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+      last: points[points.length - 1]
+    };
+  }
+
+  // Unicode block sparkline, averaged down to at most `width` bars; gaps render as spaces
+  sparkline(values = [], width = 60) {
+    const bucket = Math.max(1, Math.ceil(values.length / width));
+    const points = [];
+    for (let i = 0; i < values.length; i += bucket) {
+      const slice = values.slice(i, i + bucket).filter(value => typeof value === 'number');
+      points.push(slice.length > 0 ? slice.reduce((sum, value) => sum + value, 0) / slice.length : null);
+    }
+
+    const numbers = points.filter(value => value !== null);
+    const min = Math.min(...numbers);
+    const range = Math.max(...numbers) - min;
+    return points.map(value => {
+      if (value === null) return ' ';
+      return SPARK_BARS[range > 0 ? Math.round((value - min) / range * (SPARK_BARS.length - 1)) : 0];
+    }).join('');
+  }
+
+  formatMetrics(series, query) {
+    const label = query.metric?.label || query.metricSelector;
+    const value = (v) => this.formatMetricValue(v, query.metric?.unit);
+    const withData = series.filter(s => s.stats);
+
+    if (withData.length === 0) {
+      return `📈 **${label}**\n_Query: ${query.describe()}_\n\nNo data points in this timeframe.`;
+    }
+
+    if (withData.length === 1) {
+      const [s] = withData;
+      const { stats } = s;
+      return `📈 **${label}** · ${s.entityName}${s.entityName !== s.entityId ? ` (\`${s.entityId}\`)` : ''}
+_Query: ${query.describe()}_
+
+\`${this.sparkline(s.values)}\`
+
+**Min:** ${value(stats.min)} | **Avg:** ${value(stats.avg)} | **Max:** ${value(stats.max)} | **p95:** ${value(stats.p95)} | **Last:** ${value(stats.last)}`;
+    }
+
+    // Several entities: the ten with the highest average, each with its own sparkline
+    const top = [...withData].sort((a, b) => b.stats.avg - a.stats.avg).slice(0, 10);
+    let message = `📈 **${label}** (${withData.length} series${withData.length > top.length ? `, top ${top.length} by average` : ''})\n_Query: ${query.describe()}_\n\n`;
+    message += '| Entity | Trend | Avg | p95 | Max | Last |\n| --- | --- | --- | --- | --- | --- |\n';
+    for (const s of top) {
+      message += `| ${s.entityName} | \`${this.sparkline(s.values, 24)}\` | ${value(s.stats.avg)} | ${value(s.stats.p95)} | ${value(s.stats.max)} | ${value(s.stats.last)} |\n`;
+    }
+    return message.trimEnd();
+  }
+
+  async getLogs(message) {
+    return this.searchLogs(LogQuery.fromMessage(message));
+  }
+
+  // Structured entry point for the HTTP API and tools; accepts a LogQuery or its params.
+  // Lines are clustered into message patterns so both the reader and the analysis see trends, not dumps.
+  async searchLogs(query = {}) {
+    if (!(query instanceof LogQuery)) {
+      query = new LogQuery(query);
+    }
+
+    // As in queryMetrics, the name is resolved inside run() and only its 404 means no such entity
+    const lookup = Boolean(query.entityName && !query.entityIds);
+    try {
+      return await this.run('searchLogs', lookup ? { ...query.toParams(), entityName: query.entityName } : query.toParams(), async () => {
+        if (lookup) {
+          const { entity } = await this.resolveEntity(undefined, query.entityName);
+          query.entityIds = [entity.entityId];
+        }
+
+        const params = query.toParams();
+        const data = await this.backend.searchLogs(params);
+        const clusters = this.clusterer.cluster(data.records);
+        return {
+          type: 'logs',
+          message: this.formatLogs(data, clusters, query),
+          recordCount: data.records.length,
+          records: data.records,
+          clusters,
+          query: params,
+          executedQuery: query.toDQL()
+        };
+      });
+    } catch (error) {
+      if (!lookup || query.entityIds || !DynatraceExecutor.isNotFound(error)) throw error;
+      return {
+        type: 'entity_not_found',
+        message: `🔍 **Entity not found:** \`${query.entityName}\`\n\n${error.message}`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  formatLogs(data, clusters, query, maxPatterns = 10, maxLines = 10) {
+    const { records } = data;
+    if (records.length === 0 && data.text) {
+      return `📜 **Logs**\n\n${data.text}`;
+    }
+
+    let message = `📜 **Logs** (${records.length} lines, ${clusters.length} pattern${clusters.length === 1 ? '' : 's'})\n_Filter: ${query.describe()}_\n\n`;
+    if (records.length === 0) {
+      return message + '✅ **No log lines** match this search.';
+    }
+    if (records.length >= query.limit) {
+      message += `_Only the latest ${query.limit} lines were fetched; narrow the search to see older patterns._\n\n`;
+    }
+
+    const time = (value) => new Date(value).toLocaleTimeString();
+    message += '**🧩 Patterns**\n';
+    clusters.slice(0, maxPatterns).forEach((cluster, index) => {
+      const levels = Object.entries(cluster.levels).map(([level, count]) => count === cluster.count ? level : `${level} ${count}`).join(', ');
+      const seen = cluster.firstSeen === cluster.lastSeen ? time(cluster.lastSeen) : `${time(cluster.firstSeen)} - ${time(cluster.lastSeen)}`;
+      message += `${index + 1}. **×${cluster.count}** ${levels}${cluster.sources.length ? ` · ${cluster.sources.join(', ')}` : ''} · ${seen}\n`;
+      message += `   \`${cluster.template}\`\n`;
+      if (cluster.count > 1 || cluster.template !== cluster.samples[0]) {
+        message += `   _e.g._ ${cluster.samples[0]}\n`;
+      }
+    });
+    if (clusters.length > maxPatterns) {
+      message += `\n_${clusters.length - maxPatterns} less frequent patterns not shown._\n`;
+    }
+
+    message += '\n**🕒 Latest lines**\n';
+    for (const record of records.slice(0, maxLines)) {
+      const source = this.clusterer.sourceOf(record);
+      message += `- \`${time(record.timestamp)}\` **${record.loglevel || 'NONE'}**${source ? ` ${source}:` : ''} ${record.content}\n`;
+    }
+    return message.trimEnd();
   }
 
   async executeDQL(message) {
-    // Extract the DQL query
     const dqlQuery = this.extractDQLFromMessage(message);
+
+    // Syntax errors are reported locally, without a round trip to Grail
+    const lint = this.linter.lint(dqlQuery);
+    if (!lint.valid) {
+      return this.formatLintErrors(dqlQuery, lint);
+    }
+
     console.log(`🔍 Executing DQL: ${dqlQuery}`);
-    
-    return {
-      type: 'dql',
-      message: `📊 **DQL Execution Results** (Simulated - needs real MCP connection)
+
+    try {
+      return await this.run('executeDQL', { query: dqlQuery }, async () => {
+        const result = await this.backend.executeDQL(dqlQuery);
+        let resultMessage = this.formatDQLResult(dqlQuery, result);
+        if (lint.warnings.length > 0) {
+          resultMessage += `\n\n${this.linter.formatIssues(dqlQuery, lint.warnings, '⚠️')}`;
+        }
+        return {
+          type: 'dql',
+          message: resultMessage,
+          dqlQuery,
+          records: result.records,
+          fields: result.fields,
+          stats: result.stats,
+          executedQuery: dqlQuery
+        };
+      });
+    } catch (error) {
+      console.error('❌ DQL execution failed:', error.message);
+
+      return {
+        type: 'dql_error',
+        message: `❌ **DQL Execution Failed**
 
 **Query:** \`${dqlQuery}\`
+**Status:** ${error.status || error.response?.status || 'Error'}
+**Error:** ${error.message}`,
+        dqlQuery,
+        error: error.details || error.message,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
 
-**Would return REAL data from your Dynatrace environment:**
-- Actual query results in structured format
-- Data from your specific entities and metrics
-- Real timestamps and values
+  formatLintErrors(dqlQuery, lint) {
+    return {
+      type: 'dql_error',
+      message: `❌ **DQL Syntax Error** (checked locally, not sent to Dynatrace)
 
-**To get actual results:** Connect to your Dynatrace MCP session.`,
-      executedQuery: `execute_dql({ dqlStatement: "${dqlQuery}" })`,
-      dqlQuery: dqlQuery,
+${this.linter.formatIssues(dqlQuery, lint.errors, '❌')}`,
+      dqlQuery,
+      error: lint.errors[0].message,
+      lintErrors: lint.errors,
+      lintWarnings: lint.warnings,
+      realData: false,
       timestamp: new Date().toISOString()
     };
   }
 
-  async generateDQLAndExecute(message) {
-    console.log('🔍 Generating DQL from natural language and executing');
-    
-    // This would use generate_dql_from_natural_language then execute_dql
-    const suggestedDQL = this.suggestDQLForMessage(message);
-    
+  formatDQLResult(query, result, maxRows = 20) {
+    const { records, fields, stats = {} } = result;
+    let message = `📊 **DQL Results** (${records.length} records)\n\n`;
+    message += `**Query:** \`${query}\`\n\n`;
+
+    if (records.length === 0 && result.text) {
+      return message + result.text;
+    }
+
+    if (records.length === 0) {
+      message += '_No records matched this query._\n\n';
+    } else {
+      const columns = fields.map(f => f.name).slice(0, 8);
+      message += `| ${columns.join(' | ')} |\n`;
+      message += `| ${columns.map(() => '---').join(' | ')} |\n`;
+      for (const record of records.slice(0, maxRows)) {
+        const cells = columns.map(c => this.formatCell(record[c]));
+        message += `| ${cells.join(' | ')} |\n`;
+      }
+      if (records.length > maxRows) {
+        message += `\n_Showing ${maxRows} of ${records.length} records._\n`;
+      }
+      message += '\n';
+    }
+
+    const scannedMb = typeof stats.scannedBytes === 'number' ? (stats.scannedBytes / 1024 / 1024).toFixed(2) : '?';
+    message += `**Scanned:** ${scannedMb} MB (${stats.scannedRecords ?? '?'} records)`;
+    message += ` | **Execution:** ${stats.executionTimeMs ?? '?'}ms`;
+    if (stats.sampled) {
+      message += ' | ⚠️ Sampled';
+    }
+    return message;
+  }
+
+  formatCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const cell = text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return cell.length > 80 ? `${cell.substring(0, 77)}...` : cell;
+  }
+
+  // Generated queries are only shown, never run: the user reviews (and can edit) the DQL first
+  async generateDQL(message) {
+    const target = this.backendName === 'mock' ? 'the mock fixtures' : 'your environment';
+
+    if (!this.dqlGenerator) {
+      return this.formatDQLExamples(message, 'DQL generation is not configured.');
+    }
+
+    let generated;
+    try {
+      console.log('🧠 Generating DQL for natural language request');
+      generated = await this.dqlGenerator.generate(message);
+    } catch (error) {
+      console.error('❌ DQL generation failed:', error.message);
+      return this.formatDQLExamples(message, `DQL generation failed: ${error.message}`);
+    }
+
+    if (!generated.valid) {
+      return {
+        type: 'generated_dql',
+        message: `⚠️ **Could not generate valid DQL** (${generated.attempts} attempts)
+
+**Your question:** "${message}"
+
+Last attempt:
+\`\`\`dql
+${generated.dql}
+\`\`\`
+
+**Problems found:**
+${generated.errors.map(error => `- Line ${error.line}, column ${error.column}: ${error.message}`).join('\n')}
+
+Fix the query and send it to run it against ${target}.`,
+        generatedDQL: generated.dql,
+        valid: false,
+        validationErrors: generated.errors,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const warnings = generated.warnings.map(warning => `⚠️ ${warning.message}\n`).join('');
     return {
       type: 'generated_dql',
-      message: `🧠 **Natural Language → DQL Execution** (Simulated)
+      message: `🧠 **Generated DQL** (validated, not executed yet)
 
 **Your question:** "${message}"
 
-**Generated DQL:** \`${suggestedDQL}\`
+\`\`\`dql
+${generated.dql}
+\`\`\`
 
-**Would execute and return REAL results from your Dynatrace environment.**
+${warnings}Review the query, then send it (or your edited version) to run it against ${target}.`,
+      generatedDQL: generated.dql,
+      valid: true,
+      attempts: generated.attempts,
+      realData: false,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-**To get actual data:** Connect this enhanced server to your Dynatrace MCP session.`,
-      executedQuery: `generate_dql_from_natural_language({ text: "${message}" }) → execute_dql()`,
-      suggestedDQL: suggestedDQL,
+  formatDQLExamples(message, reason) {
+    const examples = this.dqlGenerator?.examples || [];
+    return {
+      type: 'generated_dql',
+      message: `⚠️ **${reason}**
+
+**Your question:** "${message}"
+
+Start from one of these queries and adapt it:
+${examples.map(example => `- ${example.question}:\n\`\`\`dql\n${example.dql}\n\`\`\``).join('\n')}`,
+      generatedDQL: null,
+      valid: false,
+      realData: false,
       timestamp: new Date().toISOString()
     };
   }
 
+  // Only treat it as DQL when "fetch" names a data object, so "fetch me the problems" stays natural language.
+  // A query pasted in a ```dql fence is unwrapped first.
   extractDQLFromMessage(message) {
-    const dqlMatch = message.match(/(?:fetch|dql:?)\s+(.+)/i);
-    return dqlMatch ? dqlMatch[1].trim() : message;
+    const fenced = message.match(/```(?:dql)?\s*\n([\s\S]*?)```/i);
+    if (fenced) {
+      message = fenced[1];
+    }
+    const dqlMatch = message.trim().match(/^(?:(?:dql:?|execute|run)\s+)?((?:fetch\s+(?:logs|events|bizevents|spans|[a-z_]+\.[\w.]+)\b|timeseries\s)[\s\S]*)$/i);
+    return dqlMatch ? dqlMatch[1].trim() : null;
+  }
+
+  async getEntities(message) {
+    const entityId = message.match(ENTITY_ID_PATTERN)?.[0];
+    if (entityId) {
+      return this.getEntityDetails(entityId);
+    }
+    return this.searchEntities(message);
+  }
+
+  // "find services named checkout", "list hosts"
+  async searchEntities(message) {
+    const params = this.entitySearchParams(message);
+
+    return this.run('searchEntities', params, async () => {
+      const data = await this.backend.searchEntities(params);
+      return {
+        type: 'entities',
+        message: this.formatEntityList(data, params),
+        entities: data.entities,
+        executedQuery: `searchEntities(${JSON.stringify(params)})`
+      };
+    });
+  }
+
+  entitySearchParams(message) {
+    const name = this.extractEntityName(message);
+    const type = this.detectEntityType(name ? message.replace(name, '') : message);
+    return Object.fromEntries(Object.entries({ type, name }).filter(([, value]) => value));
   }
 
-  suggestDQLForMessage(message) {
+  detectEntityType(message) {
     const msg = message.toLowerCase();
-    
-    if (msg.includes('error') || msg.includes('logs')) {
-      return 'fetch logs | filter loglevel == "ERROR" | limit 100';
-    } else if (msg.includes('slow') || msg.includes('performance')) {
-      return 'fetch dt.entity.service | filter avg(response_time) > 1000';
-    } else if (msg.includes('problems')) {
-      return 'fetch dt.davis.problems | filter status == "OPEN"';
-    } else {
-      return 'fetch dt.entity.service | limit 10';
+    if (/\bhosts?\b/.test(msg)) return 'HOST';
+    if (/\bprocess(es| groups?)?\b/.test(msg)) return 'PROCESS_GROUP';
+    if (/\b(applications?|apps?)\b/.test(msg)) return 'APPLICATION';
+    if (/\bservices?\b/.test(msg)) return 'SERVICE';
+    return undefined;
+  }
+
+  // Quoted names, "named x", "what does x depend on", "dependencies of x"
+  extractEntityName(message) {
+    const patterns = [
+      /["'`]([^"'`]+)["'`]/,
+      /\b(?:named|called|matching|containing)\s+([\w.:-]+)/i,
+      /\bwhat\s+(?:does|do|is)\s+(?:the\s+)?(?:service\s+|host\s+|application\s+)?([\w.:-]+)(?:\s+(?:service|host|application|process group))?\s+(?:depend|call|talk|run|connect|use)/i,
+      /\b(?:what|who)\s+(?:calls|depends on|runs on|uses|is running on)\s+(?:the\s+)?(?:service\s+|host\s+|application\s+)?([\w.:-]+)/i,
+      /\b(?:dependencies|dependents|topology|relationships|neighbou?rs|callers|upstream|downstream)\s+(?:of|for)\s+(?:the\s+)?(?:service\s+|host\s+|application\s+)?([\w.:-]+)/i,
+      /\b([\w.:-]+?)(?:'s)?\s+(?:dependencies|dependents|topology|relationships|callers)\b/i
+    ];
+    for (const pattern of patterns) {
+      const match = message.match(pattern);
+      if (match && !/^(the|a|an|this|that|it|my|our|service|host)$/i.test(match[1])) {
+        return match[1];
+      }
     }
+    return undefined;
   }
 
-  async getEntities(message) {
-    console.log('🔍 Executing: entity search');
-    
-    return {
-      type: 'entities',
-      message: `🏗️ **Entity Information** (Simulated - needs real MCP connection)
-
-**Would show REAL entities from your environment:**
-- Services, hosts, processes, applications
-- Health status and performance metrics
-- Dependencies and relationships
-- Current configuration and tags`,
-      executedQuery: 'find_entity_by_name() or get_entity_details()',
-      timestamp: new Date().toISOString()
-    };
+  formatEntityList(data, params) {
+    const { entities } = data;
+    const filter = [params.type || 'any type', params.name && `name contains "${params.name}"`].filter(Boolean).join(' · ');
+
+    let message = `🏗️ **Entities** (${entities.length}${data.totalCount > entities.length ? ` of ${data.totalCount}` : ''} found)\n_Filter: ${filter}_\n\n`;
+    if (entities.length === 0) {
+      return message + 'No monitored entity matches this search.';
+    }
+    for (const entity of entities) {
+      const zones = entity.managementZones?.map(mz => mz.name).join(', ');
+      message += `- **${entity.displayName}** (\`${entity.entityId}\`) ${entity.type}${zones ? ` · ${zones}` : ''}\n`;
+    }
+    return message.trimEnd();
+  }
+
+  async getEntityDetails(entityId) {
+    console.log(`🔍 Fetching entity details: ${entityId}`);
+
+    try {
+      return await this.run('getEntityDetails', { entityId }, async () => {
+        const entity = await this.backend.getEntityDetails(entityId);
+        return {
+          type: 'entity',
+          message: this.formatEntity(entity),
+          entity,
+          executedQuery: `getEntityDetails(${entityId})`
+        };
+      });
+    } catch (error) {
+      if (!DynatraceExecutor.isNotFound(error)) throw error;
+      return {
+        type: 'entity_not_found',
+        message: `🔍 **Entity not found:** \`${entityId}\`\n\n${error.message}`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  formatEntity(entity) {
+    if (entity.text) {
+      return `🏗️ **Entity ${entity.entityId || ''}**\n\n${entity.text}`;
+    }
+
+    let message = `🏗️ **${entity.displayName}** (${entity.type})\n\n`;
+    message += `- **ID:** \`${entity.entityId}\`\n`;
+    if (entity.lastSeenTms) {
+      message += `- **Last seen:** ${new Date(entity.lastSeenTms).toLocaleString()}\n`;
+    }
+    if (entity.tags?.length) {
+      message += `- **Tags:** ${entity.tags.map(t => t.stringRepresentation || t.key).join(', ')}\n`;
+    }
+    if (entity.managementZones?.length) {
+      message += `- **Management Zones:** ${entity.managementZones.map(mz => mz.name).join(', ')}\n`;
+    }
+
+    for (const relation of this.relationsOf(entity)) {
+      message += `- **${relation.label}:** ${relation.ids.join(', ')}\n`;
+    }
+    return message.trimEnd();
+  }
+
+  // fromRelationships/toRelationships as labelled groups, merging kinds that read the same
+  relationsOf(entity) {
+    const relations = new Map();
+    for (const [direction, relationships] of [['from', entity.fromRelationships], ['to', entity.toRelationships]]) {
+      for (const [kind, targets] of Object.entries(relationships || {})) {
+        const label = RELATIONSHIP_LABELS[direction][kind] || `${direction === 'from' ? '→' : '←'} ${kind}`;
+        if (!relations.has(label)) {
+          relations.set(label, { label, ids: [] });
+        }
+        relations.get(label).ids.push(...targets.map(target => target.id));
+      }
+    }
+    return [...relations.values()];
+  }
+
+  // "what does checkout-service depend on": the entity's neighbours and whether they have open problems
+  async getTopology(message) {
+    const entityId = message.match(ENTITY_ID_PATTERN)?.[0];
+    const name = entityId ? null : this.extractEntityName(message);
+    if (!entityId && !name) {
+      return {
+        type: 'entity_not_found',
+        message: '🔍 **Which entity?** Name it (e.g. "what does checkout-service depend on") or paste its ID.',
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // The type is part of the key: "checkout service" and "checkout host" are different entities
+    const type = name ? this.detectEntityType(message.replace(name, '')) : undefined;
+    try {
+      return await this.run('getTopology', entityId ? { entityId } : type ? { name, type } : { name }, async () => {
+        const { entity, alternatives } = await this.resolveEntity(entityId, name, type);
+        const relations = this.relationsOf(entity);
+        const relatedIds = [...new Set(relations.flatMap(relation => relation.ids))];
+
+        const [related, health] = await Promise.all([
+          relatedIds.length > 0
+            ? this.backend.searchEntities({ ids: relatedIds, limit: relatedIds.length })
+            : { entities: [] },
+          this.getEntityHealth([entity.entityId, ...relatedIds])
+        ]);
+
+        return {
+          type: 'topology',
+          message: this.formatTopology(entity, relations, related.entities, health, alternatives),
+          entity,
+          related: related.entities,
+          health,
+          executedQuery: `getTopology(${entity.entityId})`
+        };
+      });
+    } catch (error) {
+      if (!DynatraceExecutor.isNotFound(error)) throw error;
+      return {
+        type: 'entity_not_found',
+        message: `🔍 **Entity not found:** \`${entityId || name}\`\n\n${error.message}`,
+        realData: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  // Exact name matches win; other matches are reported so the user can be more specific
+  async resolveEntity(entityId, name, type) {
+    if (entityId) {
+      return { entity: await this.backend.getEntityDetails(entityId), alternatives: [] };
+    }
+
+    const params = type ? { name, type } : { name };
+    const { entities } = await this.backend.searchEntities(params);
+    if (entities.length === 0) {
+      const error = new Error(`No ${type ? type.toLowerCase().replace('_', ' ') : 'entity'} named "${name}"`);
+      error.status = 404;
+      throw error;
+    }
+    const entity = entities.find(e => e.displayName?.toLowerCase() === name.toLowerCase()) || entities[0];
+    return { entity, alternatives: entities.filter(e => e !== entity) };
+  }
+
+  // Health is the live problem state - never served from the cache
+  async getEntityHealth(entityIds) {
+    const query = new ProblemQuery({
+      status: 'OPEN',
+      entitySelector: `entityId(${entityIds.map(id => `"${id}"`).join(',')})`,
+      from: 'now-72h'
+    });
+    const { problems } = await (this.backend.uncached || this.backend).listProblems(query.toParams());
+
+    const health = {};
+    for (const problem of problems) {
+      const involved = [problem.rootCauseEntity, ...(problem.affectedEntities || []), ...(problem.impactedEntities || [])];
+      for (const id of new Set(involved.filter(Boolean).map(entity => entity.entityId?.id))) {
+        (health[id] ||= []).push({ problemId: problem.problemId, displayId: problem.displayId, title: problem.title });
+      }
+    }
+    return health;
+  }
+
+  formatTopology(entity, relations, related, health, alternatives = []) {
+    const byId = new Map(related.map(e => [e.entityId, e]));
+    const status = (id) => health[id]?.length
+      ? `🔴 ${health[id].map(problem => `${problem.displayId || problem.problemId} ${problem.title}`).join('; ')}`
+      : '🟢 no open problems';
+
+    let message = `🕸️ **${entity.displayName}** (\`${entity.entityId}\`) ${entity.type}\n`;
+    message += `- **Health:** ${status(entity.entityId)}\n`;
+
+    if (relations.length === 0) {
+      message += '\nNo relationships are known for this entity.';
+    }
+    for (const relation of relations) {
+      message += `\n**${relation.label}** (${relation.ids.length})\n`;
+      for (const id of relation.ids) {
+        const neighbour = byId.get(id);
+        message += `- **${neighbour?.displayName || id}** (\`${id}\`)${neighbour ? ` ${neighbour.type}` : ''} - ${status(id)}\n`;
+      }
+    }
+
+    if (alternatives.length > 0) {
+      message += `\n_Also matched: ${alternatives.slice(0, 5).map(e => `${e.displayName} (\`${e.entityId}\`)`).join(', ')}_`;
+    }
+    return message.trimEnd();
+  }
+
+  async getEnvironmentInfo() {
+    return this.run('getEnvironment', {}, async () => {
+      const environment = await this.backend.getEnvironment();
+
+      if (environment.text) {
+        return { type: 'environment', message: `🏢 **Dynatrace Environment Info**\n\n${environment.text}`, environmentData: environment };
+      }
+
+      return {
+        type: 'environment',
+        message: `🏢 **Dynatrace Environment Info**
+
+**Environment ID:** ${environment.environmentId}
+**URL:** ${this.backend.environmentUrl || 'n/a'}
+**State:** ${environment.state}
+**Created:** ${new Date(environment.createTime).toLocaleDateString()}
+**Backend:** ${this.backendName}`,
+        environmentData: environment
+      };
+    });
   }
 }
@@ -0,0 +1,4 @@
+// Dynatrace identifiers as they appear in chat messages and API payloads
+export const ENTITY_ID_PATTERN = /\b(?:SERVICE|HOST|PROCESS_GROUP_INSTANCE|PROCESS_GROUP|APPLICATION|SERVICE_METHOD|KUBERNETES_CLUSTER|CLOUD_APPLICATION)-[0-9A-F]{16}\b/;
+export const PROBLEM_ID_PATTERN = /\bP-[0-9A-Z]{4,}\b/;
+export const VULNERABILITY_ID_PATTERN = /\bS-[0-9A-Z]{4,}\b/;
@@ -1,67 +0,0 @@
-// Direct integration that mirrors how I access your Dynatrace environment
-export class DynatraceMCPDirect {
-  constructor(config) {
-    this.config = config;
-    this.environmentUrl = config.environment;
-  }
-
-  async executeQuery(message) {
-    try {
-      const queryType = this.detectQueryType(message);
-      console.log(`🔍 Attempting direct MCP-style query: ${queryType}`);
-
-      // For now, return a message indicating we need to bridge to the actual MCP tools
-      // that I have access to in this conversation
-      return {
-        type: 'mcp_bridge_needed',
-        message: `🌉 **Dynatrace MCP Bridge Status**
-
-**Your Query:** "${message}"
-**Detected Type:** ${queryType}
-**Environment:** ${this.environmentUrl}
-
-**Working OAuth Config Detected:**
-- ✅ Client ID: ${this.config.oauthClientId ? 'Configured' : 'Missing'}
-- ✅ Environment: ${this.environmentUrl}
-- ✅ Same credentials that work in my session
-
-**Current Status:** Your enhanced server has the right credentials, but needs to call the actual Dynatrace MCP functions.
-
-**What I can do in this conversation:**
-- List actual problems from your environment
-- Execute DQL queries  
-- Get entity information
-- Access vulnerability data
-
-**What your enhanced server needs:**
-Connection to the same MCP tools I have access to.
-
-**Next Step:** Bridge your enhanced server to the working Dynatrace MCP tools.`,
-        credentials: {
-          clientId: this.config.oauthClientId ? 'Configured' : 'Missing',
-          environment: this.environmentUrl,
-          working: true
-        },
-        timestamp: new Date().toISOString()
-      };
-
-    } catch (error) {
-      console.error('❌ MCP bridge error:', error);
-      throw error;
-    }
-  }
-
-  detectQueryType(message) {
-    const msg = message.toLowerCase();
-    
-    if (msg.includes('problems') || msg.includes('issues')) {
-      return 'list_problems';
-    } else if (msg.includes('vulnerabilities')) {
-      return 'list_vulnerabilities';
-    } else if (msg.includes('dql') || msg.includes('fetch')) {
-      return 'execute_dql';
-    } else {
-      return 'general_query';
-    }
-  }
-}
@@ -1,57 +0,0 @@
-// Try to use the Dynatrace SDK directly
-export class DynatraceSDKIntegration {
-  constructor(config) {
-    this.config = config;
-    this.environmentUrl = config.environment;
-    this.oauthClientId = config.oauthClientId;
-    this.oauthClientSecret = config.oauthClientSecret;
-  }
-
-  async executeQuery(message) {
-    try {
-      const queryType = this.detectQueryType(message);
-      console.log(`🔍 SDK Integration query: ${queryType}`);
-
-      // For now, return information about what we're trying to achieve
-      return {
-        type: 'sdk_status',
-        message: `🔧 **Dynatrace SDK Integration Status**
-
-**Official MCP Installed:** ✅ @dynatrace-oss/dynatrace-mcp-server
-**Your Query:** "${message}"
-**Environment:** ${this.environmentUrl}
-**OAuth Configured:** ${this.oauthClientId ? 'Yes' : 'No'}
-
-**Available Packages:**
-${this.getInstalledPackages()}
-
-**Next Step:** Create direct function calls to the MCP tools using your working OAuth credentials.
-
-**What should work:** Direct API calls to the same endpoints that work in my session with your exact credentials.`,
-        timestamp: new Date().toISOString()
-      };
-
-    } catch (error) {
-      console.error('❌ SDK integration error:', error);
-      throw error;
-    }
-  }
-
-  getInstalledPackages() {
-    try {
-      const fs = require('fs');
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-      const deps = Object.keys(packageJson.dependencies || {})
-        .filter(dep => dep.includes('dynatrace'))
-        .join(', ');
-      return deps || 'None found';
-    } catch (error) {
-      return 'Could not read package.json';
-    }
-  }
-
-  detectQueryType(message) {
-    const msg = message.toLowerCase();
-    return msg.includes('problems') ? 'problems' : 'general';
-  }
-}
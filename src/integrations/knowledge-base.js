@@ -7,11 +7,32 @@ export class KnowledgeBase {
   loadGeneralPatterns() {
     return {
       dynatrace: {
+        // Question/DQL pairs - also used as few-shot examples for DQL generation
         commonQueries: [
-          "fetch dt.davis.problems",
-          "fetch dt.security_problems", 
-          "fetch logs",
-          "fetch dt.entity.service"
+          {
+            question: "Show me the currently open problems",
+            dql: 'fetch dt.davis.problems | filter event.status == "ACTIVE" | sort event.start desc | limit 20'
+          },
+          {
+            question: "List open security vulnerabilities",
+            dql: 'fetch dt.security_problems | filter status == "OPEN" | limit 50'
+          },
+          {
+            question: "Show error logs from the last hour",
+            dql: 'fetch logs, from: now() - 1h | filter loglevel == "ERROR" | sort timestamp desc | limit 100'
+          },
+          {
+            question: "Which services log the most errors?",
+            dql: 'fetch logs, from: now() - 24h | filter loglevel == "ERROR" | summarize errors = count(), by: {dt.entity.service} | sort errors desc | limit 10'
+          },
+          {
+            question: "Which services are slow?",
+            dql: 'fetch spans, from: now() - 1h | filter span.kind == "server" | summarize avgDuration = avg(duration), by: {dt.entity.service} | filter avgDuration > 1s | sort avgDuration desc'
+          },
+          {
+            question: "List the monitored services",
+            dql: "fetch dt.entity.service | fields id, entity.name | limit 20"
+          }
         ],
         investigationTips: [
           "Use correlation.id for tracking requests across services",
@@ -0,0 +1,58 @@
+import { ENTITY_ID_PATTERN } from './dynatrace-ids.js';
+
+// Variable parts of a log line, masked in this order so a UUID is not first eaten as numbers
+const MASKS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<UUID>'],
+  [new RegExp(ENTITY_ID_PATTERN.source, 'g'), '<ENTITY>'],
+  [/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<IP>'],
+  [/\b(?:0x)?(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<ID>'],
+  [/(?<![A-Za-z_])\d+(?:\.\d+)*/g, '<NUM>'] // digits inside names (http2, v1.2) stay
+];
+
+// Groups log lines that differ only in numbers, IDs and UUIDs, so "Timeout ... order 48213" and
+// "Timeout ... order 48207" count as one pattern
+export class LogClusterer {
+  constructor({ maxSamples = 3 } = {}) {
+    this.maxSamples = maxSamples;
+  }
+
+  template(content = '') {
+    return MASKS.reduce((text, [pattern, mask]) => text.replace(pattern, mask), String(content))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Records as returned by fetch logs: timestamp, loglevel, content and dt.entity.* fields
+  cluster(records = []) {
+    const clusters = new Map();
+
+    for (const record of records) {
+      const template = this.template(record.content);
+      if (!clusters.has(template)) {
+        clusters.set(template, { template, count: 0, levels: {}, firstSeen: null, lastSeen: null, sources: [], samples: [] });
+      }
+
+      const cluster = clusters.get(template);
+      cluster.count++;
+      const level = String(record.loglevel || 'NONE').toUpperCase();
+      cluster.levels[level] = (cluster.levels[level] || 0) + 1;
+
+      const time = record.timestamp ? new Date(record.timestamp).toISOString() : null;
+      if (time && (!cluster.firstSeen || time < cluster.firstSeen)) cluster.firstSeen = time;
+      if (time && (!cluster.lastSeen || time > cluster.lastSeen)) cluster.lastSeen = time;
+
+      const source = this.sourceOf(record);
+      if (source && !cluster.sources.includes(source)) cluster.sources.push(source);
+      if (cluster.samples.length < this.maxSamples && !cluster.samples.includes(record.content)) {
+        cluster.samples.push(record.content);
+      }
+    }
+
+    // Most frequent first; errors before other levels at the same count
+    return [...clusters.values()].sort((a, b) => b.count - a.count || (b.levels.ERROR || 0) - (a.levels.ERROR || 0));
+  }
+
+  sourceOf(record) {
+    return record['service.name'] || record['host.name'] || record['dt.entity.service'] || record['dt.entity.host'] || record['dt.source_entity'] || null;
+  }
+}
@@ -0,0 +1,119 @@
+import { ENTITY_ID_PATTERN } from './dynatrace-ids.js';
+import { ProblemQuery } from './problem-query.js';
+
+export const LOG_LEVELS = ['ERROR', 'WARN', 'INFO', 'DEBUG'];
+
+const LEVEL_WORDS = [
+  [/\b(errors?|exceptions?|failures?|failed)\b/i, 'ERROR'],
+  [/\bwarn(ing)?s?\b/i, 'WARN'],
+  [/\binfo\b/i, 'INFO'],
+  [/\bdebug\b/i, 'DEBUG']
+];
+
+// Words after "for"/"from"/"of"/"on" that are not entity names
+const NOT_A_NAME = /^(last|past|the|all|every|each|my|our|services?|hosts?|today|now|since|yesterday)$/i;
+
+// A log search: which lines (level, text, entities, timeframe) and how many to fetch for clustering
+export class LogQuery {
+  constructor({ level, content, entityIds, entityName, from, to, limit } = {}) {
+    this.level = LogQuery.toList(level);
+    this.content = content || undefined;
+    this.entityIds = [].concat(entityIds || []).flatMap(id => String(id).split(',')).map(id => id.trim()).filter(Boolean);
+    if (this.entityIds.length === 0) this.entityIds = undefined;
+    this.entityName = entityName || undefined;
+    this.from = from || 'now-1h';
+    this.to = to || 'now';
+    this.limit = Math.min(parseInt(limit) || 500, 5000);
+  }
+
+  static toList(value) {
+    if (!value) return undefined;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim().toUpperCase())
+      .filter(item => LOG_LEVELS.includes(item));
+    return list.length > 0 ? [...new Set(list)] : undefined;
+  }
+
+  // "error logs for checkout-service in the last 6h containing timeout"
+  static fromMessage(message) {
+    const params = {
+      level: LEVEL_WORDS.filter(([pattern]) => pattern.test(message)).map(([, level]) => level),
+      from: ProblemQuery.parseTimeframe(message)
+    };
+
+    // Single quotes only count at word boundaries, so the apostrophe in "user's service" is not a filter
+    const content = message.match(/"([^"]+)"|(?:^|\s)'(.+?)'(?=$|[\s.,;:!?])/) ||
+      message.match(/\b(?:containing|mentioning|matching|with text)\s+([\w.:/-]+)/i);
+    if (content) {
+      params.content = content[1] || content[2];
+    }
+
+    const entityIds = message.match(new RegExp(ENTITY_ID_PATTERN.source, 'g'));
+    if (entityIds) {
+      params.entityIds = [...new Set(entityIds)];
+    } else {
+      const name = message.match(/\b(?:for|from|of|on)\s+(?:the\s+)?(?:service\s+|host\s+)?([\w.:-]+)/i)?.[1];
+      if (name && !NOT_A_NAME.test(name)) {
+        params.entityName = name;
+      }
+    }
+
+    return new LogQuery(params);
+  }
+
+  toParams() {
+    return Object.fromEntries(Object.entries({
+      level: this.level,
+      content: this.content,
+      entityIds: this.entityIds,
+      from: this.from,
+      to: this.to,
+      limit: this.limit
+    }).filter(([, value]) => value !== undefined));
+  }
+
+  // Grail query for backends that search logs through DQL
+  toDQL() {
+    const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    const time = (value) => String(value).startsWith('now') ? String(value).replace(/^now/, 'now()') : quote(value);
+
+    const lines = [`fetch logs, from: ${time(this.from)}, to: ${time(this.to)}`];
+    if (this.level) {
+      lines.push(`| filter in(loglevel, array(${this.level.map(quote).join(', ')}))`);
+    }
+    if (this.content) {
+      lines.push(`| filter contains(content, ${quote(this.content)}, caseSensitive: false)`);
+    }
+    if (this.entityIds) {
+      const byField = new Map();
+      for (const id of this.entityIds) {
+        const field = `dt.entity.${id.replace(/-[0-9A-F]+$/, '').toLowerCase()}`;
+        byField.set(field, [...(byField.get(field) || []), id]);
+      }
+      lines.push(`| filter ${[...byField].map(([field, ids]) => `in(${field}, array(${ids.map(quote).join(', ')}))`).join(' or ')}`);
+    }
+    lines.push('| sort timestamp desc');
+    lines.push(`| limit ${this.limit}`);
+    return lines.join('\n');
+  }
+
+  // Client-side filtering for the mock backend
+  matches(record, now = Date.now()) {
+    if (this.level && !this.level.includes(String(record.loglevel).toUpperCase())) return false;
+    if (this.content && !String(record.content).toLowerCase().includes(this.content.toLowerCase())) return false;
+    if (this.entityIds && !Object.entries(record).some(([field, value]) =>
+      field.startsWith('dt.entity.') && this.entityIds.includes(value))) return false;
+
+    const time = Date.parse(record.timestamp);
+    return time >= ProblemQuery.toTimestamp(this.from, now) && time <= ProblemQuery.toTimestamp(this.to, now);
+  }
+
+  describe() {
+    const parts = [];
+    if (this.level) parts.push(`level ${this.level.join('/')}`);
+    if (this.content) parts.push(`containing "${this.content}"`);
+    if (this.entityIds) parts.push(`entities ${this.entityIds.join(', ')}`);
+    parts.push(this.to === 'now' ? `since ${this.from}` : `${this.from} to ${this.to}`);
+    return parts.join(' · ');
+  }
+}
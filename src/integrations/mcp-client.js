@@ -0,0 +1,227 @@
+import axios from 'axios';
+
+const PROTOCOL_VERSION = '2025-03-26';
+
+export class MCPError extends Error {
+  constructor(message, code = null, data = undefined) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Minimal MCP client for the Streamable HTTP transport (JSON or SSE responses)
+export class MCPClient {
+  constructor(config = {}) {
+    this.config = {
+      url: config.url || 'http://localhost:3001',
+      timeout: config.timeout || 30000,
+      clientInfo: config.clientInfo || { name: 'dynatrace-mcp-enhanced', version: '1.0.0' },
+      ...config
+    };
+
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.tools = null;
+    this.nextId = 1;
+    this.connecting = null;
+  }
+
+  get connected() {
+    return this.protocolVersion !== null;
+  }
+
+  async connect() {
+    if (this.connected) return;
+
+    // Concurrent callers share one handshake
+    if (!this.connecting) {
+      this.connecting = this.initialize().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async initialize() {
+    console.log(`🤝 MCP initialize: ${this.config.url}`);
+    this.sessionId = null;
+
+    const result = await this.send('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: this.config.clientInfo
+    });
+
+    this.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+
+    await this.notify('notifications/initialized');
+    console.log(`✅ MCP session ready: ${this.serverInfo?.name || 'server'} (protocol ${this.protocolVersion}, session ${this.sessionId || 'none'})`);
+  }
+
+  async listTools({ refresh = false } = {}) {
+    if (this.tools && !refresh) return this.tools;
+
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    this.tools = tools;
+    console.log(`🧰 MCP tools discovered: ${tools.map(t => t.name).join(', ')}`);
+    return tools;
+  }
+
+  async callTool(name, args = {}) {
+    const result = await this.request('tools/call', { name, arguments: args });
+    return {
+      content: result.content || [],
+      text: (result.content || [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text)
+        .join('\n'),
+      structuredContent: result.structuredContent,
+      isError: result.isError === true
+    };
+  }
+
+  // Send a request on the current session, re-initializing once if the server dropped it
+  async request(method, params = {}) {
+    await this.connect();
+
+    try {
+      return await this.send(method, params);
+    } catch (error) {
+      if (error.status === 404 && this.sessionId) {
+        console.log('🔄 MCP session expired, re-initializing...');
+        this.protocolVersion = null;
+        await this.connect();
+        return this.send(method, params);
+      }
+      throw error;
+    }
+  }
+
+  async notify(method, params = undefined) {
+    await this.post({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  async send(method, params) {
+    const id = this.nextId++;
+    const response = await this.post({ jsonrpc: '2.0', id, method, params });
+    const message = this.parseResponse(response, id);
+
+    if (message.error) {
+      throw new MCPError(`${method} failed: ${message.error.message}`, message.error.code, message.error.data);
+    }
+    return message.result;
+  }
+
+  async post(body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['Mcp-Protocol-Version'] = this.protocolVersion;
+    }
+
+    let response;
+    try {
+      response = await axios.post(this.config.url, body, {
+        headers,
+        timeout: this.config.timeout,
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+    } catch (error) {
+      const mcpError = new MCPError(
+        error.response ? `MCP server responded with HTTP ${error.response.status}` : `MCP server unreachable: ${error.message}`
+      );
+      mcpError.status = error.response?.status;
+
+      // Servers may still put a JSON-RPC error object in the body of a 4xx
+      const message = error.response && this.tryParseJson(error.response.data);
+      if (message?.error) {
+        mcpError.message = message.error.message;
+        mcpError.code = message.error.code;
+        mcpError.data = message.error.data;
+      }
+      throw mcpError;
+    }
+
+    const sessionId = response.headers['mcp-session-id'];
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+    return response;
+  }
+
+  parseResponse(response, id) {
+    const contentType = response.headers['content-type'] || '';
+    const messages = contentType.includes('text/event-stream')
+      ? this.parseEventStream(response.data)
+      : [].concat(this.tryParseJson(response.data) || []);
+
+    const message = messages.find(m => m && m.id === id && (m.result !== undefined || m.error !== undefined));
+    if (!message) {
+      throw new MCPError(`No JSON-RPC response with id ${id} in MCP server reply`);
+    }
+    return message;
+  }
+
+  parseEventStream(text = '') {
+    const messages = [];
+
+    // Events are separated by a blank line; multi-line data fields are joined with newlines
+    for (const event of text.split(/\r?\n\r?\n/)) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+      const message = data && this.tryParseJson(data);
+      if (message) {
+        messages.push(...[].concat(message));
+      }
+    }
+    return messages;
+  }
+
+  tryParseJson(text) {
+    if (typeof text !== 'string') return text || null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) return;
+
+    try {
+      await axios.delete(this.config.url, {
+        headers: { 'Mcp-Session-Id': this.sessionId },
+        timeout: 5000
+      });
+    } catch (error) {
+      // Servers may not support explicit termination (405) - the session simply expires
+    }
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.tools = null;
+  }
+}
@@ -0,0 +1,79 @@
+import { ENTITY_ID_PATTERN } from './dynatrace-ids.js';
+import { ProblemQuery } from './problem-query.js';
+
+// Metrics the chat understands by name. grailKey is the equivalent Grail metric for DQL-only backends.
+export const METRIC_CATALOG = [
+  { key: 'builtin:service.response.time', grailKey: 'dt.service.request.response_time', label: 'Response time', unit: 'MicroSecond', entityType: 'SERVICE', pattern: /\b(response[- ]times?|latency|slowness)\b/i },
+  { key: 'builtin:service.errors.total.rate', label: 'Failure rate', unit: 'Percent', entityType: 'SERVICE', pattern: /\b(failure|error)[- ]rates?\b/i },
+  { key: 'builtin:service.requestCount.total', grailKey: 'dt.service.request.count', label: 'Request count', unit: 'Count', entityType: 'SERVICE', pattern: /\b(throughput|request[- ]counts?|requests per|traffic)\b/i },
+  { key: 'builtin:host.cpu.usage', grailKey: 'dt.host.cpu.usage', label: 'CPU usage', unit: 'Percent', entityType: 'HOST', pattern: /\bcpu\b/i },
+  { key: 'builtin:host.mem.usage', grailKey: 'dt.host.memory.usage', label: 'Memory usage', unit: 'Percent', entityType: 'HOST', pattern: /\b(memory|mem|ram)\b/i },
+  { key: 'builtin:host.disk.usedPct', grailKey: 'dt.host.disk.used.percent', label: 'Disk usage', unit: 'Percent', entityType: 'HOST', pattern: /\bdisk\b/i }
+];
+
+// A metric selector as typed by the user, e.g. builtin:service.response.time:percentile(95)
+const METRIC_SELECTOR_PATTERN = /\b(?:builtin|ext|calc|func|dsfm):[\w.-]+(?::[\w.-]+(?:\([^)]*\))?)*/;
+
+// Words after "of"/"for"/"on" that are not entity names
+const NOT_A_NAME = /^(last|past|the|all|every|each|my|our|services?|hosts?|today|now|since)$/i;
+
+// A time-series request: which metric, for which entity, over which timeframe
+export class MetricQuery {
+  constructor({ metricSelector, entitySelector, entityName, from, to, resolution, metric = null } = {}) {
+    this.metric = metric || MetricQuery.findMetric(metricSelector || '');
+    this.metricSelector = metricSelector;
+    this.entitySelector = entitySelector || undefined;
+    this.entityName = entityName || undefined;
+    this.from = from || 'now-2h';
+    this.to = to || 'now';
+    this.resolution = resolution || 60; // number of data points
+  }
+
+  static findMetric(message) {
+    const selector = message.match(METRIC_SELECTOR_PATTERN)?.[0];
+    if (selector) {
+      const key = selector.split(':').slice(0, 2).join(':');
+      const known = METRIC_CATALOG.find(metric => metric.key === key);
+      return { ...(known || { key, label: key }), selector };
+    }
+    return METRIC_CATALOG.find(metric => metric.pattern.test(message)) || null;
+  }
+
+  // "response time of checkout-service last 6h"
+  static fromMessage(message) {
+    const metric = MetricQuery.findMetric(message);
+    if (!metric) return null;
+
+    const params = {
+      metric,
+      metricSelector: metric.selector || metric.key,
+      from: ProblemQuery.parseTimeframe(message)
+    };
+
+    const entityId = message.match(ENTITY_ID_PATTERN)?.[0];
+    if (entityId) {
+      params.entitySelector = `entityId("${entityId}")`;
+    } else {
+      const name = message.match(/\b(?:of|for|on)\s+(?:the\s+)?(?:service\s+|host\s+)?["'`]?([\w.:-]+)/i)?.[1];
+      if (name && !NOT_A_NAME.test(name)) {
+        params.entityName = name;
+      }
+    }
+
+    return new MetricQuery(params);
+  }
+
+  toParams() {
+    return Object.fromEntries(Object.entries({
+      metricSelector: this.metricSelector,
+      entitySelector: this.entitySelector,
+      from: this.from,
+      to: this.to,
+      resolution: this.resolution
+    }).filter(([, value]) => value !== undefined));
+  }
+
+  describe() {
+    return `${this.metricSelector}${this.entitySelector ? ` · ${this.entitySelector}` : ''} · ${this.to === 'now' ? `since ${this.from}` : `${this.from} to ${this.to}`}`;
+  }
+}
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import { ProblemQuery } from './problem-query.js';
+import { VulnerabilityQuery } from './vulnerability-query.js';
+import { MetricQuery } from './metric-query.js';
+import { LogQuery } from './log-query.js';
+
+const DEFAULT_FIXTURES = new URL('./fixtures/dynatrace-fixtures.json', import.meta.url);
+
+// "mock" backend: serves fixture data for offline development and demos. Never real data.
+export class MockBackend {
+  constructor(config = {}) {
+    this.environmentUrl = 'mock://dynatrace';
+    this.fixturesPath = config.mockFixtures || DEFAULT_FIXTURES;
+    this.live = false;
+    this.fixtures = null;
+  }
+
+  // Fixture timestamps are shifted so the data always looks recent
+  loadFixtures() {
+    if (!this.fixtures) {
+      const raw = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+      const shiftMs = raw.capturedAt ? Date.now() - new Date(raw.capturedAt).getTime() : 0;
+      this.fixtures = this.rebaseTimes(raw, shiftMs);
+      console.log(`🧪 Mock backend loaded fixtures from ${this.fixturesPath}`);
+    }
+    return this.fixtures;
+  }
+
+  rebaseTimes(value, shiftMs, key = '') {
+    if (Array.isArray(value)) {
+      return value.map(item => this.rebaseTimes(item, shiftMs));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.rebaseTimes(v, shiftMs, k)]));
+    }
+    if (!/(Time|Tms|timestamp|Timestamp)$/.test(key)) {
+      return value;
+    }
+    if (typeof value === 'number' && value > 0) {
+      return value + shiftMs;
+    }
+    if (typeof value === 'string' && !isNaN(Date.parse(value))) {
+      return new Date(Date.parse(value) + shiftMs).toISOString();
+    }
+    return value;
+  }
+
+  // Backend interface
+
+  async listProblems(params = {}) {
+    const query = new ProblemQuery(params);
+    const problems = this.loadFixtures().problems.filter(problem => query.matches(problem));
+    // Like the real list endpoint, details only come with getProblemDetails
+    return {
+      problems: problems
+        .slice(0, query.maxProblems || 200)
+        .map(({ evidenceDetails, impactAnalysis, recentComments, ...summary }) => summary),
+      totalCount: problems.length
+    };
+  }
+
+  async executeDQL(query, options = {}) {
+    const startTime = Date.now();
+    const fetchMatch = query.match(/^\s*fetch\s+([\w.]+)/i);
+    let records = fetchMatch ? this.recordsFor(fetchMatch[1]) : [];
+
+    // Only simple equality filters and limit are understood; everything else is ignored
+    for (const [, field, value] of query.matchAll(/\|\s*filter\s+([\w.]+)\s*==\s*"([^"]*)"/g)) {
+      records = records.filter(record => String(record[field]) === value);
+    }
+    const limitMatch = query.match(/\|\s*limit\s+(\d+)/);
+    const limit = Math.min(limitMatch ? parseInt(limitMatch[1]) : Infinity, options.maxResultRecords || 1000);
+    records = records.slice(0, limit);
+
+    return {
+      records,
+      fields: Object.entries(records[0] || {}).map(([name, value]) => ({
+        name,
+        type: typeof value === 'number' ? 'long' : 'string'
+      })),
+      stats: {
+        scannedBytes: 0,
+        scannedRecords: records.length,
+        executionTimeMs: Date.now() - startTime,
+        sampled: false,
+        queryId: null,
+        analysisTimeframe: null
+      },
+      notifications: [{ severity: 'INFO', message: 'Served from mock fixtures' }]
+    };
+  }
+
+  recordsFor(dataObject) {
+    const fixtures = this.loadFixtures();
+
+    if (dataObject === 'logs') {
+      return fixtures.logs;
+    }
+    if (dataObject === 'dt.davis.problems') {
+      return fixtures.problems.map(p => ({
+        'event.id': p.problemId,
+        'display_id': p.displayId,
+        'event.name': p.title,
+        'event.status': p.status === 'OPEN' ? 'ACTIVE' : 'CLOSED',
+        'event.category': p.severityLevel,
+        'event.start': new Date(p.startTime).toISOString()
+      }));
+    }
+
+    const entityMatch = dataObject.match(/^dt\.entity\.(\w+)$/);
+    if (entityMatch) {
+      const type = entityMatch[1].toUpperCase();
+      return fixtures.entities
+        .filter(e => e.type === type)
+        .map(e => ({ id: e.entityId, 'entity.name': e.displayName }));
+    }
+    return [];
+  }
+
+  async getProblemDetails(problemId) {
+    const problem = this.loadFixtures().problems.find(p => p.problemId === problemId || p.displayId === problemId);
+    if (!problem) {
+      const error = new Error(`Problem ${problemId} not found in mock fixtures`);
+      error.status = 404;
+      throw error;
+    }
+    return problem;
+  }
+
+  async getEntityDetails(entityId) {
+    const entity = this.loadFixtures().entities.find(e => e.entityId === entityId);
+    if (!entity) {
+      const error = new Error(`Entity ${entityId} not found in mock fixtures`);
+      error.status = 404;
+      throw error;
+    }
+    return entity;
+  }
+
+  async searchEntities(params = {}) {
+    const name = params.name?.toLowerCase();
+    const entities = this.loadFixtures().entities.filter(entity =>
+      (!params.ids?.length || params.ids.includes(entity.entityId)) &&
+      (!params.type || entity.type === params.type) &&
+      (!name || entity.displayName.toLowerCase().includes(name))
+    );
+    return {
+      entities: entities.slice(0, params.limit || 50),
+      totalCount: entities.length
+    };
+  }
+
+  // Series are generated from fixture baselines: a deterministic wobble plus the spike while it lasts
+  async queryMetrics(params = {}) {
+    const query = new MetricQuery(params);
+    const metricId = query.metricSelector.split(':').slice(0, 2).join(':');
+    const entityIds = query.entitySelector?.match(/"[^"]+"/g)?.map(id => id.slice(1, -1));
+    const series = (this.loadFixtures().metrics || [])
+      .filter(m => m.metricId === metricId && (!entityIds || entityIds.includes(m.entityId)));
+
+    const from = ProblemQuery.toTimestamp(query.from);
+    const to = ProblemQuery.toTimestamp(query.to);
+    const points = Number(query.resolution) || 60;
+    const step = (to - from) / points;
+    const timestamps = Array.from({ length: points }, (_, i) => Math.round(from + step * (i + 1)));
+
+    return {
+      resolution: `${Math.max(1, Math.round(step / 60000))}m`,
+      result: [{
+        metricId: query.metricSelector,
+        data: series.map(s => ({
+          dimensions: [s.entityId],
+          dimensionMap: { [`dt.entity.${s.entityId.replace(/-[0-9A-F]+$/, '').toLowerCase()}`]: s.entityId },
+          timestamps,
+          values: timestamps.map(time => this.metricValue(s, time))
+        }))
+      }]
+    };
+  }
+
+  metricValue(series, time) {
+    const spike = series.spike;
+    const inSpike = spike && time >= spike.startTime && (spike.endTime <= 0 || time <= spike.endTime);
+    const level = inSpike ? spike.value : series.baseline;
+    const wobble = Math.sin(time / 600000 + series.baseline) * series.variation;
+    return Math.round(level * (1 + wobble) * 100) / 100;
+  }
+
+  async searchLogs(params = {}) {
+    const query = new LogQuery(params);
+    const records = (this.loadFixtures().logs || [])
+      .filter(record => query.matches(record))
+      .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    return { records: records.slice(0, query.limit) };
+  }
+
+  async listVulnerabilities(params = {}) {
+    const query = new VulnerabilityQuery(params);
+    const securityProblems = this.loadFixtures().securityProblems
+      .filter(sp => query.matches(sp))
+      .sort((a, b) => b.riskAssessment.riskScore - a.riskAssessment.riskScore);
+    return {
+      securityProblems: securityProblems.slice(0, query.maxVulnerabilities || 50),
+      totalCount: securityProblems.length
+    };
+  }
+
+  async getEnvironment() {
+    return this.loadFixtures().environment;
+  }
+}
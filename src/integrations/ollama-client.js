@@ -7,6 +7,8 @@ export class OllamaClient {
       model: config.model || 'llama2',
       timeout: config.timeout || 120000, // 2 minutes
       maxRetries: config.maxRetries || 3,
+      numCtx: config.numCtx || 2048, // context window in tokens
+      numPredict: config.numPredict || 1024, // max tokens to generate
       ...config
     };
     
@@ -49,7 +51,8 @@ export class OllamaClient {
     return timeSinceCheck > this.healthCheckInterval;
   }
 
-  async chat(message, context = null) {
+  // Pass onToken to stream the answer; tokens are delivered as Ollama produces them
+  async chat(message, context = null, { onToken = null } = {}) {
     // Check health if needed
     if (await this.shouldCheckHealth()) {
       await this.checkHealth();
@@ -63,14 +66,14 @@ export class OllamaClient {
       const payload = {
         model: this.config.model,
         prompt: this.buildPrompt(message, context),
-        stream: false,
+        stream: !!onToken,
         options: {
           temperature: 0.7,
           top_p: 0.9,
           top_k: 40,
           // Add performance options for Phi
-          num_ctx: 2048,     // Context window
-          num_predict: 1024   // Max tokens to generate
+          num_ctx: this.config.numCtx,
+          num_predict: this.config.numPredict
         }
       };
 
@@ -85,15 +88,19 @@ export class OllamaClient {
           timeout: this.config.timeout,
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          responseType: onToken ? 'stream' : 'json'
         }
       );
 
+      const text = onToken
+        ? await this.readStream(response.data, onToken)
+        : response.data?.response;
       const processingTime = Date.now() - startTime;
       
-      if (response.data && response.data.response) {
+      if (text) {
         console.log(`✅ Ollama response received in ${processingTime}ms`);
-        return this.formatResponse(response.data.response, processingTime);
+        return this.formatResponse(text, processingTime);
       } else {
         throw new Error('Invalid response from Ollama');
       }
@@ -114,6 +121,47 @@ export class OllamaClient {
     }
   }
 
+  // Ollama streams newline-delimited JSON objects: { response: "<token>", done: false }
+  readStream(stream, onToken) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let text = '';
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(`Ollama stream error: ${chunk.error}`);
+        }
+        if (chunk.response) {
+          text += chunk.response;
+          onToken(chunk.response);
+        }
+      };
+
+      stream.on('data', (data) => {
+        buffer += data.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        try {
+          lines.forEach(handleLine);
+        } catch (error) {
+          stream.destroy();
+          reject(error);
+        }
+      });
+      stream.on('end', () => {
+        try {
+          handleLine(buffer);
+          resolve(text);
+        } catch (error) {
+          reject(error);
+        }
+      });
+      stream.on('error', reject);
+    });
+  }
+
   buildPrompt(message, context = null) {
     let prompt = '';
 
@@ -131,6 +179,11 @@ export class OllamaClient {
         }
       }
       prompt += '\n';
+
+      // Prior turns, already fitted to the context window by ContextWindow
+      if (context.conversation) {
+        prompt += `${context.conversation}\n`;
+      }
     }
 
     // Add the user's message
@@ -162,6 +215,61 @@ export class OllamaClient {
     };
   }
 
+  // One /api/chat round trip with tool definitions; returns the assistant message,
+  // which carries tool_calls when the model wants to run something
+  async chatWithTools(messages, tools = []) {
+    if (await this.shouldCheckHealth()) {
+      await this.checkHealth();
+    }
+
+    if (!this.isAvailable) {
+      throw new Error('Ollama service is not available');
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.config.baseUrl}/api/chat`,
+        {
+          model: this.config.model,
+          messages,
+          tools,
+          stream: false,
+          options: {
+            temperature: 0.2,
+            num_ctx: Math.max(this.config.numCtx, 4096) // tool results need room
+          }
+        },
+        {
+          timeout: this.config.timeout,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!response.data?.message) {
+        throw new Error('Invalid response from Ollama');
+      }
+      return response.data.message;
+
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        this.isAvailable = false;
+        throw new Error('Ollama service connection failed');
+      }
+
+      // Models without tool support are rejected with a 400
+      const apiError = error.response?.data?.error;
+      if (error.response?.status === 400 && /does not support tools/i.test(apiError || '')) {
+        const unsupported = new Error(`Model ${this.config.model} does not support tool calling`);
+        unsupported.toolsUnsupported = true;
+        throw unsupported;
+      }
+
+      throw apiError ? new Error(`Ollama chat failed: ${apiError}`) : error;
+    }
+  }
+
   async getAvailableModels() {
     try {
       const response = await axios.get(`${this.config.baseUrl}/api/tags`);
@@ -0,0 +1,159 @@
+import { ENTITY_ID_PATTERN } from './dynatrace-ids.js';
+
+export const SEVERITY_LEVELS = ['AVAILABILITY', 'ERROR', 'PERFORMANCE', 'RESOURCE_CONTENTION', 'CUSTOM_ALERT', 'MONITORING_UNAVAILABLE', 'INFO'];
+export const IMPACT_LEVELS = ['APPLICATION', 'SERVICES', 'INFRASTRUCTURE', 'ENVIRONMENT'];
+
+// Words in a chat message and the severity levels they stand for. Dynatrace has no "critical"
+// severity, so it means the two that are user-facing: outages and errors.
+const SEVERITY_WORDS = [
+  [/\bcritical\b/i, ['AVAILABILITY', 'ERROR']],
+  [/\b(availability|outages?)\b/i, ['AVAILABILITY']],
+  [/\b(errors?|failures?|failing)\b/i, ['ERROR']],
+  [/\b(performance|slow(ness)?|latency)\b/i, ['PERFORMANCE']],
+  [/\b(resource|saturation|contention)\b/i, ['RESOURCE_CONTENTION']],
+  [/\bcustom alerts?\b/i, ['CUSTOM_ALERT']]
+];
+
+const IMPACT_WORDS = { application: 'APPLICATION', service: 'SERVICES', infrastructure: 'INFRASTRUCTURE', environment: 'ENVIRONMENT' };
+
+const TIME_UNITS = { minute: 'm', min: 'm', hour: 'h', hr: 'h', day: 'd', week: 'w', m: 'm', h: 'h', d: 'd', w: 'w' };
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// A problem list request: which problems (status, severity, impact, zone, entities, timeframe) and how many
+export class ProblemQuery {
+  constructor({ status, severity, impactLevel, managementZone, entitySelector, from, to, maxProblems } = {}) {
+    this.status = status ? String(status).toUpperCase() : undefined;
+    this.severity = ProblemQuery.toList(severity, SEVERITY_LEVELS);
+    this.impactLevel = ProblemQuery.toList(impactLevel, IMPACT_LEVELS);
+    this.managementZone = managementZone || undefined;
+    this.entitySelector = entitySelector || undefined;
+    this.from = from || 'now-24h';
+    this.to = to || 'now';
+    this.maxProblems = parseInt(maxProblems) || undefined;
+  }
+
+  // Accepts arrays or comma-separated strings; unknown values are dropped
+  static toList(value, allowed) {
+    if (!value) return undefined;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim().toUpperCase())
+      .filter(item => allowed.includes(item));
+    return list.length > 0 ? [...new Set(list)] : undefined;
+  }
+
+  // "critical open problems in the last 7 days in zone Payments"
+  static fromMessage(message) {
+    const params = {};
+
+    if (/\b(open|active|current|ongoing)\b/i.test(message)) {
+      params.status = 'OPEN';
+    } else if (/\b(closed|resolved)\b/i.test(message)) {
+      params.status = 'CLOSED';
+    }
+
+    params.severity = SEVERITY_WORDS
+      .filter(([pattern]) => pattern.test(message))
+      .flatMap(([, levels]) => levels);
+
+    const impact = message.match(/\b(application|service|infrastructure|environment)s?[- ](?:level\s+)?impact\b/i) ||
+      message.match(/\bimpacting\s+(application|service|infrastructure|environment)s?\b/i);
+    if (impact) {
+      params.impactLevel = IMPACT_WORDS[impact[1].toLowerCase()];
+    }
+
+    const zone = message.match(/\b(?:management\s+)?zone\s+(?:"([^"]+)"|'([^']+)'|([\w.-]+))/i);
+    if (zone) {
+      params.managementZone = zone[1] || zone[2] || zone[3];
+    }
+
+    const entityIds = message.match(new RegExp(ENTITY_ID_PATTERN.source, 'g'));
+    if (entityIds) {
+      params.entitySelector = `entityId(${[...new Set(entityIds)].map(id => `"${id}"`).join(',')})`;
+    }
+
+    params.from = ProblemQuery.parseTimeframe(message);
+    return new ProblemQuery(params);
+  }
+
+  // "last 7 days", "past hour", "last 6h", "since now-2h"
+  static parseTimeframe(message) {
+    const explicit = message.match(/\bnow-\d+[smhdw]\b/);
+    if (explicit) return explicit[0];
+
+    const relative = message.match(/\b(?:last|past)\s+(\d+)?\s*(minute|min|hour|hr|day|week|month|m|h|d|w)s?\b/i);
+    if (!relative) return undefined;
+
+    const amount = parseInt(relative[1]) || 1;
+    const unit = relative[2].toLowerCase();
+    return unit === 'month' ? `now-${amount * 30}d` : `now-${amount}${TIME_UNITS[unit]}`;
+  }
+
+  // Relative ("now-7d"), ISO or epoch milliseconds
+  static toTimestamp(value, now = Date.now()) {
+    if (typeof value === 'number') return value;
+    const relative = String(value).match(/^now(?:-(\d+)([smhdw]))?$/);
+    if (relative) {
+      return relative[1] ? now - parseInt(relative[1]) * UNIT_MS[relative[2]] : now;
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  }
+
+  toParams() {
+    return Object.fromEntries(Object.entries({ ...this }).filter(([, value]) => value !== undefined));
+  }
+
+  // Dynatrace problemSelector for GET /api/v2/problems
+  toProblemSelector() {
+    const quote = (values) => [].concat(values).map(value => `"${String(value).replace(/(["\\])/g, '\\$1')}"`).join(',');
+    const selectors = [];
+    if (this.status) selectors.push(`status(${quote(this.status)})`);
+    if (this.severity) selectors.push(`severityLevel(${quote(this.severity)})`);
+    if (this.impactLevel) selectors.push(`impactLevel(${quote(this.impactLevel)})`);
+    if (this.managementZone) selectors.push(`managementZones(${quote(this.managementZone)})`);
+    return selectors.length > 0 ? selectors.join(',') : undefined;
+  }
+
+  // Client-side filtering for backends that cannot filter themselves (mock, upstream MCP)
+  matches(problem, now = Date.now()) {
+    if (this.status && problem.status !== this.status) return false;
+    if (this.severity && !this.severity.includes(problem.severityLevel)) return false;
+    if (this.impactLevel && !this.impactLevel.includes(problem.impactLevel)) return false;
+    if (this.managementZone && !problem.managementZones?.some(mz => mz.name.toLowerCase() === this.managementZone.toLowerCase())) return false;
+
+    // Problems active at any point of the timeframe
+    const from = ProblemQuery.toTimestamp(this.from, now);
+    const to = ProblemQuery.toTimestamp(this.to, now);
+    if (problem.startTime > to || (problem.endTime > 0 && problem.endTime < from)) return false;
+
+    return this.entitySelector ? this.matchesEntities(problem) : true;
+  }
+
+  // Understands entityId(...), type(...) and entityName(...)/entityName.equals(...) - enough for fixtures
+  matchesEntities(problem) {
+    const values = (name) => {
+      const match = this.entitySelector.match(new RegExp(`${name}\\(([^)]*)\\)`));
+      return match ? match[1].split(',').map(value => value.trim().replace(/^"|"$/g, '')) : null;
+    };
+    const ids = values('entityId');
+    const types = values('type');
+    const names = values('entityName(?:\\.equals)?');
+
+    const entities = [problem.rootCauseEntity, ...(problem.affectedEntities || []), ...(problem.impactedEntities || [])].filter(Boolean);
+    return entities.some(entity =>
+      (!ids || ids.includes(entity.entityId?.id)) &&
+      (!types || types.includes(entity.entityId?.type)) &&
+      (!names || names.includes(entity.name))
+    );
+  }
+
+  describe() {
+    const parts = [];
+    if (this.status) parts.push(this.status.toLowerCase());
+    if (this.severity) parts.push(`severity ${this.severity.join('/')}`);
+    if (this.impactLevel) parts.push(`impact ${this.impactLevel.join('/')}`);
+    if (this.managementZone) parts.push(`zone ${this.managementZone}`);
+    if (this.entitySelector) parts.push(`entities ${this.entitySelector}`);
+    parts.push(this.to === 'now' ? `since ${this.from}` : `${this.from} to ${this.to}`);
+    return parts.join(' · ');
+  }
+}
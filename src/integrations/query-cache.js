@@ -0,0 +1,262 @@
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { DQLParser } from './dql-parser.js';
+import { BACKEND_METHODS } from './backend-registry.js';
+
+// Seconds a result stays fresh and the tags it is filed under, per Dynatrace operation. Tags let
+// related entries be dropped together, e.g. every problem list once a problem closes.
+export const CACHE_POLICIES = {
+  listProblems: { ttl: 180, tags: () => ['problems'] },
+  getProblemDetails: { ttl: 120, tags: ({ problemId }) => ['problems', `problem:${problemId}`] },
+  listVulnerabilities: { ttl: 600, tags: () => ['vulnerabilities'] },
+  searchLogs: { ttl: 60, tags: () => ['logs'] },
+  queryMetrics: { ttl: 60, tags: () => ['metrics'] },
+  executeDQL: { ttl: 300, tags: ({ query }) => ['dql', ...QueryCache.dataObjectTags(query)] },
+  searchEntities: { ttl: 1800, tags: () => ['entities'] },
+  getEntityDetails: { ttl: 1800, tags: ({ entityId }) => ['entities', `entity:${entityId}`] },
+  // The topology answer carries the entities' live health, which is never served from a cache
+  getTopology: { ttl: 0 },
+  getEnvironment: { ttl: 3600, tags: () => ['environment'] },
+  generateDQL: { ttl: 0 } // model output; each question is generated afresh
+};
+
+// Backend methods that take positional arguments, as named parameters for the cache key
+const BACKEND_ARGUMENTS = {
+  getProblemDetails: (problemId) => ({ problemId }),
+  executeDQL: (query, options = {}) => ({ query, ...options }),
+  getEntityDetails: (entityId) => ({ entityId }),
+  getEnvironment: () => ({})
+};
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const TIME_PARAMS = ['from', 'to', 'timeframe'];
+const TIME_BUCKET_MS = 60000; // absolute timestamps within the same minute share an entry
+
+// The backend calls made within QueryCache.track(), each as { operation, cache, cachedAt }
+const backendCalls = new AsyncLocalStorage();
+
+// The quota charged by the first backend call within QueryCache.charge() that misses the cache
+const missCharges = new AsyncLocalStorage();
+
+// Caches Dynatrace results under the operation they ran and its normalized parameters rather than
+// the wording of the question, and lets concurrent identical requests share one upstream call:
+// in this process through a map of pending calls, across instances through a Redis lock.
+export class QueryCache {
+  constructor({ redis, scope = 'dynatrace', policies = CACHE_POLICIES, lockTtl = 30000, pollInterval = 100 } = {}) {
+    this.redis = redis;
+    this.scope = scope; // the backend, so mock results are never served for a live environment
+    this.policies = policies;
+    this.lockTtl = lockTtl;
+    this.pollInterval = pollInterval;
+    this.parser = new DQLParser();
+    this.pending = new Map();
+  }
+
+  // "now-60m" and "now-1h" are the same timeframe; absolute times are rounded down to the minute
+  static normalizeTime(value) {
+    const relative = String(value).match(/^now-(\d+)([smhdw])$/);
+    if (relative) {
+      const ms = parseInt(relative[1]) * UNIT_MS[relative[2]];
+      const [unit, size] = Object.entries(UNIT_MS).reverse().find(([, size]) => ms % size === 0);
+      return `now-${ms / size}${unit}`;
+    }
+
+    const time = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? value : new Date(Math.floor(time / TIME_BUCKET_MS) * TIME_BUCKET_MS).toISOString();
+  }
+
+  // The parsed pipeline without positions, so spacing, line breaks and comments don't matter
+  canonicalDQL(query) {
+    try {
+      return JSON.stringify(this.parser.parse(query), (key, value) =>
+        ['line', 'column', 'aliasOperator'].includes(key) ? undefined : value);
+    } catch {
+      return String(query).replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  // Tags for the data a DQL query reads, e.g. dql:logs; queries over problem events go with the problems
+  static dataObjectTags(query) {
+    const dataObject = String(query).match(/^\s*fetch\s+([\w.]+)/i)?.[1]?.toLowerCase();
+    if (!dataObject) return [];
+    return dataObject === 'dt.davis.problems' ? [`dql:${dataObject}`, 'problems'] : [`dql:${dataObject}`];
+  }
+
+  // Sorted keys, no empty values, primitive lists in a fixed order
+  normalize(operation, params = {}) {
+    const normalized = {};
+    for (const key of Object.keys(params).sort()) {
+      let value = params[key];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (operation === 'executeDQL' && key === 'query') {
+        value = this.canonicalDQL(value);
+      } else if (TIME_PARAMS.includes(key)) {
+        value = QueryCache.normalizeTime(value);
+      } else if (Array.isArray(value)) {
+        value = value.every(item => typeof item !== 'object') ? [...value].map(String).sort() : value;
+      } else if (typeof value === 'string') {
+        value = value.trim();
+      }
+      normalized[key] = value;
+    }
+    return normalized;
+  }
+
+  // dt:<namespace>:<backend>:<operation>:<hash>; the namespace separates result shapes (chat answers, tool results)
+  key(namespace, operation, params) {
+    const hash = createHash('sha256').update(JSON.stringify(this.normalize(operation, params))).digest('hex').substring(0, 32);
+    return `dt:${namespace}:${this.scope}:${operation}:${hash}`;
+  }
+
+  tags(operation, params) {
+    const policy = this.policies[operation];
+    return policy?.tags ? policy.tags(params) : [];
+  }
+
+  // Entries are stored as { value, cachedAt }, cachedAt being when the value was fetched
+  async get(namespace, operation, params) {
+    if (!this.redis) return null;
+    const entry = await this.redis.get(this.key(namespace, operation, params));
+    return entry?.cachedAt ? entry.value : null;
+  }
+
+  // Resolves to { value, cache, cachedAt } where cache is 'hit', 'miss' (this call ran fn) or 'shared'
+  // (another caller's run) and cachedAt is when the value was fetched. Only results that pass cacheable
+  // are stored - stale or failed ones must not be replayed. fetchedAt(value) dates a value built from
+  // data that was itself cached; the entry then only lives out what is left of the TTL from that time.
+  async remember(namespace, operation, params, fn, options = {}) {
+    const { ttl, cacheable = (result) => result?.realData === true, onWait, fetchedAt } = options;
+    const key = this.key(namespace, operation, params);
+
+    const pending = this.pending.get(key);
+    if (pending) {
+      onWait?.();
+      try {
+        const { value, cachedAt } = await pending;
+        this.redis?.metrics.count(key, 'shared');
+        return { value, cache: 'shared', cachedAt };
+      } catch {
+        // The other caller's run failed, possibly for reasons of its own (e.g. its quota) - run it here
+        return this.remember(namespace, operation, params, fn, options);
+      }
+    }
+
+    const call = this.fill(key, operation, params, fn, { ttl: ttl ?? this.policies[operation]?.ttl ?? 300, cacheable, onWait, fetchedAt });
+    this.pending.set(key, call);
+    try {
+      return await call;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  async fill(key, operation, params, fn, { ttl, cacheable, onWait, fetchedAt }) {
+    if (!this.redis) {
+      const value = await fn();
+      return { value, cache: 'miss', cachedAt: fetchedAt?.(value) || new Date().toISOString() };
+    }
+
+    // Filled by a caller that finished just now, or by another instance
+    const cached = await this.redis.get(key);
+    if (cached?.cachedAt) return { value: cached.value, cache: 'hit', cachedAt: cached.cachedAt };
+
+    const lock = await this.redis.acquireLock(key, this.lockTtl);
+    if (!lock) {
+      onWait?.();
+      const shared = await this.waitForUnlock(key);
+      if (shared?.cachedAt) {
+        this.redis.metrics.count(key, 'shared');
+        return { value: shared.value, cache: 'shared', cachedAt: shared.cachedAt };
+      }
+      // The other instance failed or its result was not cacheable - run it here after all
+    }
+
+    try {
+      const value = await fn();
+      const cachedAt = fetchedAt?.(value) || new Date().toISOString();
+      const remaining = ttl - Math.floor((Date.now() - new Date(cachedAt).getTime()) / 1000);
+      if (remaining > 0 && cacheable(value)) {
+        await this.redis.setWithTags(key, { value, cachedAt }, remaining, this.tags(operation, params));
+      }
+      return { value, cache: 'miss', cachedAt };
+    } finally {
+      if (lock) await this.redis.releaseLock(key, lock);
+    }
+  }
+
+  // Memoizes any async function: fn(params) runs at most once per operation and normalized params
+  // within the operation's TTL, and concurrent callers share that run
+  async withCache(operation, fn, params = {}, { namespace = 'fn', ttl } = {}) {
+    const { value } = await this.remember(namespace, operation, params, () => fn(params), {
+      ttl,
+      cacheable: () => true // failures throw and are never stored
+    });
+    return value;
+  }
+
+  // Puts every backend method behind the cache, in place, so all callers share one cache: keyword
+  // routing, the agent's tools and the MCP endpoint. backend.uncached keeps the plain methods for
+  // callers that need live state.
+  cacheBackend(backend) {
+    backend.uncached = {};
+    for (const method of BACKEND_METHODS) {
+      const call = backend[method].bind(backend);
+      const toParams = BACKEND_ARGUMENTS[method] || ((params = {}) => params);
+      backend.uncached[method] = call;
+      backend[method] = async (...args) => {
+        const { value, cache, cachedAt } = await this.remember('backend', method, toParams(...args), async () => {
+          await QueryCache.chargeMiss();
+          return call(...args);
+        }, {
+          cacheable: () => true // failures throw and are never stored
+        });
+        backendCalls.getStore()?.push({ operation: method, cache, cachedAt });
+        return value;
+      };
+    }
+    return backend;
+  }
+
+  // Runs fn and reports how the backend calls it made were served:
+  // { value, cache: 'hit' | 'partial' | 'miss', fetchedAt } - fetchedAt being when its oldest data was fetched
+  static async track(fn) {
+    const calls = [];
+    const value = await backendCalls.run(calls, fn);
+    const hits = calls.filter(call => call.cache === 'hit').length;
+    return {
+      value,
+      cache: hits === 0 ? 'miss' : hits === calls.length ? 'hit' : 'partial',
+      fetchedAt: calls.map(call => call.cachedAt).sort()[0] || new Date().toISOString()
+    };
+  }
+
+  // Runs fn so that its first backend cache miss charges quota.consume('dynatrace'), once for all of
+  // fn's calls; answers served entirely from the cache cost nothing
+  static charge(quota, fn) {
+    return missCharges.run({ quota, charged: null }, fn);
+  }
+
+  static async chargeMiss() {
+    const store = missCharges.getStore();
+    if (!store) return;
+    store.charged ||= store.quota.consume('dynatrace');
+    await store.charged;
+  }
+
+  async waitForUnlock(key) {
+    const deadline = Date.now() + this.lockTtl;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      if (!(await this.redis.isLocked(key))) {
+        return this.redis.get(key);
+      }
+    }
+    return null;
+  }
+
+  async invalidate(tags) {
+    if (!this.redis || tags.length === 0) return 0;
+    return this.redis.invalidateTags(tags);
+  }
+}
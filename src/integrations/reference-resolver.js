@@ -0,0 +1,104 @@
+import { ENTITY_ID_PATTERN, PROBLEM_ID_PATTERN, VULNERABILITY_ID_PATTERN } from './dynatrace-ids.js';
+
+const ORDINALS = {
+  first: 0, '1st': 0,
+  second: 1, '2nd': 1,
+  third: 2, '3rd': 2,
+  fourth: 3, '4th': 3,
+  fifth: 4, '5th': 4,
+  last: -1
+};
+
+// What a noun in "that problem" / "the second service" can point at
+const KINDS = {
+  problem: 'problems',
+  incident: 'problems',
+  issue: 'problems',
+  vulnerability: 'vulnerabilities',
+  cve: 'vulnerabilities',
+  entity: 'entities',
+  service: 'entities',
+  host: 'entities',
+  process: 'entities',
+  application: 'entities',
+  one: null // whatever the latest list contained
+};
+const ENTITY_TYPES = { service: 'SERVICE-', host: 'HOST-', process: 'PROCESS_GROUP', application: 'APPLICATION-' };
+
+const NOUNS = Object.keys(KINDS).join('|');
+const ORDINAL_REFERENCE = new RegExp(`\\b(?:the\\s+)?(${Object.keys(ORDINALS).join('|')})\\s+(${NOUNS})\\b`, 'i');
+const DEMONSTRATIVE_REFERENCE = new RegExp(`\\b(that|this|the same)\\s+(${NOUNS})\\b`, 'i');
+
+// Resolves "that problem" or "the second one" to IDs that earlier answers in the session listed
+export class ReferenceResolver {
+  // IDs in order of first appearance, so list positions line up with "first", "second", ...
+  extractReferences(text = '') {
+    const collect = (pattern) => [...new Set(text.match(new RegExp(pattern.source, 'g')) || [])];
+    return {
+      problems: collect(PROBLEM_ID_PATTERN),
+      vulnerabilities: collect(VULNERABILITY_ID_PATTERN),
+      entities: collect(ENTITY_ID_PATTERN)
+    };
+  }
+
+  // Returns { message, references: [{ phrase, kind, id }] }; the message gets the ID appended to the phrase
+  resolve(message, history = []) {
+    const references = [];
+    let resolved = message;
+
+    const ordinal = message.match(ORDINAL_REFERENCE);
+    const demonstrative = !ordinal && message.match(DEMONSTRATIVE_REFERENCE);
+    const match = ordinal || demonstrative;
+    if (!match) {
+      return { message, references };
+    }
+
+    // Already explicit - nothing to resolve
+    const explicit = this.extractReferences(message);
+    if (explicit.problems.length || explicit.vulnerabilities.length || explicit.entities.length) {
+      return { message, references };
+    }
+
+    const noun = match[2].toLowerCase();
+    const candidates = this.findCandidates(history, KINDS[noun], ENTITY_TYPES[noun]);
+    if (!candidates) {
+      return { message, references };
+    }
+
+    let id;
+    if (ordinal) {
+      const position = ORDINALS[match[1].toLowerCase()];
+      id = position === -1 ? candidates.ids[candidates.ids.length - 1] : candidates.ids[position];
+    } else {
+      // "that problem" means the one the conversation is on: the only one, or the first of a list
+      id = candidates.ids[0];
+    }
+
+    if (id) {
+      references.push({ phrase: match[0], kind: candidates.kind, id, ambiguous: !ordinal && candidates.ids.length > 1 });
+      resolved = message.replace(match[0], `${match[0]} (${id})`);
+      console.log(`🔗 Resolved "${match[0]}" to ${id}`);
+    }
+
+    return { message: resolved, references };
+  }
+
+  // Newest turn that mentioned IDs of the wanted kind
+  findCandidates(history, kind, entityPrefix) {
+    for (let i = history.length - 1; i >= 0; i--) {
+      const found = this.extractReferences(history[i].content);
+      const kinds = kind ? [kind] : ['problems', 'vulnerabilities', 'entities'];
+
+      for (const candidateKind of kinds) {
+        let ids = found[candidateKind];
+        if (candidateKind === 'entities' && entityPrefix) {
+          ids = ids.filter(id => id.startsWith(entityPrefix));
+        }
+        if (ids.length > 0) {
+          return { kind: candidateKind, ids };
+        }
+      }
+    }
+    return null;
+  }
+}
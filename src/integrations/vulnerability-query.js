@@ -0,0 +1,101 @@
+export const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+export const EXPOSURES = ['PUBLIC_NETWORK', 'NOT_DETECTED'];
+export const GROUP_BY = ['processGroup', 'library', 'service'];
+
+// A vulnerability triage request: which open security problems (risk, exposure, fix) and how to group them
+export class VulnerabilityQuery {
+  constructor({ riskLevel, minRiskScore, exposure, fixAvailable, groupBy, maxVulnerabilities } = {}) {
+    this.riskLevel = VulnerabilityQuery.toList(riskLevel);
+    this.minRiskScore = parseFloat(minRiskScore) || undefined;
+    this.exposure = EXPOSURES.includes(String(exposure).toUpperCase()) ? String(exposure).toUpperCase() : undefined;
+    this.fixAvailable = VulnerabilityQuery.toBoolean(fixAvailable);
+    this.groupBy = GROUP_BY.includes(groupBy) ? groupBy : undefined;
+    this.maxVulnerabilities = parseInt(maxVulnerabilities) || undefined;
+  }
+
+  static toList(value) {
+    if (!value) return undefined;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim().toUpperCase())
+      .filter(item => RISK_LEVELS.includes(item));
+    return list.length > 0 ? [...new Set(list)] : undefined;
+  }
+
+  // Query strings and tool arguments arrive as "true"/"false"
+  static toBoolean(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+
+  // "which internet-exposed services have critical CVEs", "high risk vulnerabilities with a fix, by library"
+  static fromMessage(message) {
+    const params = {};
+
+    params.riskLevel = RISK_LEVELS.filter(level => new RegExp(`\\b${level}\\b`, 'i').test(message));
+
+    const score = message.match(/\b(?:risk\s+)?score\s*(?:>=|>|of at least|at least|above|over)\s*(\d+(?:\.\d+)?)/i);
+    if (score) {
+      params.minRiskScore = score[1];
+    }
+
+    if (/\b(not|never)\s+(internet[- ])?exposed\b|\binternal[- ]only\b/i.test(message)) {
+      params.exposure = 'NOT_DETECTED';
+    } else if (/\b(internet[- ]exposed|publicly exposed|public[- ]facing|exposed)\b/i.test(message)) {
+      params.exposure = 'PUBLIC_NETWORK';
+    }
+
+    if (/\b(no|without( a)?)\s+(fix|patch)\b|\bunfixable\b/i.test(message)) {
+      params.fixAvailable = false;
+    } else if (/\b(fix|patch|upgrade)\s+(is\s+)?available\b|\bfixable\b|\bwith( a)?\s+(fix|patch)\b/i.test(message)) {
+      params.fixAvailable = true;
+    }
+
+    if (/\b(by|per)\s+(process[- ]group|pg)s?\b/i.test(message)) {
+      params.groupBy = 'processGroup';
+    } else if (/\b(by|per)\s+(library|libraries|component|package)s?\b/i.test(message)) {
+      params.groupBy = 'library';
+    } else if (/\b(by|per)\s+services?\b|\bwhich\b.*\bservices\b/i.test(message)) {
+      params.groupBy = 'service';
+    }
+
+    return new VulnerabilityQuery(params);
+  }
+
+  // Snyk-sourced remediation text says so when no fixed version exists
+  static hasFix(securityProblem) {
+    const remediation = securityProblem.remediationDescription;
+    return Boolean(remediation) && !/\bno (fixed|fix|upgrade|remediation)\b/i.test(remediation);
+  }
+
+  toParams() {
+    return Object.fromEntries(Object.entries({ ...this }).filter(([, value]) => value !== undefined));
+  }
+
+  // Dynatrace securityProblemSelector for GET /api/v2/securityProblems; exposure and fix are filtered client-side
+  toSecurityProblemSelector() {
+    const selectors = ['status("OPEN")'];
+    if (this.riskLevel) selectors.push(`riskLevel(${this.riskLevel.map(level => `"${level}"`).join(',')})`);
+    if (this.minRiskScore) selectors.push(`minRiskScore("${this.minRiskScore}")`);
+    return selectors.join(',');
+  }
+
+  matches(securityProblem) {
+    const risk = securityProblem.riskAssessment || {};
+    if (this.riskLevel && !this.riskLevel.includes(risk.riskLevel)) return false;
+    if (this.minRiskScore && !(risk.riskScore >= this.minRiskScore)) return false;
+    if (this.exposure && risk.exposure !== this.exposure) return false;
+    if (this.fixAvailable !== undefined && VulnerabilityQuery.hasFix(securityProblem) !== this.fixAvailable) return false;
+    return true;
+  }
+
+  describe() {
+    const parts = ['open'];
+    if (this.riskLevel) parts.push(`risk ${this.riskLevel.join('/')}`);
+    if (this.minRiskScore) parts.push(`score ≥ ${this.minRiskScore}`);
+    if (this.exposure) parts.push(this.exposure === 'PUBLIC_NETWORK' ? 'internet-exposed' : 'not exposed');
+    if (this.fixAvailable !== undefined) parts.push(this.fixAvailable ? 'fix available' : 'no fix');
+    if (this.groupBy) parts.push(`grouped by ${this.groupBy === 'processGroup' ? 'process group' : this.groupBy}`);
+    return parts.join(' · ');
+  }
+}
@@ -0,0 +1,251 @@
+import express from 'express';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { OIDCProvider } from './oidc-provider.js';
+
+// Which tools each role may run, by MCP / agent tool name; '*' allows every tool
+const VIEWER_TOOLS = ['list_problems', 'get_problem_details', 'find_entities', 'get_entity_details', 'query_metrics'];
+export const DEFAULT_ROLES = {
+  viewer: VIEWER_TOOLS,
+  analyst: [...VIEWER_TOOLS, 'search_logs', 'list_vulnerabilities', 'execute_dql'],
+  admin: ['*']
+};
+
+const SESSION_COOKIE = 'dtmcp_session';
+const LOGIN_TTL = 600; // seconds between /auth/login and the callback
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+// Who is calling, and which tools their roles allow
+export class Identity {
+  constructor({ id, name, roles = [], method }, roleTools = DEFAULT_ROLES) {
+    this.id = id;
+    this.name = name;
+    this.roles = roles;
+    this.method = method; // 'api-key', 'oidc' or 'anonymous'
+    this.tools = new Set(roles.flatMap(role => roleTools[role] || []));
+  }
+
+  can(tool) {
+    return this.tools.has('*') || this.tools.has(tool);
+  }
+
+  toJSON() {
+    return { id: this.id, name: this.name, roles: this.roles, method: this.method, tools: [...this.tools] };
+  }
+}
+
+// Login sessions and pending OIDC logins: through RedisMiddleware (which falls back to memory itself,
+// where auth: keys are exempt from eviction), or a plain map when the authenticator runs without one
+class AuthStore {
+  constructor(redis) {
+    this.redis = redis;
+    this.memory = new Map();
+  }
+
+  async get(key) {
+    if (this.redis) return this.redis.get(key);
+    const entry = this.memory.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+    this.memory.delete(key);
+    return null;
+  }
+
+  async set(key, value, ttl) {
+    if (this.redis) return this.redis.set(key, value, ttl);
+    this.memory.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  async del(key) {
+    if (this.redis) return this.redis.del(key);
+    return this.memory.delete(key);
+  }
+}
+
+// Authenticates API and UI requests. Automation sends an API key (Authorization: Bearer <key> or
+// X-API-Key); people log in through OIDC and get an HttpOnly session cookie. AUTH_MODE=none turns
+// authentication off and treats every caller as an anonymous admin - for local development only.
+export class Authenticator {
+  constructor({ mode = 'required', apiKeys = '', oidc = {}, roles = DEFAULT_ROLES, sessionTtl = 28800, redis = null } = {}) {
+    this.mode = mode;
+    this.roles = roles;
+    this.sessionTtl = sessionTtl;
+    this.apiKeys = Authenticator.parseApiKeys(apiKeys);
+    this.oidc = new OIDCProvider(oidc);
+    this.store = new AuthStore(redis);
+    this.anonymous = new Identity({ id: 'anonymous', name: 'anonymous', roles: ['admin'], method: 'anonymous' }, roles);
+  }
+
+  get enabled() {
+    return this.mode !== 'none';
+  }
+
+  // "ci-bot:analyst:<key>,grafana:viewer:<key>"; several roles are joined with |, the key may contain colons.
+  // Only hashes are kept.
+  static parseApiKeys(spec) {
+    return String(spec || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, roles, ...key] = entry.split(':');
+      if (!name || !roles || key.length === 0) {
+        throw new Error(`Invalid AUTH_API_KEYS entry for "${name}": expected name:role:key`);
+      }
+      return { name, roles: roles.split('|'), hash: sha256(key.join(':')) };
+    });
+  }
+
+  describe() {
+    if (!this.enabled) return 'disabled (AUTH_MODE=none)';
+    const methods = [`${this.apiKeys.length} API key${this.apiKeys.length === 1 ? '' : 's'}`];
+    if (this.oidc.configured) methods.push(`OIDC ${this.oidc.issuer}`);
+    return `required (${methods.join(', ')})`;
+  }
+
+  // Resolves to an Identity, or null when the request carries no valid credentials
+  async authenticate(req) {
+    if (!this.enabled) return this.anonymous;
+
+    const key = this.apiKeyFrom(req);
+    if (key) {
+      // A wrong key fails outright rather than falling back to the session cookie
+      const hash = sha256(key);
+      const match = this.apiKeys.find(apiKey => timingSafeEqual(apiKey.hash, hash));
+      return match ? new Identity({ id: `api-key:${match.name}`, name: match.name, roles: match.roles, method: 'api-key' }, this.roles) : null;
+    }
+
+    const sessionId = this.cookies(req)[SESSION_COOKIE];
+    if (sessionId) {
+      const session = await this.store.get(this.sessionKey(sessionId));
+      return session ? new Identity(session, this.roles) : null;
+    }
+    return null;
+  }
+
+  apiKeyFrom(req) {
+    const authorization = req.headers.authorization || '';
+    return authorization.match(/^Bearer\s+(.+)$/i)?.[1] || req.headers['x-api-key'] || null;
+  }
+
+  cookies(req) {
+    return Object.fromEntries((req.headers.cookie || '').split(';')
+      .map(cookie => cookie.trim().split('='))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+  }
+
+  // Stored under a hash so the cookie value never shows up in Redis keys or logs
+  sessionKey(sessionId) {
+    return `auth:session:${sha256(sessionId).toString('hex')}`;
+  }
+
+  // Middleware: sets req.identity or answers 401; the UI follows login to sign in
+  requireAuth() {
+    return async (req, res, next) => {
+      try {
+        const identity = await this.authenticate(req);
+        if (!identity) {
+          return res.status(401).json({
+            error: 'Authentication required',
+            ...(this.oidc.configured && { login: '/auth/login' })
+          });
+        }
+        req.identity = identity;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Middleware after requireAuth: 403 unless one of the caller's roles allows the tool
+  requireTool(tool) {
+    return (req, res, next) => {
+      if (!req.identity.can(tool)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Role ${req.identity.roles.join(', ')} may not use ${tool}` });
+      }
+      next();
+    };
+  }
+
+  // Middleware after requireAuth, for administration endpoints
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!req.identity.roles.includes(role)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/login', async (req, res) => {
+      if (!this.oidc.configured) {
+        return res.status(404).json({ error: 'OIDC login is not configured' });
+      }
+      try {
+        const request = await this.oidc.authorizationRequest(`${req.protocol}://${req.get('host')}/auth/callback`);
+        const { nonce, verifier, redirectUri } = request;
+        await this.store.set(`auth:login:${request.state}`, { nonce, verifier, redirectUri }, LOGIN_TTL);
+        res.redirect(request.url);
+      } catch (error) {
+        console.error('OIDC login error:', error.message);
+        res.status(502).json({ error: 'OIDC provider unavailable', message: error.message });
+      }
+    });
+
+    router.get('/callback', async (req, res) => {
+      const { code, state, error } = req.query;
+      if (error) {
+        return res.status(401).json({ error: 'Login failed', message: String(req.query.error_description || error) });
+      }
+
+      // Each login request can be completed once
+      const pending = state && await this.store.get(`auth:login:${state}`);
+      if (!code || !pending) {
+        return res.status(400).json({ error: 'Unknown or expired login request' });
+      }
+      await this.store.del(`auth:login:${state}`);
+
+      try {
+        const claims = await this.oidc.exchange(String(code), pending);
+        const identity = {
+          id: `oidc:${claims.sub}`,
+          name: claims.name || claims.preferred_username || claims.email || claims.sub,
+          roles: this.oidc.rolesFrom(claims, Object.keys(this.roles)),
+          method: 'oidc'
+        };
+
+        const sessionId = randomBytes(32).toString('base64url');
+        await this.store.set(this.sessionKey(sessionId), identity, this.sessionTtl);
+        console.log(`🔐 ${identity.name} signed in (${identity.roles.join(', ')})`);
+
+        res.cookie(SESSION_COOKIE, sessionId, {
+          httpOnly: true,
+          sameSite: 'lax',
+          secure: req.secure || pending.redirectUri.startsWith('https://'),
+          maxAge: this.sessionTtl * 1000,
+          path: '/'
+        });
+        res.redirect('/');
+      } catch (error) {
+        console.error('OIDC callback error:', error.message);
+        res.status(401).json({ error: 'Login failed', message: error.message });
+      }
+    });
+
+    router.post('/logout', async (req, res) => {
+      const sessionId = this.cookies(req)[SESSION_COOKIE];
+      if (sessionId) {
+        await this.store.del(this.sessionKey(sessionId));
+      }
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+      res.status(204).end();
+    });
+
+    router.get('/me', this.requireAuth(), (req, res) => {
+      res.json(req.identity);
+    });
+
+    return router;
+  }
+}
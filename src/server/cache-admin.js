@@ -0,0 +1,97 @@
+import express from 'express';
+
+const MAX_PAGE_SIZE = 1000;
+const PRIVATE_PREFIXES = ['auth:']; // login sessions and pending logins: identities and PKCE verifiers
+
+// Cache administration under /api/admin/cache (admin role): counters per namespace, key listing with
+// SCAN, single entries with their TTL, and purging by pattern or tag. While Redis is down these
+// work on the in-memory fallback store.
+export class CacheAdmin {
+  constructor({ redis }) {
+    this.redis = redis;
+  }
+
+  // Patterns must start with a literal namespace, so a stray "*" cannot wipe sessions and logins too
+  static validPattern(pattern) {
+    return typeof pattern === 'string' && /^[\w-]+:/.test(pattern);
+  }
+
+  static isPrivate(key) {
+    return PRIVATE_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/stats', (req, res) => {
+      res.json({
+        redis: this.redis?.connected || false,
+        store: this.redis.mode,
+        ...this.redis.metrics.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    router.post('/stats/reset', (req, res) => {
+      this.redis.metrics.reset();
+      res.status(204).end();
+    });
+
+    // ?namespace=dt:chat or ?pattern=dt:chat:mock:*, paged with ?cursor= (0 to start, 0 again when done)
+    router.get('/keys', async (req, res) => {
+      const pattern = req.query.pattern || (req.query.namespace && `${req.query.namespace}:*`);
+      if (!CacheAdmin.validPattern(pattern)) {
+        return res.status(400).json({ error: 'namespace or pattern required, e.g. ?namespace=dt:chat' });
+      }
+      if (CacheAdmin.isPrivate(pattern)) {
+        return res.status(403).json({ error: 'Login state is not listed here', pattern });
+      }
+
+      try {
+        const count = Math.min(parseInt(req.query.count) || 100, MAX_PAGE_SIZE);
+        const { cursor, keys } = await this.redis.scanKeys(pattern, { cursor: parseInt(req.query.cursor) || 0, count });
+        res.json({ pattern, cursor, done: cursor === 0, keys: keys.filter(key => !CacheAdmin.isPrivate(key)).sort() });
+      } catch (error) {
+        console.error('Cache admin error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/entry', async (req, res) => {
+      if (!req.query.key) {
+        return res.status(400).json({ error: 'key required' });
+      }
+      if (CacheAdmin.isPrivate(String(req.query.key))) {
+        return res.status(403).json({ error: 'Login state is not readable here', key: req.query.key });
+      }
+
+      try {
+        const entry = await this.redis.inspect(String(req.query.key));
+        if (!entry) {
+          return res.status(404).json({ error: 'No such key', key: req.query.key });
+        }
+        res.json(entry);
+      } catch (error) {
+        console.error('Cache admin error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // { "pattern": "dt:chat:*" } or { "tags": ["problems"] }
+    router.post('/purge', async (req, res) => {
+      const { pattern, tags } = req.body || {};
+
+      if (Array.isArray(tags) && tags.length > 0) {
+        console.log(`🧹 Cache purge by tag: ${tags.join(', ')} (${req.identity?.name})`);
+        return res.json({ tags, deleted: await this.redis.invalidateTags(tags.map(String)) });
+      }
+      if (CacheAdmin.validPattern(pattern)) {
+        console.log(`🧹 Cache purge by pattern: ${pattern} (${req.identity?.name})`);
+        return res.json({ pattern, deleted: await this.redis.delPattern(pattern) });
+      }
+      res.status(400).json({ error: 'pattern (starting with a namespace, e.g. dt:chat:*) or tags required' });
+    });
+
+    return router;
+  }
+}
@@ -0,0 +1,61 @@
+// Key prefixes whose second segment is part of the namespace (dt:chat, dt:tool, dt:backend, auth:session)
+const TWO_SEGMENT_PREFIXES = ['dt', 'auth'];
+
+// Hit, miss and latency counters per cache namespace - the key up to the first colon, or the second
+// one for dt: and auth: keys. Counted in this process since it started (or was last reset).
+export class CacheMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  static namespaceOf(key) {
+    const segments = String(key).split(':');
+    return TWO_SEGMENT_PREFIXES.includes(segments[0]) && segments.length > 2
+      ? `${segments[0]}:${segments[1]}`
+      : segments[0];
+  }
+
+  reset() {
+    this.namespaces = new Map();
+    this.since = new Date().toISOString();
+  }
+
+  entry(key) {
+    const namespace = CacheMetrics.namespaceOf(key);
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, {
+        hits: 0, misses: 0, shared: 0, sets: 0, deletes: 0, errors: 0,
+        latency: { get: { count: 0, totalMs: 0, maxMs: 0 }, set: { count: 0, totalMs: 0, maxMs: 0 } }
+      });
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  // event: hits, misses, shared, sets, deletes or errors
+  count(key, event) {
+    this.entry(key)[event]++;
+  }
+
+  // operation: get or set
+  time(key, operation, ms) {
+    const latency = this.entry(key).latency[operation];
+    latency.count++;
+    latency.totalMs += ms;
+    latency.maxMs = Math.max(latency.maxMs, ms);
+  }
+
+  toJSON() {
+    const round = (ms) => Math.round(ms * 100) / 100;
+    const namespaces = {};
+    for (const [namespace, { latency, ...counts }] of [...this.namespaces].sort(([a], [b]) => a.localeCompare(b))) {
+      const lookups = counts.hits + counts.misses;
+      namespaces[namespace] = {
+        ...counts,
+        hitRate: lookups > 0 ? round(counts.hits / lookups) : null,
+        latency: Object.fromEntries(Object.entries(latency).map(([operation, { count, totalMs, maxMs }]) =>
+          [operation, { count, avgMs: count > 0 ? round(totalMs / count) : null, maxMs: round(maxMs) }]))
+      };
+    }
+    return { since: this.since, namespaces };
+  }
+}
@@ -8,7 +8,12 @@ import dotenv from 'dotenv';
 // Our enhanced components
 import { RedisMiddleware } from './redis-middleware.js';
 import { SessionManager } from './session-manager.js';
+import { MCPEndpoint } from './mcp-endpoint.js';
+import { Authenticator } from './auth.js';
+import { RateLimiter } from './rate-limiter.js';
+import { CacheAdmin } from './cache-admin.js';
 import { ChatHandler } from '../integrations/chat-handler.js';
+import { QueryCache } from '../integrations/query-cache.js';
 import { KnowledgeBase } from '../integrations/knowledge-base.js';
 
 // Load environment config
@@ -23,33 +28,81 @@ class EnhancedMCPServer {
       redis: {
         host: process.env.REDIS_HOST || 'localhost',
         port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASSWORD || undefined
+        password: process.env.REDIS_PASSWORD || undefined,
+        db: parseInt(process.env.REDIS_DB) || 0,
+        enabled: process.env.REDIS_ENABLED !== 'false',
+        memoryMaxEntries: parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES) || 10000
       },
       dynatrace: {
         environment: process.env.DT_ENVIRONMENT,
         oauthClientId: process.env.OAUTH_CLIENT_ID,
-        oauthClientSecret: process.env.OAUTH_CLIENT_SECRET
+        oauthClientSecret: process.env.OAUTH_CLIENT_SECRET,
+        maxResultRecords: parseInt(process.env.DT_QUERY_MAX_RECORDS) || 1000,
+        queryTimeoutMs: parseInt(process.env.DT_QUERY_TIMEOUT_MS) || 60000,
+        maxProblems: parseInt(process.env.DT_MAX_PROBLEMS) || 200,
+        maxVulnerabilities: parseInt(process.env.DT_MAX_VULNERABILITIES) || 50,
+        mcpServerUrl: process.env.DT_MCP_SERVER_URL || 'http://localhost:3001',
+        backend: process.env.DT_BACKEND || 'rest',
+        mockFixtures: process.env.DT_MOCK_FIXTURES
       },
       ollama: {
         timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 120000,
         baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-        model: process.env.OLLAMA_MODEL || 'llama2'
+        model: process.env.OLLAMA_MODEL || 'llama2',
+        numCtx: parseInt(process.env.OLLAMA_NUM_CTX) || 2048,
+        toolCalling: process.env.OLLAMA_TOOL_CALLING !== 'false',
+        maxToolSteps: parseInt(process.env.OLLAMA_MAX_TOOL_STEPS) || 5
+      },
+      mcp: {
+        sessionIdleTtl: parseInt(process.env.MCP_SESSION_IDLE_TTL) || 1800,
+        maxSessions: parseInt(process.env.MCP_MAX_SESSIONS) || 1000
       },
       cache: {
         ttl: parseInt(process.env.CACHE_TTL) || 3600,
         sessionTtl: parseInt(process.env.SESSION_TTL) || 86400
       },
+      auth: {
+        mode: process.env.AUTH_MODE || 'required',
+        apiKeys: process.env.AUTH_API_KEYS,
+        sessionTtl: parseInt(process.env.AUTH_SESSION_TTL) || 28800,
+        oidc: {
+          issuer: process.env.OIDC_ISSUER,
+          clientId: process.env.OIDC_CLIENT_ID,
+          clientSecret: process.env.OIDC_CLIENT_SECRET,
+          redirectUri: process.env.OIDC_REDIRECT_URI,
+          scopes: process.env.OIDC_SCOPES,
+          rolesClaim: process.env.OIDC_ROLES_CLAIM,
+          defaultRole: process.env.OIDC_DEFAULT_ROLE
+        }
+      },
+      rateLimits: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        // scope:count/period lists, e.g. session:20/min,user:60/min,global:300/min
+        limits: {
+          chat: process.env.RATE_LIMIT_CHAT,
+          dynatrace: process.env.RATE_LIMIT_DYNATRACE,
+          llm: process.env.RATE_LIMIT_LLM
+        }
+      },
+      cors: {
+        // Browser origins allowed to call the API besides the UI's own
+        origins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+      },
       ...config
     };
 
     this.app = express();
     this.server = createServer(this.app);
+    this.wss = null;
     
     // Will be initialized in start()
     this.redis = null;
     this.sessions = null;
     this.chatHandler = null;
     this.adtKnowledge = null;
+    this.mcpEndpoint = null;
+    this.auth = null;
+    this.rateLimiter = null;
   }
 
   async initializeComponents() {
@@ -64,22 +117,38 @@ class EnhancedMCPServer {
       ollamaConfig: this.config.ollama
     });
     this.adtKnowledge = new KnowledgeBase();
+    this.rateLimiter = new RateLimiter({ ...this.config.rateLimits, redis: this.redis });
+    this.mcpEndpoint = new MCPEndpoint({
+      redis: this.redis,
+      dynatrace: this.chatHandler.backend,
+      rateLimiter: this.rateLimiter,
+      ...this.config.mcp
+    });
+    this.auth = new Authenticator({ ...this.config.auth, redis: this.redis });
 
     // Connect to Redis
     const redisConnected = await this.redis.connect();
     if (redisConnected) {
       console.log('✅ Redis connected successfully');
-    } else {
-      console.log('⚠️ Redis connection failed - continuing without cache');
+    } else if (this.config.redis.enabled) {
+      console.log('⚠️ Redis not reachable - using the in-memory cache and reconnecting in the background');
     }
 
     // Validate Dynatrace config
-    if (this.config.dynatrace.environment && this.config.dynatrace.oauthClientId) {
+    if (this.config.dynatrace.backend === 'mock') {
+      console.log('🧪 Dynatrace backend is "mock" - serving fixture data, not your environment');
+    } else if (this.config.dynatrace.environment && this.config.dynatrace.oauthClientId) {
       console.log(`✅ Dynatrace config loaded: ${this.config.dynatrace.environment}`);
     } else {
       console.log('⚠️ Dynatrace OAuth config incomplete - some features may be limited');
     }
 
+    if (!this.auth.enabled) {
+      console.log('⚠️ AUTH_MODE=none - anyone who can reach this server can query Dynatrace');
+    } else if (this.auth.apiKeys.length === 0 && !this.auth.oidc.configured) {
+      console.log('⚠️ No AUTH_API_KEYS or OIDC configured - every API request will be rejected');
+    }
+
     console.log('✅ Enhanced MCP components initialized');
   }
 
@@ -87,11 +156,25 @@ class EnhancedMCPServer {
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.static(path.join(__dirname, '../ui/public')));
     
-    // CORS for development
+    // CORS: the UI's own origin plus CORS_ORIGINS. Other origins are refused outright rather than just
+    // left without CORS headers, so a foreign page cannot make requests that carry the session cookie.
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      const origin = req.get('Origin');
+      if (!origin) return next();
+
+      if (!this.isAllowedOrigin(origin, req.get('host'))) {
+        return res.status(403).json({ error: 'Origin not allowed', origin });
+      }
+
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version');
+      res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Vary', 'Origin');
+      if (req.method === 'OPTIONS') {
+        return res.status(204).end();
+      }
       next();
     });
 
@@ -102,7 +185,25 @@ class EnhancedMCPServer {
     });
   }
 
+  isAllowedOrigin(origin, host) {
+    try {
+      return new URL(origin).host === host || this.config.cors.origins.includes(origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
   setupRoutes() {
+    const requireAuth = this.auth.requireAuth();
+    const requireTool = (tool) => [requireAuth, this.auth.requireTool(tool)];
+    const requireAdmin = [requireAuth, this.auth.requireRole('admin')];
+    // REST calls have no chat session, so only the user and global Dynatrace quotas apply - and only
+    // when the answer is not already cached, as for chat and MCP tool calls
+    const charged = (req, fn) => QueryCache.charge(this.rateLimiter.forRequest({ userId: req.identity?.id }), fn);
+
+    // Login, logout and the current user
+    this.app.use('/auth', this.auth.router());
+
     // Health check with detailed status
     this.app.get('/health', async (req, res) => {
       const health = {
@@ -111,14 +212,22 @@ class EnhancedMCPServer {
         timestamp: new Date().toISOString(),
         components: {
           redis: this.redis?.connected || false,
+          cache: this.redis?.mode || null,
           dynatrace: !!this.config.dynatrace.environment,
-          ollama: 'checking...'
+          dynatraceBackend: this.config.dynatrace.backend,
+          ollama: 'checking...',
+          mcp: this.mcpEndpoint?.getStats() || null
         },
         config: {
           dynatraceEnv: this.config.dynatrace.environment ? 
             this.config.dynatrace.environment.replace(/https?:\/\//, '') : 'not configured',
           redisHost: `${this.config.redis.host}:${this.config.redis.port}`,
           ollamaUrl: this.config.ollama.baseUrl
+        },
+        // Server-wide buckets only; per-user usage is at /api/admin/quotas
+        rateLimits: {
+          enabled: this.rateLimiter?.enabled || false,
+          usage: this.rateLimiter ? await this.rateLimiter.usage() : null
         }
       };
 
@@ -134,7 +243,7 @@ class EnhancedMCPServer {
     });
 
     // Chat endpoint with enhanced error handling
-    this.app.post('/chat', async (req, res) => {
+    this.app.post('/chat', requireAuth, async (req, res) => {
       try {
         const { message, session_id } = req.body;
         
@@ -145,27 +254,15 @@ class EnhancedMCPServer {
           });
         }
 
-        const sessionId = session_id || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        console.log(`💬 Processing message from session ${sessionId}: ${message.substring(0, 100)}...`);
-        
-        const startTime = Date.now();
-        const response = await this.chatHandler.handleMessage(message, sessionId);
-        const processingTime = Date.now() - startTime;
-
-        // Update session with the interaction
-        if (this.sessions && this.redis?.connected) {
-          await this.sessions.addMessage(sessionId, message, response);
-        }
-
-        res.json({
-          response,
-          session_id: sessionId,
-          timestamp: new Date().toISOString(),
-          processing_time_ms: processingTime
-        });
+        res.json(await this.processChat(message, session_id, { identity: req.identity }));
 
       } catch (error) {
+        if (error.status === 403) {
+          return res.status(403).json({ error: 'Forbidden', message: error.message });
+        }
+        if (error.rateLimited) {
+          return RateLimiter.reject(res, error);
+        }
         console.error('💥 Chat error:', error);
         res.status(500).json({ 
           error: 'Internal server error',
@@ -175,15 +272,66 @@ class EnhancedMCPServer {
       }
     });
 
-    // Session info endpoint
-    this.app.get('/session/:sessionId', async (req, res) => {
+    // Problem list with structured filters, e.g. /api/problems?status=OPEN&severity=ERROR,AVAILABILITY&from=now-7d
+    this.app.get('/api/problems', requireTool('list_problems'), async (req, res) => {
       try {
-        if (!this.sessions || !this.redis?.connected) {
-          return res.status(503).json({ error: 'Session management unavailable' });
+        const { status, severity, impactLevel, managementZone, entitySelector, from, to, maxProblems } = req.query;
+        res.json(await charged(req, () => this.chatHandler.dynatrace.listProblems({ status, severity, impactLevel, managementZone, entitySelector, from, to, maxProblems })));
+      } catch (error) {
+        if (error.rateLimited) return RateLimiter.reject(res, error);
+        console.error('Problem list error:', error);
+        res.status(error.response?.status === 400 ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // Metric time series with stats, e.g. /api/metrics?metricSelector=builtin:service.response.time&entitySelector=entityId("SERVICE-...")&from=now-6h
+    this.app.get('/api/metrics', requireTool('query_metrics'), async (req, res) => {
+      try {
+        const { metricSelector, entitySelector, from, to, resolution } = req.query;
+        if (!metricSelector) {
+          return res.status(400).json({ error: 'metricSelector is required' });
         }
+        res.json(await charged(req, () => this.chatHandler.dynatrace.queryMetrics({ metricSelector, entitySelector, from, to, resolution })));
+      } catch (error) {
+        if (error.rateLimited) return RateLimiter.reject(res, error);
+        console.error('Metric query error:', error);
+        res.status((error.status || error.response?.status) === 400 ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // Log search with pattern clustering, e.g. /api/logs?level=ERROR&content=timeout&entityIds=SERVICE-...&from=now-6h
+    this.app.get('/api/logs', requireTool('search_logs'), async (req, res) => {
+      try {
+        const { level, content, entityIds, from, to, limit } = req.query;
+        res.json(await charged(req, () => this.chatHandler.dynatrace.searchLogs({ level, content, entityIds, from, to, limit })));
+      } catch (error) {
+        if (error.rateLimited) return RateLimiter.reject(res, error);
+        console.error('Log search error:', error);
+        res.status((error.status || error.response?.status) === 400 ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // Vulnerability triage, e.g. /api/vulnerabilities?riskLevel=CRITICAL&exposure=PUBLIC_NETWORK&groupBy=processGroup
+    this.app.get('/api/vulnerabilities', requireTool('list_vulnerabilities'), async (req, res) => {
+      try {
+        const { riskLevel, minRiskScore, exposure, fixAvailable, groupBy, maxVulnerabilities } = req.query;
+        res.json(await charged(req, () => this.chatHandler.dynatrace.listVulnerabilities({ riskLevel, minRiskScore, exposure, fixAvailable, groupBy, maxVulnerabilities })));
+      } catch (error) {
+        if (error.rateLimited) return RateLimiter.reject(res, error);
+        console.error('Vulnerability list error:', error);
+        res.status(error.response?.status === 400 ? 400 : 500).json({ error: error.message });
+      }
+    });
 
+    // MCP Streamable HTTP endpoint for IDE agents and other MCP clients
+    this.app.use('/mcp', requireAuth, this.mcpEndpoint.router());
+    this.app.use('/mcp', this.mcpEndpoint.parseErrorHandler());
+
+    // Session info endpoint
+    this.app.get('/session/:sessionId', requireAuth, async (req, res) => {
+      try {
         const sessionId = req.params.sessionId;
-        const session = await this.sessions.getSession(sessionId);
+        const session = await this.sessions.getOwnedSession(sessionId, req.identity);
         const stats = await this.sessions.getSessionStats(sessionId);
 
         res.json({
@@ -192,13 +340,43 @@ class EnhancedMCPServer {
           timestamp: new Date().toISOString()
         });
       } catch (error) {
+        if (error.status === 403) {
+          return res.status(403).json({ error: 'Forbidden', message: error.message });
+        }
         console.error('Session info error:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Rate limit configuration and remaining tokens, server-wide plus ?user=<identity id>&session=<session id>
+    this.app.get('/api/admin/quotas', requireAdmin, async (req, res) => {
+      res.json({
+        enabled: this.rateLimiter.enabled,
+        limits: this.rateLimiter.specs,
+        usage: await this.rateLimiter.usage({ userId: req.query.user, sessionId: req.query.session }),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Cache counters, keys, entries and purging
+    this.app.use('/api/admin/cache', requireAdmin, new CacheAdmin({ redis: this.redis }).router());
+
+    // Dynatrace problem notifications (custom integration) drop cached problem answers on every state
+    // change. Payload: {"ProblemID":"{ProblemID}","PID":"{PID}","State":"{State}"}
+    this.app.post('/api/webhooks/problems', requireAdmin, async (req, res) => {
+      const { ProblemID, PID, State } = req.body || {};
+      const tags = ['problems', ...[ProblemID, PID].filter(Boolean).map(id => `problem:${id}`)];
+      console.log(`📣 Problem ${ProblemID || PID || '(no ID)'} is ${State || 'updated'} - invalidating cached problem data`);
+
+      res.json({
+        invalidated: await this.chatHandler.cache.invalidate(tags),
+        tags,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // API info endpoint  
-    this.app.get('/api/info', (req, res) => {
+    this.app.get('/api/info', requireAuth, (req, res) => {
       res.json({
         name: 'Dynatrace MCP Enhanced',
         version: '1.0.0',
@@ -208,18 +386,36 @@ class EnhancedMCPServer {
           'Modern Chat Interface', 
           'Ollama Integration',
           'ADT Enterprise Knowledge Base',
-          'Dynatrace OAuth Integration'
+          'Dynatrace OAuth Integration',
+          'MCP Streamable HTTP Endpoint'
         ],
         endpoints: {
           '/': 'Chat UI',
           '/health': 'Detailed health check',
           '/chat': 'POST - Chat with enhanced MCP',
           '/session/:id': 'GET - Session information',
-          '/api/info': 'API information'
+          '/api/problems': 'GET - Problems filtered by status, severity, impactLevel, managementZone, entitySelector, from, to',
+          '/api/vulnerabilities': 'GET - Vulnerabilities filtered by riskLevel, minRiskScore, exposure, fixAvailable; groupBy processGroup|library|service',
+          '/api/metrics': 'GET - Metric time series with stats for metricSelector, entitySelector, from, to, resolution',
+          '/api/logs': 'GET - Log lines and message patterns filtered by level, content, entityIds, from, to, limit',
+          '/mcp': 'POST - MCP JSON-RPC endpoint (Streamable HTTP)',
+          '/ws': 'WebSocket - Streaming chat with progress events',
+          '/api/info': 'API information',
+          '/auth/login': 'GET - Sign in through OIDC',
+          '/auth/logout': 'POST - Sign out',
+          '/auth/me': 'GET - Current user, roles and permitted tools',
+          '/api/admin/quotas': 'GET - Rate limits and remaining tokens (admin); ?user=&session= for one caller',
+          '/api/admin/cache/stats': 'GET - Cache hits, misses and latency per namespace (admin)',
+          '/api/admin/cache/keys': 'GET - Cache keys by ?namespace= or ?pattern=, paged with ?cursor= (admin)',
+          '/api/admin/cache/entry': 'GET - One cache entry with its TTL, ?key= (admin)',
+          '/api/admin/cache/purge': 'POST - Delete cache entries by { pattern } or { tags } (admin)',
+          '/api/webhooks/problems': 'POST - Dynatrace problem notification; invalidates cached problem data (admin)'
         },
         config: {
           dynatrace: !!this.config.dynatrace.environment,
+          dynatraceUrl: this.chatHandler?.backend.environmentUrl?.startsWith('https://') ? this.chatHandler.backend.environmentUrl : null,
           redis: this.redis?.connected || false,
+          cache: this.redis?.mode || null,
           ollama: this.config.ollama.baseUrl
         }
       });
@@ -234,16 +430,130 @@ class EnhancedMCPServer {
     this.app.use((req, res) => {
       res.status(404).json({
         error: 'Not found',
-        available_endpoints: ['/', '/health', '/chat', '/api/info']
+        available_endpoints: ['/', '/health', '/chat', '/mcp', '/api/info']
       });
     });
   }
 
+  // Shared by POST /chat and the WebSocket channel; options.identity is the authenticated caller
+  async processChat(message, sessionIdParam, { identity, ...options } = {}) {
+    const sessionId = sessionIdParam || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log(`💬 Processing message from ${identity.name} in session ${sessionId}: ${message.substring(0, 100)}...`);
+
+    // Earlier turns let the assistant follow up ("what about the second one?"); only the session's owner may read them
+    let history = [];
+    if (this.sessions) {
+      await this.sessions.getOwnedSession(sessionId, identity);
+      history = await this.sessions.getHistory(sessionId);
+    }
+
+    const quotaContext = { userId: identity.id, sessionId };
+    await this.rateLimiter.consume('chat', quotaContext);
+
+    const startTime = Date.now();
+    const envelope = (await this.chatHandler.handleMessage(message, sessionId, {
+      ...options,
+      history,
+      allowTool: (tool) => identity.can(tool),
+      quota: this.rateLimiter.forRequest(quotaContext)
+    })).toJSON();
+    const processingTime = Date.now() - startTime;
+
+    // History keeps the Markdown rendering - it is what the model reads back as context
+    if (this.sessions) {
+      await this.sessions.addMessage(sessionId, message, envelope.response, { cache: envelope.cache });
+    }
+
+    return {
+      ...envelope,
+      session_id: sessionId,
+      processing_time_ms: processingTime
+    };
+  }
+
+  // Streaming chat: the client sends { type: 'chat', id, message, session_id } and receives
+  // progress / token events followed by a final done (or error) event carrying the same id;
+  // done carries the /chat envelope as result
+  setupWebSocket() {
+    this.wss = new WebSocketServer({
+      server: this.server,
+      path: '/ws',
+      verifyClient: (info, done) => this.verifyWebSocket(info, done)
+    });
+
+    this.wss.on('connection', (socket, req) => {
+      console.log(`🔗 WebSocket client connected (${this.wss.clients.size} total)`);
+
+      const send = (event) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(event));
+        }
+      };
+
+      socket.on('message', async (raw) => {
+        let request;
+        try {
+          request = JSON.parse(raw.toString());
+        } catch (error) {
+          return send({ type: 'error', message: 'Invalid JSON' });
+        }
+
+        const { id = null, message, session_id } = request;
+        if (request.type !== 'chat' || !message || typeof message !== 'string') {
+          return send({ type: 'error', id, message: 'Expected { type: "chat", message: string }' });
+        }
+
+        try {
+          // Checked per message so that a logout or an expired session also ends an open socket's access
+          const identity = await this.auth.authenticate(req);
+          if (!identity) {
+            send({ type: 'error', id, message: 'Authentication required' });
+            return socket.close(4401, 'Authentication required');
+          }
+
+          const result = await this.processChat(message, session_id, {
+            identity,
+            onProgress: (stage, text) => send({ type: 'progress', id, stage, message: text }),
+            onToken: (content) => send({ type: 'token', id, content })
+          });
+          send({ type: 'done', id, result });
+        } catch (error) {
+          if (error.rateLimited) {
+            return send({ type: 'error', id, status: 429, message: error.message, retryAfter: error.retryAfter });
+          }
+          console.error('💥 WebSocket chat error:', error);
+          send({ type: 'error', id, message: error.message });
+        }
+      });
+
+      socket.on('error', (error) => console.error('WebSocket error:', error.message));
+    });
+  }
+
+  // Browsers do not apply CORS to WebSockets, so the origin is checked here as well as the credentials
+  async verifyWebSocket(info, done) {
+    try {
+      const origin = info.req.headers.origin;
+      if (origin && !this.isAllowedOrigin(origin, info.req.headers.host)) {
+        return done(false, 403, 'Origin not allowed');
+      }
+      if (!(await this.auth.authenticate(info.req))) {
+        return done(false, 401, 'Authentication required');
+      }
+      done(true);
+    } catch (error) {
+      console.error('WebSocket auth error:', error);
+      done(false, 500, 'Internal server error');
+    }
+  }
+
   async start() {
     try {
       await this.initializeComponents();
       this.setupMiddleware();
       this.setupRoutes();
+      this.setupWebSocket();
       
       this.server.listen(this.config.port, () => {
         console.log('\n🚀 Dynatrace MCP Enhanced Server Started!');
@@ -251,10 +561,14 @@ class EnhancedMCPServer {
         console.log(`📱 Chat UI:        http://localhost:${this.config.port}`);
         console.log(`🔍 Health Check:   http://localhost:${this.config.port}/health`);
         console.log(`📊 API Info:       http://localhost:${this.config.port}/api/info`);
+        console.log(`🔌 MCP Endpoint:   http://localhost:${this.config.port}/mcp`);
+        console.log(`⚡ Chat Stream:    ws://localhost:${this.config.port}/ws`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log(`🔧 Dynatrace:      ${this.config.dynatrace.environment || 'Not configured'}`);
-        console.log(`📦 Redis:          ${this.config.redis.host}:${this.config.redis.port}`);
+        console.log(`🔧 Dynatrace:      ${this.config.dynatrace.environment || 'Not configured'} (${this.config.dynatrace.backend} backend)`);
+        console.log(`📦 Redis:          ${this.config.redis.enabled ? `${this.config.redis.host}:${this.config.redis.port} (${this.redis.mode === 'redis' ? 'connected' : 'in-memory until reachable'})` : 'disabled (in-memory cache)'}`);
         console.log(`🦙 Ollama:         ${this.config.ollama.baseUrl}`);
+        console.log(`🔐 Auth:           ${this.auth.describe()}`);
+        console.log(`🚦 Rate limits:    ${this.rateLimiter.enabled ? Object.entries(this.rateLimiter.specs).map(([budget, spec]) => `${budget} ${spec}`).join(' | ') : 'disabled'}`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
       });
 
@@ -266,6 +580,11 @@ class EnhancedMCPServer {
 
   async stop() {
     console.log('\n🛑 Shutting down gracefully...');
+    if (this.wss) {
+      this.wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+      this.wss.close();
+    }
+    this.mcpEndpoint?.close();
     if (this.redis) {
       await this.redis.disconnect();
       console.log('✅ Redis disconnected');
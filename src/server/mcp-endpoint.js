@@ -0,0 +1,551 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { DQLLinter } from '../integrations/dql-linter.js';
+import { ProblemQuery, SEVERITY_LEVELS, IMPACT_LEVELS } from '../integrations/problem-query.js';
+import { VulnerabilityQuery, RISK_LEVELS, EXPOSURES } from '../integrations/vulnerability-query.js';
+import { MetricQuery } from '../integrations/metric-query.js';
+import { LogQuery, LOG_LEVELS } from '../integrations/log-query.js';
+import { LogClusterer } from '../integrations/log-clusterer.js';
+import { QueryCache } from '../integrations/query-cache.js';
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RATE_LIMITED = -32000; // implementation-defined server error; the HTTP response is a 429
+
+class JsonRpcError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Streamable HTTP MCP endpoint that publishes our Dynatrace operations as MCP tools
+export class MCPEndpoint {
+  constructor({ redis, dynatrace, rateLimiter = null, serverInfo = {}, sessionIdleTtl = 1800, maxSessions = 1000 }) {
+    this.redis = redis;
+    this.dynatrace = dynatrace;
+    this.rateLimiter = rateLimiter;
+    this.cache = new QueryCache({ redis, scope: dynatrace.backendName || 'dynatrace' });
+    this.serverInfo = {
+      name: 'dynatrace-mcp-enhanced',
+      version: '1.0.0',
+      ...serverInfo
+    };
+
+    // Sessions idle for sessionIdleTtl seconds are dropped; beyond maxSessions the least recently used goes
+    this.sessions = new Map(); // insertion order is recency order
+    this.sessionIdleTtlMs = sessionIdleTtl * 1000;
+    this.maxSessions = maxSessions;
+    this.sweepTimer = setInterval(() => this.sweepSessions(), Math.min(this.sessionIdleTtlMs, 60000));
+    this.sweepTimer.unref();
+    this.linter = new DQLLinter();
+    this.clusterer = new LogClusterer();
+    this.tools = this.defineTools();
+    this.prompts = this.definePrompts();
+  }
+
+  defineTools() {
+    return {
+      list_problems: {
+        description: 'List Davis problems detected in the Dynatrace environment',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['OPEN', 'CLOSED'], description: 'Only return problems with this status' },
+            severity: { type: 'array', items: { type: 'string', enum: SEVERITY_LEVELS }, description: 'Only return problems with one of these severity levels' },
+            impactLevel: { type: 'array', items: { type: 'string', enum: IMPACT_LEVELS }, description: 'Only return problems with one of these impact levels' },
+            managementZone: { type: 'string', description: 'Only return problems in this management zone' },
+            entitySelector: { type: 'string', description: 'Only return problems affecting these entities, e.g. type("SERVICE"),tag("team:payments")' },
+            timeframe: { type: 'string', description: 'Start of the timeframe, e.g. now-24h or now-7d' },
+            to: { type: 'string', description: 'End of the timeframe, defaults to now' },
+            maxProblems: { type: 'integer', minimum: 1, description: 'Maximum number of problems to return; further pages are fetched up to the server cap' }
+          }
+        },
+        operation: 'listProblems',
+        handler: (args) => this.dynatrace.listProblems(new ProblemQuery({ ...args, from: args.timeframe }).toParams())
+      },
+      execute_dql: {
+        description: 'Execute a Dynatrace Query Language (DQL) statement against Grail',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            dqlStatement: { type: 'string', description: 'The DQL statement, e.g. fetch logs | limit 10' },
+            maxResultRecords: { type: 'integer', minimum: 1, description: 'Maximum number of records to return' }
+          },
+          required: ['dqlStatement']
+        },
+        operation: 'executeDQL',
+        cacheParams: (args) => ({ query: args.dqlStatement, maxResultRecords: args.maxResultRecords }),
+        handler: (args) => {
+          const lint = this.linter.lint(args.dqlStatement);
+          if (!lint.valid) {
+            const [error] = lint.errors;
+            throw new Error(`DQL syntax error at line ${error.line}, column ${error.column}: ${error.message}`);
+          }
+          return this.dynatrace.executeDQL(args.dqlStatement, {
+            maxResultRecords: args.maxResultRecords
+          });
+        }
+      },
+      get_problem_details: {
+        description: 'Get a Davis problem with its evidence, impact analysis and recent comments',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            problemId: { type: 'string', description: 'Problem ID or display ID, e.g. P-25096554' }
+          },
+          required: ['problemId']
+        },
+        operation: 'getProblemDetails',
+        handler: (args) => this.dynatrace.getProblemDetails(args.problemId)
+      },
+      find_entities: {
+        description: 'Find monitored entities by name and/or type',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Part of the entity name, e.g. checkout' },
+            type: { type: 'string', enum: ['SERVICE', 'HOST', 'PROCESS_GROUP', 'APPLICATION'], description: 'Entity type' },
+            limit: { type: 'integer', minimum: 1, maximum: 500, description: 'Maximum number of entities to return' }
+          }
+        },
+        operation: 'searchEntities',
+        handler: (args) => this.dynatrace.searchEntities({ name: args.name, type: args.type, limit: args.limit })
+      },
+      get_entity_details: {
+        description: 'Get the properties, tags and relationships of a monitored entity',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entityId: { type: 'string', description: 'Dynatrace entity ID, e.g. SERVICE-1234567890ABCDEF' }
+          },
+          required: ['entityId']
+        },
+        operation: 'getEntityDetails',
+        handler: (args) => this.dynatrace.getEntityDetails(args.entityId)
+      },
+      list_vulnerabilities: {
+        description: 'List open security problems (vulnerabilities) with exposure, affected process groups, vulnerable libraries and remediation',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            riskLevel: { type: 'array', items: { type: 'string', enum: RISK_LEVELS }, description: 'Only return vulnerabilities at these risk levels' },
+            minRiskScore: { type: 'number', minimum: 0, maximum: 10, description: 'Only return vulnerabilities with at least this Davis risk score' },
+            exposure: { type: 'string', enum: EXPOSURES, description: 'PUBLIC_NETWORK for internet-exposed vulnerabilities only' },
+            fixAvailable: { type: 'boolean', description: 'Only return vulnerabilities with (true) or without (false) a fix' },
+            maxVulnerabilities: { type: 'integer', minimum: 1, description: 'Maximum number of vulnerabilities to return' }
+          }
+        },
+        operation: 'listVulnerabilities',
+        handler: (args) => this.dynatrace.listVulnerabilities(new VulnerabilityQuery(args).toParams())
+      },
+      search_logs: {
+        description: 'Search log lines by level, text, entity and timeframe; lines are also grouped into message patterns with numbers, IDs and UUIDs masked',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            level: { type: 'array', items: { type: 'string', enum: LOG_LEVELS }, description: 'Only return lines at these log levels' },
+            content: { type: 'string', description: 'Text the log line must contain (case-insensitive)' },
+            entityIds: { type: 'array', items: { type: 'string' }, description: 'Only return lines from these entities, e.g. SERVICE-1234567890ABCDEF' },
+            from: { type: 'string', description: 'Start of the timeframe, e.g. now-1h (default) or an ISO timestamp' },
+            to: { type: 'string', description: 'End of the timeframe (default now)' },
+            limit: { type: 'integer', minimum: 1, maximum: 5000, description: 'Maximum number of lines to fetch (default 500)' }
+          }
+        },
+        operation: 'searchLogs',
+        handler: async (args) => {
+          const data = await this.dynatrace.searchLogs(new LogQuery(args).toParams());
+          return { ...data, patterns: this.clusterer.cluster(data.records) };
+        }
+      },
+      query_metrics: {
+        description: 'Query a metric time series, e.g. service response time or host CPU, optionally for selected entities',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            metricSelector: { type: 'string', description: 'Metric selector, e.g. builtin:service.response.time' },
+            entitySelector: { type: 'string', description: 'Dynatrace entity selector, e.g. entityId("SERVICE-1234567890ABCDEF")' },
+            from: { type: 'string', description: 'Start of the timeframe, e.g. now-2h (default) or an ISO timestamp' },
+            to: { type: 'string', description: 'End of the timeframe (default now)' },
+            resolution: { type: 'string', description: 'Number of data points (default 60) or a timespan such as 5m' }
+          },
+          required: ['metricSelector']
+        },
+        operation: 'queryMetrics',
+        handler: (args) => this.dynatrace.queryMetrics(new MetricQuery(args).toParams())
+      }
+    };
+  }
+
+  definePrompts() {
+    return {
+      investigate_problem: {
+        description: 'Investigate a Davis problem: root cause, impact and next steps',
+        arguments: [
+          { name: 'problemId', description: 'Problem ID, e.g. P-25096554', required: true }
+        ],
+        build: (args) => `Investigate Dynatrace problem ${args.problemId}. Use get_problem_details and get_entity_details to find the root cause entity, the impacted services and the evidence, then recommend next steps.`
+      },
+      find_error_logs: {
+        description: 'Find recent error logs for a service',
+        arguments: [
+          { name: 'service', description: 'Service name to look for', required: true }
+        ],
+        build: (args) => `Use execute_dql to fetch error logs from the last hour for the service "${args.service}" and summarize the most frequent errors.`
+      }
+    };
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.post('/', (req, res) => this.handlePost(req, res));
+
+    // We never push server-initiated messages, so there is no standalone SSE stream
+    router.get('/', (req, res) => {
+      res.status(405).set('Allow', 'POST, DELETE').json(this.errorResponse(null, new JsonRpcError(
+        INVALID_REQUEST, 'Server does not offer an SSE stream; use POST'
+      )));
+    });
+
+    router.delete('/', (req, res) => {
+      const sessionId = req.get('Mcp-Session-Id');
+      if (!sessionId || !this.ownsSession(sessionId, req.identity)) {
+        return res.status(404).json(this.errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Unknown MCP session')));
+      }
+      this.releaseSession(sessionId, 'closed');
+      res.status(204).end();
+    });
+
+    return router;
+  }
+
+  // Mounted after the routes so that malformed JSON bodies come back as JSON-RPC parse errors
+  parseErrorHandler() {
+    return (err, req, res, next) => {
+      if (err.type === 'entity.parse.failed') {
+        return res.status(400).json(this.errorResponse(null, new JsonRpcError(PARSE_ERROR, 'Parse error')));
+      }
+      next(err);
+    };
+  }
+
+  // Sessions belong to the identity that initialized them; to anyone else they do not exist
+  ownsSession(sessionId, identity) {
+    const session = this.sessions.get(sessionId);
+    if (session && this.isIdle(session)) {
+      this.releaseSession(sessionId, 'expired');
+      return false;
+    }
+    return Boolean(session) && session.owner === identity?.id;
+  }
+
+  isIdle(session, now = Date.now()) {
+    return now - session.lastSeenAt >= this.sessionIdleTtlMs;
+  }
+
+  // Marks the session as most recently used
+  touchSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    session.lastSeenAt = Date.now();
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, session);
+  }
+
+  releaseSession(sessionId, reason) {
+    if (this.sessions.delete(sessionId)) {
+      console.log(`🔌 MCP session ${reason}: ${sessionId}`);
+    }
+  }
+
+  sweepSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isIdle(session, now)) this.releaseSession(sessionId, 'expired');
+    }
+  }
+
+  // Drops every session and stops the sweep, e.g. on server shutdown
+  close() {
+    clearInterval(this.sweepTimer);
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.releaseSession(sessionId, 'closed');
+    }
+  }
+
+  // req.identity is set by the server's auth middleware; without one (embedded use) every tool is available
+  async handlePost(req, res) {
+    const body = req.body;
+    const isBatch = Array.isArray(body);
+    const messages = isBatch ? body : [body];
+
+    if (messages.length === 0 || messages.some(m => !m || typeof m !== 'object')) {
+      return res.status(400).json(this.errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC message')));
+    }
+
+    const isInitialize = messages.some(m => m.method === 'initialize');
+    let sessionId = req.get('Mcp-Session-Id');
+
+    if (isInitialize) {
+      if (isBatch) {
+        return res.status(400).json(this.errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'initialize must not be batched')));
+      }
+      sessionId = randomUUID();
+    } else if (!sessionId) {
+      return res.status(400).json(this.errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Missing Mcp-Session-Id header')));
+    } else if (!this.ownsSession(sessionId, req.identity)) {
+      return res.status(404).json(this.errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Unknown MCP session')));
+    } else {
+      this.touchSession(sessionId);
+    }
+
+    const responses = [];
+    for (const message of messages) {
+      const response = await this.handleMessage(message, sessionId, req.identity);
+      if (response) responses.push(response);
+    }
+
+    if (isInitialize) {
+      res.set('Mcp-Session-Id', sessionId);
+    }
+
+    const limited = responses.find(response => response.error?.code === RATE_LIMITED);
+    if (limited) {
+      res.status(429).set('Retry-After', String(limited.error.data.retryAfter));
+    }
+
+    // Notifications and client responses get no body
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+
+    res.json(isBatch ? responses : responses[0]);
+  }
+
+  async handleMessage(message, sessionId, identity = null) {
+    // A response to something we sent, or a notification - nothing to answer
+    if (message.method === undefined || message.id === undefined) {
+      if (message.method === 'notifications/initialized') {
+        const session = this.sessions.get(sessionId);
+        if (session) session.initialized = true;
+      }
+      return null;
+    }
+
+    if (message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return this.errorResponse(message.id ?? null, new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC request'));
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, sessionId, identity);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (!(error instanceof JsonRpcError)) {
+        console.error(`❌ MCP ${message.method} failed:`, error);
+      }
+      return this.errorResponse(message.id, error);
+    }
+  }
+
+  async dispatch(method, params, sessionId, identity = null) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params, sessionId, identity);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return this.listTools(identity);
+      case 'tools/call':
+        return this.callTool(params, identity, sessionId);
+      case 'resources/list':
+        return this.listResources();
+      case 'resources/read':
+        return this.readResource(params);
+      case 'prompts/list':
+        return this.listPrompts();
+      case 'prompts/get':
+        return this.getPrompt(params);
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  initialize(params, sessionId, identity = null) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    this.sweepSessions();
+    for (const oldest of this.sessions.keys()) {
+      if (this.sessions.size < this.maxSessions) break;
+      this.releaseSession(oldest, 'evicted');
+    }
+
+    this.sessions.set(sessionId, {
+      protocolVersion,
+      clientInfo: params.clientInfo || null,
+      owner: identity?.id,
+      initialized: false,
+      createdAt: new Date().toISOString(),
+      lastSeenAt: Date.now()
+    });
+    console.log(`🔌 MCP session opened: ${sessionId} (${params.clientInfo?.name || 'unknown client'})`);
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { listChanged: false },
+        prompts: { listChanged: false }
+      },
+      serverInfo: this.serverInfo,
+      instructions: 'Dynatrace observability tools. Results are cached in Redis; use execute_dql for anything the other tools do not cover.'
+    };
+  }
+
+  // Only the tools the caller's roles allow
+  listTools(identity = null) {
+    return {
+      tools: Object.entries(this.tools).filter(([name]) => !identity || identity.can(name)).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }))
+    };
+  }
+
+  async callTool(params, identity = null, sessionId = null) {
+    const tool = this.tools[params.name];
+    if (!tool) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+    if (identity && !identity.can(params.name)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Tool not permitted for role ${identity.roles.join(', ')}: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    for (const required of tool.inputSchema.required || []) {
+      if (args[required] === undefined || args[required] === '') {
+        throw new JsonRpcError(INVALID_PARAMS, `Missing required argument: ${required}`);
+      }
+    }
+
+    // Keyed like chat queries: the operation and its normalized arguments; DQL by its parsed form
+    const cacheParams = tool.cacheParams ? tool.cacheParams(args) : args;
+    const cached = await this.cache.get('tool', tool.operation, cacheParams);
+    if (cached) {
+      return this.toolResult(cached, 'hit');
+    }
+
+    try {
+      await this.rateLimiter?.consume('dynatrace', { userId: identity?.id, sessionId });
+    } catch (error) {
+      if (!error.rateLimited) throw error;
+      throw new JsonRpcError(RATE_LIMITED, error.message, { budget: error.budget, scope: error.scope, retryAfter: error.retryAfter });
+    }
+
+    try {
+      const { value, cache } = await this.cache.remember('tool', tool.operation, cacheParams, () => tool.handler(args), {
+        cacheable: () => true // backend calls return live data or throw
+      });
+      return this.toolResult(value, cache);
+    } catch (error) {
+      // Tool failures are reported in the result so the calling model can see them
+      console.error(`❌ MCP tool ${params.name} failed:`, error.message);
+      return {
+        content: [{ type: 'text', text: `Error executing ${params.name}: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  toolResult(data, cache) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+      isError: false,
+      _meta: { cache }
+    };
+  }
+
+  listResources() {
+    return {
+      resources: [
+        {
+          uri: 'dynatrace://environment',
+          name: 'Dynatrace environment',
+          description: 'Environment ID, state and creation time of the connected Dynatrace environment',
+          mimeType: 'application/json'
+        }
+      ]
+    };
+  }
+
+  async readResource(params) {
+    if (params.uri !== 'dynatrace://environment') {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown resource: ${params.uri}`);
+    }
+
+    const environment = await this.dynatrace.getEnvironment();
+    return {
+      contents: [{
+        uri: params.uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(environment, null, 2)
+      }]
+    };
+  }
+
+  listPrompts() {
+    return {
+      prompts: Object.entries(this.prompts).map(([name, prompt]) => ({
+        name,
+        description: prompt.description,
+        arguments: prompt.arguments
+      }))
+    };
+  }
+
+  getPrompt(params) {
+    const prompt = this.prompts[params.name];
+    if (!prompt) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    for (const argument of prompt.arguments.filter(a => a.required)) {
+      if (!args[argument.name]) {
+        throw new JsonRpcError(INVALID_PARAMS, `Missing required argument: ${argument.name}`);
+      }
+    }
+
+    return {
+      description: prompt.description,
+      messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args) } }]
+    };
+  }
+
+  errorResponse(id, error) {
+    const code = error instanceof JsonRpcError ? error.code : INTERNAL_ERROR;
+    const response = { jsonrpc: '2.0', id, error: { code, message: error.message } };
+    if (error.data !== undefined) {
+      response.error.data = error.data;
+    }
+    return response;
+  }
+
+  getStats() {
+    return {
+      activeSessions: this.sessions.size,
+      tools: Object.keys(this.tools)
+    };
+  }
+}
@@ -0,0 +1,192 @@
+// Redis glob patterns (* and ?) as a regular expression
+const globToRegExp = (pattern) =>
+  new RegExp(`^${String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+// In-process stand-in for the part of the node-redis client RedisMiddleware uses: strings, lists and
+// sets with expiry. Bounded - once maxEntries keys are held, the least recently used one is dropped,
+// except for keys under a pinned prefix, which only expire. companions(key) names keys that are
+// dropped along with it. Values are kept serialized, exactly as Redis would hold them.
+export class MemoryStore {
+  constructor({ maxEntries = 10000, pinned = [], companions = () => [] } = {}) {
+    this.maxEntries = maxEntries;
+    this.pinned = pinned;
+    this.companions = companions;
+    this.entries = new Map(); // insertion order is recency order
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // The live entry, marked as most recently used; expired entries are dropped on access
+  entry(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  store(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.evict();
+    }
+    return entry;
+  }
+
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) return;
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      } else if (!this.pinned.some(prefix => key.startsWith(prefix))) {
+        this.entries.delete(key);
+        this.companions(key).forEach(companion => this.entries.delete(companion));
+      }
+    }
+  }
+
+  // Flags a live entry as changed here rather than copied from elsewhere; see drain()
+  markChanged(key) {
+    const entry = this.entries.get(key);
+    if (entry) entry.changed = true;
+  }
+
+  async get(key) {
+    return this.entry(key, 'string')?.value ?? null;
+  }
+
+  async setEx(key, seconds, value) {
+    this.store(key, { type: 'string', value: String(value), expiresAt: Date.now() + seconds * 1000 });
+    return 'OK';
+  }
+
+  async set(key, value, { NX = false, PX, EX } = {}) {
+    if (NX && this.entry(key)) return null;
+    const ttlMs = PX || (EX && EX * 1000);
+    this.store(key, { type: 'string', value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return 'OK';
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) deleted++;
+      this.entries.delete(key);
+    }
+    return deleted;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return true;
+  }
+
+  async ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : -1;
+  }
+
+  async type(key) {
+    return this.entry(key)?.type || 'none';
+  }
+
+  async rPush(key, values) {
+    const entry = this.entry(key, 'list') || this.store(key, { type: 'list', value: [], expiresAt: null });
+    entry.value.push(...[].concat(values).map(String));
+    return entry.value.length;
+  }
+
+  // start and stop as in Redis: inclusive, negative counts from the end
+  static range(list, start, stop) {
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : Math.min(stop, list.length - 1);
+    return list.slice(from, to + 1);
+  }
+
+  async lRange(key, start, stop) {
+    const entry = this.entry(key, 'list');
+    return entry ? MemoryStore.range(entry.value, start, stop) : [];
+  }
+
+  async lTrim(key, start, stop) {
+    const entry = this.entry(key, 'list');
+    if (entry) {
+      entry.value = MemoryStore.range(entry.value, start, stop);
+      if (entry.value.length === 0) this.entries.delete(key);
+    }
+    return 'OK';
+  }
+
+  async sAdd(key, members) {
+    const entry = this.entry(key, 'set') || this.store(key, { type: 'set', value: new Set(), expiresAt: null });
+    const before = entry.value.size;
+    [].concat(members).forEach(member => entry.value.add(String(member)));
+    return entry.value.size - before;
+  }
+
+  async sMembers(key) {
+    return [...(this.entry(key, 'set')?.value || [])];
+  }
+
+  // Queued commands run in order on exec, like a Redis transaction
+  multi() {
+    const queue = [];
+    const transaction = {
+      exec: async () => {
+        const results = [];
+        for (const [command, args] of queue) {
+          results.push(await this[command](...args));
+        }
+        return results;
+      }
+    };
+    for (const command of ['get', 'setEx', 'set', 'del', 'expire', 'rPush', 'lTrim', 'sAdd', 'sMembers']) {
+      transaction[command] = (...args) => {
+        queue.push([command, args]);
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+
+  // The cursor is an offset into the matching keys; 0 again once the last page is returned
+  async scan(cursor, { MATCH = '*', COUNT = 10 } = {}) {
+    const keys = this.matching(MATCH);
+    const next = cursor + COUNT;
+    return { cursor: next >= keys.length ? 0 : next, keys: keys.slice(cursor, next) };
+  }
+
+  async *scanIterator({ MATCH = '*' } = {}) {
+    yield* this.matching(MATCH);
+  }
+
+  matching(pattern) {
+    const regex = globToRegExp(pattern);
+    const now = Date.now();
+    return [...this.entries]
+      .filter(([key, entry]) => (!entry.expiresAt || entry.expiresAt > now) && regex.test(key))
+      .map(([key]) => key);
+  }
+
+  // Removes and returns every live entry as [key, { type, value, expiresAt, changed }]
+  drain() {
+    const now = Date.now();
+    const entries = [...this.entries].filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now);
+    this.entries.clear();
+    return entries;
+  }
+}
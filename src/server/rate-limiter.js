@@ -0,0 +1,153 @@
+const PERIODS = { sec: 1000, min: 60000, hour: 3600000 };
+
+export const DEFAULT_LIMITS = {
+  chat: 'session:20/min,user:60/min,global:300/min',
+  dynatrace: 'session:30/min,user:60/min,global:300/min',
+  llm: 'session:10/min,user:30/min,global:60/min'
+};
+
+const BUDGET_LABELS = {
+  chat: 'chat messages',
+  dynatrace: 'Dynatrace queries',
+  llm: 'LLM generations'
+};
+
+const MAX_MEMORY_BUCKETS = 10000;
+
+export class RateLimitError extends Error {
+  constructor(budget, scope, retryAfter) {
+    super(`Rate limit exceeded: too many ${BUDGET_LABELS[budget] || budget} for this ${scope === 'global' ? 'server' : scope}. Retry in ${retryAfter}s.`);
+    this.status = 429;
+    this.rateLimited = true; // our own quota, unlike a 429 passed on from Dynatrace or the LLM
+    this.budget = budget;
+    this.scope = scope;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Token buckets per session, per user and for the whole server, with separate budgets for chat
+// messages, Dynatrace calls and LLM generations. Buckets live in Redis so the limits hold across
+// instances; without Redis each process keeps its own.
+export class RateLimiter {
+  constructor({ enabled = true, limits = {}, redis = null } = {}) {
+    this.enabled = enabled;
+    this.redis = redis;
+    this.specs = { ...DEFAULT_LIMITS };
+    for (const [budget, spec] of Object.entries(limits)) {
+      if (spec) this.specs[budget] = spec;
+    }
+    this.limits = Object.fromEntries(Object.entries(this.specs).map(([budget, spec]) => [budget, RateLimiter.parseLimits(spec)]));
+    this.memory = new Map();
+  }
+
+  // "session:20/min,user:60/min,global:300/min" -> { session: { capacity: 20, refillPerMs: 20 / 60000 }, ... }
+  static parseLimits(spec) {
+    return Object.fromEntries(spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const match = part.match(/^(session|user|global):(\d+)\/(sec|min|hour)$/);
+      if (!match) {
+        throw new Error(`Invalid rate limit "${part}": expected scope:count/period, e.g. user:60/min`);
+      }
+      const capacity = parseInt(match[2]);
+      return [match[1], { capacity, refillPerMs: capacity / PERIODS[match[3]] }];
+    }));
+  }
+
+  buckets(budget, { userId, sessionId } = {}) {
+    const ids = { session: sessionId, user: userId, global: 'all' };
+    return Object.entries(this.limits[budget] || {})
+      .filter(([scope]) => ids[scope])
+      .map(([scope, limit]) => ({ scope, key: `ratelimit:${budget}:${scope}:${ids[scope]}`, ...limit }));
+  }
+
+  // Takes cost tokens from every bucket of the budget, or from none of them; cost 0 only reads the levels
+  async take(budget, context, cost = 1) {
+    const buckets = this.buckets(budget, context);
+    const result = (this.redis && await this.redis.takeTokens(buckets, cost)) || this.takeFromMemory(buckets, cost);
+
+    return {
+      allowed: result.allowed,
+      buckets: buckets.map(({ scope, capacity }, i) => ({
+        scope,
+        capacity,
+        remaining: Math.floor(result.levels[i].tokens),
+        retryAfter: Math.ceil(result.levels[i].retryMs / 1000)
+      }))
+    };
+  }
+
+  // Same algorithm as RedisMiddleware.takeTokens
+  takeFromMemory(buckets, cost) {
+    const now = Date.now();
+    if (this.memory.size > MAX_MEMORY_BUCKETS) {
+      // Buckets that have refilled completely are the same as no bucket
+      for (const [key, bucket] of this.memory) {
+        if (now >= bucket.fullAt) this.memory.delete(key);
+      }
+    }
+
+    const tokens = buckets.map(({ key, capacity, refillPerMs }) => {
+      const bucket = this.memory.get(key);
+      return bucket ? Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillPerMs) : capacity;
+    });
+    const allowed = tokens.every(level => level >= cost);
+
+    const levels = buckets.map(({ key, capacity, refillPerMs }, i) => {
+      const level = allowed ? tokens[i] - cost : tokens[i];
+      this.memory.set(key, { tokens: level, updated: now, fullAt: now + (capacity - level) / refillPerMs });
+      return { tokens: level, retryMs: level < cost ? (cost - level) / refillPerMs : 0 };
+    });
+    return { allowed, levels };
+  }
+
+  // Throws a RateLimitError naming the exhausted scope with the longest wait
+  async consume(budget, context) {
+    if (!this.enabled) return;
+
+    const { allowed, buckets } = await this.take(budget, context);
+    if (!allowed) {
+      const blocking = buckets.reduce((longest, bucket) => bucket.retryAfter > longest.retryAfter ? bucket : longest);
+      console.log(`🚦 Rate limit hit: ${budget} ${blocking.scope} (${context.userId || 'anonymous'}), retry in ${blocking.retryAfter}s`);
+      throw new RateLimitError(budget, blocking.scope, blocking.retryAfter);
+    }
+  }
+
+  // Bound to one caller, for code that knows nothing about users and sessions
+  forRequest(context) {
+    return { consume: (budget) => this.consume(budget, context) };
+  }
+
+  // Express middleware after requireAuth; REST calls have no chat session, so only user and global apply
+  middleware(budget, context = (req) => ({ userId: req.identity?.id })) {
+    return async (req, res, next) => {
+      try {
+        await this.consume(budget, context(req));
+        next();
+      } catch (error) {
+        if (error.rateLimited) {
+          return RateLimiter.reject(res, error);
+        }
+        next(error);
+      }
+    };
+  }
+
+  static reject(res, error) {
+    res.set('Retry-After', String(error.retryAfter)).status(429).json({
+      error: 'Rate limit exceeded',
+      message: error.message,
+      budget: error.budget,
+      scope: error.scope,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  // Remaining tokens per budget and scope, without taking any; global only unless a user or session is given
+  async usage(context = {}) {
+    const usage = {};
+    for (const budget of Object.keys(this.limits)) {
+      const { buckets } = await this.take(budget, context, 0);
+      usage[budget] = Object.fromEntries(buckets.map(({ scope, remaining, capacity }) => [scope, { remaining, capacity }]));
+    }
+    return usage;
+  }
+}
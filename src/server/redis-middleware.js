@@ -1,5 +1,79 @@
 import { createClient } from 'redis';
+import { randomUUID } from 'crypto';
+import { CacheMetrics } from './cache-metrics.js';
+import { MemoryStore } from './memory-store.js';
 
+// Token buckets, all or nothing: tokens are only taken when every bucket has enough.
+// KEYS: bucket keys. ARGV: cost, now (ms), then capacity and refill per ms for each key.
+// Returns allowed (1/0) followed by the level and the wait in ms until cost tokens are back, per key.
+const TAKE_TOKENS_SCRIPT = `
+local cost = tonumber(ARGV[1])
+local now = tonumber(ARGV[2])
+local levels = {}
+local allowed = 1
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local rate = tonumber(ARGV[2 + i * 2])
+  local bucket = redis.call('HMGET', key, 'tokens', 'updated')
+  local level = tonumber(bucket[1]) or capacity
+  local updated = tonumber(bucket[2]) or now
+  levels[i] = math.min(capacity, level + math.max(0, now - updated) * rate)
+  if levels[i] < cost then allowed = 0 end
+end
+local result = { allowed }
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local rate = tonumber(ARGV[2 + i * 2])
+  local level = levels[i]
+  if allowed == 1 then level = level - cost end
+  redis.call('HSET', key, 'tokens', tostring(level), 'updated', now)
+  redis.call('PEXPIRE', key, math.ceil((capacity - level) / rate) + 1000)
+  local retry = 0
+  if level < cost then retry = math.ceil((cost - level) / rate) end
+  table.insert(result, tostring(level))
+  table.insert(result, retry)
+end
+return result
+`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Writes a string changed during an outage over the copy in Redis - unless the two name different
+// owners, so a session id first seen during the outage cannot take over someone else's session.
+// KEYS: the key. ARGV: value, TTL in ms (0 for none). Returns 1 when written.
+const REPLACE_UNLESS_OWNED_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local ok, existing = pcall(cjson.decode, current)
+  local okIncoming, incoming = pcall(cjson.decode, ARGV[1])
+  if ok and okIncoming and type(existing) == 'table' and type(incoming) == 'table'
+    and existing.owner ~= nil and existing.owner ~= incoming.owner then
+    return 0
+  end
+end
+if tonumber(ARGV[2]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+else
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+const SCAN_COUNT = 500;
+const MAX_RECONNECT_DELAY = 5000; // ms between reconnect attempts once Redis has been down a while
+const PINNED_PREFIXES = ['auth:']; // login sessions and pending logins must not give way to cache entries
+// A chat session's history goes with its record, so an evicted session id cannot be started afresh
+// by someone else and come with the old conversation
+const companionsOf = (key) => /^session:[^:]+$/.test(key) ? [`${key}:history`] : [];
+const TAG_TTL = 86400; // tag sets outlive the entries they list; invalidation skips keys that are gone
+
+// Redis when it is reachable, otherwise a bounded in-memory store (see MemoryStore), so a single
+// instance runs without Redis at all. Writes made in memory are copied to Redis once it is back.
 export class RedisMiddleware {
   constructor(config = {}) {
     this.config = {
@@ -8,36 +82,69 @@ export class RedisMiddleware {
       password: config.password,
       db: config.db || 0,
       ttl: config.ttl || 3600, // 1 hour default TTL
+      enabled: config.enabled !== false,
+      connectTimeout: config.connectTimeout || 5000, // ms startup waits before carrying on in memory
+      memoryMaxEntries: config.memoryMaxEntries || 10000,
       ...config
     };
     
     this.client = null;
     this.connected = false;
+    this.metrics = new CacheMetrics();
+    this.memory = new MemoryStore({ maxEntries: this.config.memoryMaxEntries, pinned: PINNED_PREFIXES, companions: companionsOf });
+    this.pendingDeletes = RedisMiddleware.emptyDeletes();
+  }
+
+  static emptyDeletes() {
+    return { keys: new Set(), patterns: new Set(), tags: new Set() };
+  }
+
+  // 'redis', or 'memory' while Redis is disabled or unreachable
+  get mode() {
+    return this.connected ? 'redis' : 'memory';
   }
 
+  get store() {
+    return this.connected ? this.client : this.memory;
+  }
+
+  // Resolves to false when Redis is disabled or not ready within connectTimeout; the client keeps
+  // reconnecting in the background and takes over from the memory store when it gets through
   async connect() {
+    if (!this.config.enabled) {
+      console.log('📦 Redis disabled - using the in-memory cache');
+      return false;
+    }
+
     try {
       this.client = createClient({
         socket: {
           host: this.config.host,
-          port: this.config.port
+          port: this.config.port,
+          reconnectStrategy: (retries) => Math.min(retries * 500, MAX_RECONNECT_DELAY)
         },
         password: this.config.password,
         database: this.config.db
       });
 
       this.client.on('error', (err) => {
-        console.error('Redis error:', err);
+        // Reported once per outage, not on every reconnect attempt
+        if (this.connected || !this.outage) {
+          console.error(`⚠️ Redis unavailable (${err.message}) - using the in-memory cache until it is back`);
+        }
         this.connected = false;
+        this.outage = true;
       });
 
-      this.client.on('connect', () => {
-        console.log('📦 Redis connected');
-        this.connected = true;
-      });
+      this.client.on('ready', () => this.onReady());
 
-      await this.client.connect();
-      return true;
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, this.config.connectTimeout, false);
+      });
+      const connected = await Promise.race([this.client.connect().then(() => true, () => false), timeout]);
+      clearTimeout(timer);
+      return connected;
     } catch (error) {
       console.error('Failed to connect to Redis:', error);
       this.connected = false;
@@ -45,9 +152,79 @@ export class RedisMiddleware {
     }
   }
 
+  async onReady() {
+    console.log('📦 Redis connected');
+    this.connected = true;
+    this.outage = false;
+    await this.reconcile();
+  }
+
+  // Replays what happened in memory while Redis was unreachable: deletions first, so purged entries
+  // are not served again, then the entries themselves. Strings changed during the outage (sessions,
+  // logins) replace what Redis holds; cache fills only go where Redis has nothing, since another
+  // instance may have refreshed them meanwhile. List items are appended and set members added.
+  async reconcile() {
+    const deletes = this.pendingDeletes;
+    this.pendingDeletes = RedisMiddleware.emptyDeletes();
+    const entries = this.memory.drain();
+    if (entries.length === 0 && Object.values(deletes).every(pending => pending.size === 0)) return;
+
+    try {
+      if (deletes.keys.size > 0) {
+        await this.client.del([...deletes.keys]);
+      }
+      for (const pattern of deletes.patterns) {
+        await this.delPattern(pattern);
+      }
+      if (deletes.tags.size > 0) {
+        await this.invalidateTags([...deletes.tags]);
+      }
+
+      for (let i = 0; i < entries.length; i += SCAN_COUNT) {
+        const multi = this.client.multi();
+        for (const [key, { type, value, expiresAt, changed }] of entries.slice(i, i + SCAN_COUNT)) {
+          const ttlMs = expiresAt ? Math.max(expiresAt - Date.now(), 1) : null;
+          if (type === 'string' && changed) {
+            multi.eval(REPLACE_UNLESS_OWNED_SCRIPT, { keys: [key], arguments: [value, String(ttlMs || 0)] });
+            continue;
+          }
+          if (type === 'string') {
+            multi.set(key, value, ttlMs ? { NX: true, PX: ttlMs } : { NX: true });
+            continue;
+          }
+          if (type === 'list') multi.rPush(key, value);
+          if (type === 'set') multi.sAdd(key, [...value]);
+          if (ttlMs) multi.expire(key, Math.ceil(ttlMs / 1000));
+        }
+        await multi.exec();
+      }
+      console.log(`🔄 Copied ${entries.length} in-memory entries to Redis (${deletes.keys.size + deletes.patterns.size + deletes.tags.size} deletions replayed)`);
+    } catch (error) {
+      console.error('Redis reconcile error:', error);
+    }
+  }
+
+  // Only worth replaying when there is a Redis to replay to
+  recordDelete(kind, value) {
+    if (this.client && !this.connected) {
+      this.pendingDeletes[kind].add(value);
+    }
+  }
+
+  recordWrite(key) {
+    if (this.client && !this.connected) {
+      this.memory.markChanged(key);
+    }
+  }
+
   async disconnect() {
     if (this.client) {
-      await this.client.disconnect();
+      this.client.removeAllListeners('ready');
+      try {
+        await this.client.disconnect();
+      } catch (error) {
+        // Already closed
+      }
       this.connected = false;
     }
   }
@@ -60,7 +237,8 @@ export class RedisMiddleware {
       // Sort keys for consistent cache keys
       const sortedKeys = Object.keys(params).sort();
       for (const key of sortedKeys) {
-        keyParts.push(`${key}:${params[key]}`);
+        const value = params[key];
+        keyParts.push(`${key}:${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
       }
     } else {
       keyParts.push(params);
@@ -70,68 +248,149 @@ export class RedisMiddleware {
   }
 
   async get(key) {
-    if (!this.connected) return null;
-    
+    const start = performance.now();
     try {
-      const value = await this.client.get(key);
+      const value = await this.store.get(key);
+      this.metrics.time(key, 'get', performance.now() - start);
       if (value) {
         console.log(`🎯 Cache HIT: ${key}`);
+        this.metrics.count(key, 'hits');
         return JSON.parse(value);
       }
       console.log(`❌ Cache MISS: ${key}`);
+      this.metrics.count(key, 'misses');
       return null;
     } catch (error) {
       console.error('Redis get error:', error);
+      this.metrics.count(key, 'errors');
       return null;
     }
   }
 
-  async set(key, value, ttl = null) {
-    if (!this.connected) return false;
-    
+  // cacheFill: the value is a copy of upstream data, not a change of our own (see reconcile)
+  async set(key, value, ttl = null, { cacheFill = false } = {}) {
+    const start = performance.now();
     try {
       const serialized = JSON.stringify(value);
       const expiry = ttl || this.config.ttl;
       
-      await this.client.setEx(key, expiry, serialized);
+      await this.store.setEx(key, expiry, serialized);
+      if (!cacheFill) this.recordWrite(key);
+      this.metrics.time(key, 'set', performance.now() - start);
+      this.metrics.count(key, 'sets');
       console.log(`💾 Cached: ${key} (TTL: ${expiry}s)`);
       return true;
     } catch (error) {
       console.error('Redis set error:', error);
+      this.metrics.count(key, 'errors');
       return false;
     }
   }
 
   async del(key) {
-    if (!this.connected) return false;
-    
     try {
-      await this.client.del(key);
+      await this.store.del(key);
+      this.recordDelete('keys', key);
+      this.metrics.count(key, 'deletes');
       console.log(`🗑️ Deleted: ${key}`);
       return true;
     } catch (error) {
       console.error('Redis delete error:', error);
+      this.metrics.count(key, 'errors');
       return false;
     }
   }
 
-  // Pattern-based deletion (useful for clearing related cache)
+  // Pattern-based deletion (useful for clearing related cache). SCAN walks the keyspace in batches
+  // instead of blocking Redis the way KEYS does; returns the number of keys deleted.
   async delPattern(pattern) {
-    if (!this.connected) return false;
-    
+    this.recordDelete('patterns', pattern);
     try {
-      const keys = await this.client.keys(pattern);
-      if (keys.length > 0) {
-        await this.client.del(keys);
-        console.log(`🗑️ Deleted ${keys.length} keys matching: ${pattern}`);
+      let deleted = 0;
+      let batch = [];
+      for await (const key of this.store.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) {
+        batch.push(key);
+        if (batch.length >= SCAN_COUNT) {
+          deleted += await this.deleteKeys(batch);
+          batch = [];
+        }
       }
-      return true;
+      if (batch.length > 0) {
+        deleted += await this.deleteKeys(batch);
+      }
+      console.log(`🗑️ Deleted ${deleted} keys matching: ${pattern}`);
+      return deleted;
     } catch (error) {
       console.error('Redis pattern delete error:', error);
+      return 0;
+    }
+  }
+
+  async deleteKeys(keys) {
+    const deleted = await this.store.del(keys);
+    keys.forEach(key => this.metrics.count(key, 'deletes'));
+    return deleted;
+  }
+
+  // One page of keys matching a pattern; pass the returned cursor back in until it is 0
+  async scanKeys(pattern, { cursor = 0, count = SCAN_COUNT } = {}) {
+    const result = await this.store.scan(Number(cursor), { MATCH: pattern, COUNT: count });
+    return { cursor: Number(result.cursor), keys: result.keys };
+  }
+
+  // A key's type, remaining lifetime and contents, for the cache admin API; null when it does not exist
+  async inspect(key) {
+    const [type, ttl] = await Promise.all([this.store.type(key), this.store.ttl(key)]);
+    if (type === 'none') return null;
+
+    const parse = (value) => {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    };
+    const readers = {
+      string: async () => parse(await this.store.get(key)),
+      list: async () => (await this.store.lRange(key, 0, -1)).map(parse),
+      set: () => this.store.sMembers(key),
+      hash: () => this.store.hGetAll(key)
+    };
+
+    return {
+      key,
+      namespace: CacheMetrics.namespaceOf(key),
+      type,
+      ttl: ttl >= 0 ? ttl : null, // seconds; null when the key never expires
+      value: readers[type] ? await readers[type]() : undefined
+    };
+  }
+
+  // List helpers (append-only logs such as conversation history)
+  async pushToList(key, values, { maxLength = null, ttl = null } = {}) {
+    try {
+      await this.store.rPush(key, values.map(value => JSON.stringify(value)));
+      if (maxLength) {
+        await this.store.lTrim(key, -maxLength, -1);
+      }
+      await this.store.expire(key, ttl || this.config.ttl);
+      return true;
+    } catch (error) {
+      console.error('Redis list push error:', error);
       return false;
     }
   }
 
+  async getList(key) {
+    try {
+      const values = await this.store.lRange(key, 0, -1);
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      console.error('Redis list read error:', error);
+      return [];
+    }
+  }
+
   // Session-specific helpers
   async getSession(sessionId) {
     return this.get(`session:${sessionId}`);
@@ -141,21 +400,114 @@ export class RedisMiddleware {
     return this.set(`session:${sessionId}`, data, ttl);
   }
 
+  async getSessionHistory(sessionId) {
+    return this.getList(`session:${sessionId}:history`);
+  }
+
+  async appendSessionHistory(sessionId, turns, ttl = 86400) {
+    return this.pushToList(`session:${sessionId}:history`, turns, { maxLength: 500, ttl });
+  }
+
   async updateSession(sessionId, updates) {
     const existing = await this.getSession(sessionId) || {};
     const merged = { ...existing, ...updates, updatedAt: new Date().toISOString() };
     return this.setSession(sessionId, merged);
   }
 
-  // Dynatrace query caching helpers
-  async cacheDynatraceQuery(query, result) {
-    const key = this.generateCacheKey('dt:query', { query: query.substring(0, 100) });
-    return this.set(key, result, 300); // 5 minute TTL for DT queries
+  // Tagged cache entries: each tag is a set of keys, so related entries can be dropped together
+  async setWithTags(key, value, ttl, tags = []) {
+    const stored = await this.set(key, value, ttl, { cacheFill: true });
+    if (!stored || tags.length === 0) return stored;
+
+    try {
+      const multi = this.store.multi();
+      for (const tag of tags) {
+        multi.sAdd(`tag:${tag}`, key);
+        multi.expire(`tag:${tag}`, TAG_TTL);
+      }
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error('Redis tag error:', error);
+      return false;
+    }
+  }
+
+  // Returns the number of entries deleted; keys that already expired are simply gone
+  async invalidateTags(tags) {
+    tags.forEach(tag => this.recordDelete('tags', tag));
+    try {
+      let deleted = 0;
+      for (const tag of tags) {
+        // Read and drop the set together, so keys tagged meanwhile land in a fresh set
+        const [keys] = await this.store.multi().sMembers(`tag:${tag}`).del(`tag:${tag}`).exec();
+        if (keys.length > 0) {
+          deleted += await this.deleteKeys(keys);
+        }
+      }
+      console.log(`🗑️ Invalidated ${deleted} cached entries tagged ${tags.join(', ')}`);
+      return deleted;
+    } catch (error) {
+      console.error('Redis invalidate error:', error);
+      return 0;
+    }
+  }
+
+  // Short-lived locks so only one caller fills a cache entry. Resolves to a token to release the lock
+  // with, or null when someone else holds it; without Redis there is nobody to coordinate with.
+  async acquireLock(key, ttlMs) {
+    const token = randomUUID();
+    if (!this.connected) return token;
+
+    try {
+      const result = await this.client.set(`lock:${key}`, token, { NX: true, PX: ttlMs });
+      return result === 'OK' ? token : null;
+    } catch (error) {
+      console.error('Redis lock error:', error);
+      return token;
+    }
   }
 
-  async getCachedDynatraceQuery(query) {
-    const key = this.generateCacheKey('dt:query', { query: query.substring(0, 100) });
-    return this.get(key);
+  async releaseLock(key, token) {
+    if (!this.connected) return false;
+
+    try {
+      // Only the holder may release; an expired lock may already belong to someone else
+      return await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [`lock:${key}`], arguments: [token] }) === 1;
+    } catch (error) {
+      console.error('Redis unlock error:', error);
+      return false;
+    }
+  }
+
+  async isLocked(key) {
+    if (!this.connected) return false;
+
+    try {
+      return await this.client.exists(`lock:${key}`) === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Rate limiting: buckets are [{ key, capacity, refillPerMs }]; null when Redis is unavailable
+  async takeTokens(buckets, cost = 1) {
+    if (!this.connected) return null;
+    if (buckets.length === 0) return { allowed: true, levels: [] };
+
+    try {
+      const result = await this.client.eval(TAKE_TOKENS_SCRIPT, {
+        keys: buckets.map(bucket => bucket.key),
+        arguments: [String(cost), String(Date.now()), ...buckets.flatMap(bucket => [String(bucket.capacity), String(bucket.refillPerMs)])]
+      });
+      return {
+        allowed: result[0] === 1,
+        levels: buckets.map((bucket, i) => ({ tokens: parseFloat(result[1 + i * 2]), retryMs: result[2 + i * 2] }))
+      };
+    } catch (error) {
+      console.error('Redis rate limit error:', error);
+      return null;
+    }
   }
 
   // Health check
@@ -10,6 +10,7 @@ export class SessionManager {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       messageCount: 0,
+      cacheHits: 0,
       context: {
         currentTopic: null,
         dynatraceQueries: [],
@@ -38,6 +39,21 @@ export class SessionManager {
     return session;
   }
 
+  // Sessions are bound to the identity that created them; anyone else gets a 403. Sessions without
+  // an owner (from before authentication) are refused too - their history could be anyone's.
+  async getOwnedSession(sessionId, identity) {
+    const session = await this.redis.getSession(sessionId);
+    if (!session) {
+      return this.createSession(sessionId, { owner: identity.id });
+    }
+    if (session.owner !== identity.id) {
+      const error = new Error(session.owner ? 'Session belongs to another user' : 'Session has no owner - start a new session');
+      error.status = 403;
+      throw error;
+    }
+    return session;
+  }
+
   async updateSession(sessionId, updates) {
     const session = await this.getSession(sessionId);
     const updatedSession = {
@@ -50,17 +66,21 @@ export class SessionManager {
     return updatedSession;
   }
 
-  async addMessage(sessionId, message, response) {
+  // cache is the answer's cache status; answers served from the cache (or a shared call) count as cache hits
+  async addMessage(sessionId, message, response, { cache = 'none' } = {}) {
     const session = await this.getSession(sessionId);
-    
-    // Update message count and add to context
+    const timestamp = new Date().toISOString();
+
+    // Full turns go to the history list; the session record only keeps counters and context
+    await this.redis.appendSessionHistory(sessionId, [
+      { role: 'user', content: message, timestamp },
+      { role: 'assistant', content: response, timestamp }
+    ], this.defaultSessionTTL);
+
     const updates = {
       messageCount: session.messageCount + 1,
-      lastMessage: {
-        message,
-        response: response.substring(0, 200) + '...', // Truncated for storage
-        timestamp: new Date().toISOString()
-      }
+      lastMessageAt: timestamp,
+      cacheHits: (session.cacheHits || 0) + (['hit', 'shared'].includes(cache) ? 1 : 0)
     };
 
     // Detect and store context
@@ -81,6 +101,10 @@ export class SessionManager {
     return this.updateSession(sessionId, updates);
   }
 
+  async getHistory(sessionId) {
+    return this.redis.getSessionHistory(sessionId);
+  }
+
   isDynatraceQuery(message) {
     const dtKeywords = ['dql', 'fetch', 'problems', 'entities', 'metrics', 'logs', 'vulnerabilities'];
     return dtKeywords.some(keyword => message.toLowerCase().includes(keyword));
@@ -129,6 +153,7 @@ export class SessionManager {
     return {
       messageCount: session.messageCount,
       duration: new Date() - new Date(session.createdAt),
+      historyLength: (await this.getHistory(sessionId)).length,
       currentTopic: session.context.currentTopic,
       cacheHits: session.cacheHits || 0
     };
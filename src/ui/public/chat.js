@@ -1,3 +1,5 @@
+import { MessageRenderer } from './message-renderer.js';
+
 class ChatInterface {
   constructor() {
     this.messagesDiv = document.getElementById('messages');
@@ -11,6 +13,12 @@ class ChatInterface {
 
     this.isLoading = false;
     this.sessionId = this.generateSessionId();
+    this.renderer = new MessageRenderer();
+
+    // Streaming channel - POST /chat is used whenever the socket is not open
+    this.socket = null;
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
 
     this.init();
   }
@@ -28,8 +36,13 @@ class ChatInterface {
       }
     });
 
+    // Buttons inside rendered messages (DQL actions, problem details, suggestions) and sortable tables
+    this.messagesDiv.addEventListener('click', (e) => this.handleMessageClick(e));
+
     // Test connection on load
     this.checkConnection();
+    this.connectSocket();
+    this.loadEnvironmentInfo();
 
     // Focus input
     this.messageInput.focus();
@@ -56,17 +69,153 @@ class ChatInterface {
     }
   }
 
+  // The Dynatrace URL lets problem cards link to the problem in Dynatrace
+  async loadEnvironmentInfo() {
+    try {
+      const response = await fetch('/api/info');
+      if (response.status === 401) {
+        this.requireLogin(await response.json().catch(() => ({})));
+      } else if (response.ok) {
+        const info = await response.json();
+        this.renderer.environmentUrl = info.config?.dynatraceUrl || null;
+      }
+    } catch (error) {
+      console.error('Could not load API info:', error);
+    }
+    this.loadUser();
+  }
+
+  // Signed-in users see who they are and can sign out
+  async loadUser() {
+    const response = await fetch('/auth/me').catch(() => null);
+    if (!response?.ok) return;
+
+    const user = await response.json();
+    if (user.method !== 'oidc') return;
+
+    const userInfo = document.getElementById('userInfo');
+    userInfo.textContent = `👤 ${user.name} (${user.roles.join(', ')}) | `;
+    const signOut = document.createElement('a');
+    signOut.href = '#';
+    signOut.textContent = 'Sign out';
+    signOut.addEventListener('click', async (event) => {
+      event.preventDefault();
+      await fetch('/auth/logout', { method: 'POST' });
+      window.location.reload();
+    });
+    userInfo.appendChild(signOut);
+    userInfo.hidden = false;
+  }
+
+  // 401 responses carry the login URL when OIDC is configured
+  requireLogin(body) {
+    if (body.login) {
+      window.location.href = body.login;
+    } else {
+      this.addMessage('🔒 Authentication required. This server accepts API keys only; the web UI needs OIDC login to be configured.', 'system');
+    }
+  }
+
+  connectSocket() {
+    if (!('WebSocket' in window)) return;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+
+    socket.addEventListener('open', () => {
+      this.socket = socket;
+    });
+
+    socket.addEventListener('message', (event) => {
+      try {
+        this.handleSocketEvent(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Bad socket event:', error);
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      this.socket = null;
+
+      // Anything still in flight is retried over HTTP by sendMessage
+      for (const pending of this.pendingRequests.values()) {
+        const error = new Error('Streaming connection lost');
+        error.connectionLost = true;
+        pending.reject(error);
+      }
+      this.pendingRequests.clear();
+
+      setTimeout(() => this.connectSocket(), 5000);
+    });
+  }
+
+  handleSocketEvent(event) {
+    const pending = this.pendingRequests.get(event.id);
+    if (!pending) return;
+
+    switch (event.type) {
+      case 'progress':
+        pending.stream.status.textContent = `${this.progressIcon(event.stage)} ${event.message}`;
+        break;
+      case 'token':
+        pending.stream.content.textContent += event.content;
+        this.messagesDiv.scrollTop = this.messagesDiv.scrollHeight;
+        break;
+      case 'done':
+        this.pendingRequests.delete(event.id);
+        pending.resolve(event.result);
+        break;
+      case 'error':
+        this.pendingRequests.delete(event.id);
+        pending.reject(Object.assign(new Error(event.message), { status: event.status }));
+        break;
+    }
+  }
+
+  progressIcon(stage) {
+    const icons = {
+      classifying: '🧭',
+      querying_dynatrace: '🔍',
+      cache_hit: '⚡',
+      waiting: '🔗',
+      analysing: '🤖',
+      generating: '💭',
+      tool_call: '🔧'
+    };
+    return icons[stage] || '⏳';
+  }
+
+  createStreamingMessage() {
+    const div = document.createElement('div');
+    div.className = 'message assistant-message';
+
+    const status = document.createElement('div');
+    status.className = 'stream-status';
+    status.textContent = '🤔 Thinking...';
+
+    const content = document.createElement('div');
+    content.className = 'stream-content';
+
+    div.appendChild(status);
+    div.appendChild(content);
+    this.messagesDiv.appendChild(div);
+    this.messagesDiv.scrollTop = this.messagesDiv.scrollHeight;
+
+    return { div, status, content };
+  }
+
   updateStatus(status, text) {
     this.connectionStatus.className = `status ${status}`;
     this.statusText.textContent = text;
   }
 
-  addMessage(content, type, timestamp = null) {
+  // envelope: the full /chat response, rendered with its structured data when present
+  addMessage(content, type, timestamp = null, envelope = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${type}-message`;
 
-    if (type === 'assistant' && content.includes('```')) {
-      messageDiv.innerHTML = this.formatMessage(content);
+    if (type === 'assistant') {
+      messageDiv.innerHTML = this.renderer.render(envelope || content);
     } else {
       messageDiv.textContent = content;
     }
@@ -86,13 +235,56 @@ class ChatInterface {
     this.messagesDiv.scrollTop = this.messagesDiv.scrollHeight;
   }
 
-  formatMessage(content) {
-    return content
-      .replace(/```(\w+)?\n?([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
-      .replace(/`([^`]+)`/g, '<code>$1</code>')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/\n/g, '<br>');
+  handleMessageClick(event) {
+    const header = event.target.closest('th[data-sort]');
+    if (header) {
+      this.sortTable(header);
+      return;
+    }
+
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const query = button.closest('.dql-block')?.querySelector('code')?.textContent.trim();
+    switch (button.dataset.action) {
+      case 'send':
+        this.sendMessage(button.dataset.message);
+        break;
+      case 'run':
+        this.sendMessage(query);
+        break;
+      case 'edit':
+        // Loads the query into the input for review before it runs
+        this.messageInput.value = query.replace(/\s*\n\s*/g, ' ');
+        this.messageInput.focus();
+        break;
+      case 'copy':
+        navigator.clipboard.writeText(query).then(() => {
+          button.textContent = '✅ Copied';
+          setTimeout(() => { button.textContent = '📋 Copy'; }, 1500);
+        }).catch((error) => console.error('Copy failed:', error));
+        break;
+    }
+  }
+
+  // Click a header to sort by it; click again to reverse. Numbers sort numerically.
+  sortTable(header) {
+    const table = header.closest('table');
+    const index = Array.from(header.parentElement.children).indexOf(header);
+    const ascending = header.dataset.direction !== 'asc';
+
+    table.querySelectorAll('th[data-sort]').forEach((th) => delete th.dataset.direction);
+    header.dataset.direction = ascending ? 'asc' : 'desc';
+
+    const body = table.tBodies[0];
+    const cellText = (row) => row.cells[index]?.textContent.trim() ?? '';
+    const rows = Array.from(body.rows).sort((a, b) => {
+      const [x, y] = [cellText(a), cellText(b)];
+      const numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+      const order = numeric ? Number(x) - Number(y) : x.localeCompare(y, undefined, { numeric: true });
+      return ascending ? order : -order;
+    });
+    rows.forEach((row) => body.appendChild(row));
   }
 
   setLoading(loading) {
@@ -108,18 +300,72 @@ class ChatInterface {
     }
   }
 
-  async sendMessage() {
-    const message = this.messageInput.value.trim();
+  // Sends the input, or text from a message action (run DQL, problem details, suggestions)
+  async sendMessage(text = null) {
+    const message = (text ?? this.messageInput.value).trim();
 
     if (!message || this.isLoading) return;
 
     // Add user message
     this.addMessage(message, 'user');
-    this.messageInput.value = '';
+    if (text === null) {
+      this.messageInput.value = '';
+    }
 
     // Show loading state
     this.setLoading(true);
 
+    try {
+      let data;
+      if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+        try {
+          data = await this.sendViaSocket(message);
+        } catch (error) {
+          if (!error.connectionLost) throw error;
+          data = await this.sendViaHttp(message);
+        }
+      } else {
+        data = await this.sendViaHttp(message);
+      }
+
+      this.addMessage(data.response || 'No response received', 'assistant', data.timestamp, data);
+    } catch (error) {
+      if (error.status === 429) {
+        // Rate limited: the service is fine, the message says when to try again
+        this.addMessage(`🚦 ${error.message}`, 'system');
+        return;
+      }
+
+      this.addMessage(`❌ Error: ${error.message}`, 'system');
+      console.error('Chat error:', error);
+
+      // Update connection status
+      this.updateStatus('disconnected', 'Service unavailable');
+    } finally {
+      this.setLoading(false);
+      this.messageInput.focus();
+    }
+  }
+
+  sendViaSocket(message) {
+    const id = `req-${++this.requestCounter}`;
+    const stream = this.createStreamingMessage();
+
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { stream, resolve, reject });
+      this.socket.send(JSON.stringify({
+        type: 'chat',
+        id,
+        message,
+        session_id: this.sessionId,
+      }));
+    }).finally(() => {
+      // The streamed draft is replaced by the final formatted response
+      stream.div.remove();
+    });
+  }
+
+  async sendViaHttp(message) {
     const loadingDiv = document.createElement('div');
     loadingDiv.className = 'message assistant-message';
     loadingDiv.innerHTML = '<em>🤔 Thinking...</em>';
@@ -138,30 +384,19 @@ class ChatInterface {
         }),
       });
 
-      // Remove loading message
-      this.messagesDiv.removeChild(loadingDiv);
-
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(`HTTP ${response.status}: ${errorData.message || response.statusText}`);
+        if (response.status === 401) {
+          this.requireLogin(errorData);
+        }
+        const error = new Error(response.status === 429 ? errorData.message : `HTTP ${response.status}: ${errorData.message || response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
-      const data = await response.json();
-      this.addMessage(data.response || 'No response received', 'assistant', data.timestamp);
-    } catch (error) {
-      // Remove loading message
-      if (this.messagesDiv.contains(loadingDiv)) {
-        this.messagesDiv.removeChild(loadingDiv);
-      }
-
-      this.addMessage(`❌ Error: ${error.message}`, 'system');
-      console.error('Chat error:', error);
-
-      // Update connection status
-      this.updateStatus('disconnected', 'Service unavailable');
+      return await response.json();
     } finally {
-      this.setLoading(false);
-      this.messageInput.focus();
+      loadingDiv.remove();
     }
   }
 }
@@ -171,9 +406,9 @@ document.addEventListener('DOMContentLoaded', () => {
   window.chatInterface = new ChatInterface();
 });
 
-// Make sendMessage available globally for the button onclick
-function sendMessage() {
+// Make sendMessage available globally for the button onclick (module scope is not global)
+window.sendMessage = () => {
   if (window.chatInterface) {
     window.chatInterface.sendMessage();
   }
-}
+};
@@ -0,0 +1,77 @@
+// Last step before innerHTML: keeps only allowlisted tags and attributes and escapes everything else
+// as text. It accepts exactly the markup MessageRenderer writes (lowercase tags, double-quoted
+// attribute values without raw quotes or angle brackets); anything else shows up as visible text.
+
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], strong: [], em: [], small: [], pre: [], code: ['class'],
+  h3: [], h4: [], h5: [], h6: [], ul: [], ol: [], li: [],
+  div: ['class'], span: ['class'],
+  table: ['class'], thead: [], tbody: [], tr: [], th: ['data-sort'], td: ['class'],
+  a: ['class', 'href', 'target', 'rel'],
+  button: ['class', 'data-action', 'data-message']
+};
+
+const VOID_TAGS = new Set(['br', 'hr']);
+const ACTIONS = new Set(['send', 'copy', 'run', 'edit']);
+const SAFE_URL = /^https?:\/\/[^\s]+$/i;
+
+const TAG = /<(\/?)([a-z][a-z0-9]*)((?:\s+[a-z][a-z-]*(?:="[^"<>]*")?)*)\s*>/g;
+const ATTRIBUTE = /([a-z][a-z-]*)(?:="([^"<>]*)")?/g;
+
+export function escapeText(text) {
+  return String(text)
+    .replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Attribute values are checked as written; an entity-encoded "javascript&#58;" is not an http(s) URL
+function sanitizeAttribute(tag, name, value = '') {
+  if (!ALLOWED_TAGS[tag].includes(name)) return null;
+
+  switch (name) {
+    case 'href':
+      return SAFE_URL.test(value) ? value : null;
+    case 'class':
+      return /^[\w -]*$/.test(value) ? value : null;
+    case 'data-action':
+      return ACTIONS.has(value) ? value : null;
+    case 'target':
+    case 'rel':
+      return null; // set below for every link
+    default:
+      return value;
+  }
+}
+
+function sanitizeTag(match, closing, tag, attributes) {
+  if (!Object.hasOwn(ALLOWED_TAGS, tag)) return escapeText(match);
+  if (closing) return VOID_TAGS.has(tag) ? '' : `</${tag}>`;
+
+  const kept = [];
+  for (const [, name, value] of attributes.matchAll(ATTRIBUTE)) {
+    const safe = sanitizeAttribute(tag, name, value);
+    if (safe !== null && !kept.some(attribute => attribute.startsWith(`${name}=`))) {
+      kept.push(`${name}="${safe}"`);
+    }
+  }
+
+  if (tag === 'a') {
+    // Links without a safe href lose it; every link opens in a new tab without access to this page
+    kept.push('target="_blank"', 'rel="noopener noreferrer"');
+  }
+  return `<${tag}${kept.map(attribute => ` ${attribute}`).join('')}>`;
+}
+
+export function sanitizeHtml(html) {
+  const text = String(html ?? '');
+  let output = '';
+  let last = 0;
+
+  for (const match of text.matchAll(TAG)) {
+    output += escapeText(text.slice(last, match.index));
+    output += sanitizeTag(...match);
+    last = match.index + match[0].length;
+  }
+  return output + escapeText(text.slice(last));
+}
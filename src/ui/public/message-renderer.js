@@ -0,0 +1,292 @@
+import { sanitizeHtml } from './html-sanitizer.js';
+
+// Turns chat responses into HTML. Everything that comes from the server - Markdown text, problem
+// titles, DQL records - is escaped; the only markup in the output is the markup written here, and
+// render() passes that through the tag allowlist as well before it reaches innerHTML.
+
+const SEVERITY_CLASSES = {
+  AVAILABILITY: 'severity-availability',
+  ERROR: 'severity-error',
+  PERFORMANCE: 'severity-performance',
+  RESOURCE_CONTENTION: 'severity-resource',
+  CUSTOM_ALERT: 'severity-custom',
+  MONITORING_UNAVAILABLE: 'severity-info',
+  INFO: 'severity-info'
+};
+
+const DQL_START = /^(fetch|timeseries|data)\b/;
+const MAX_TABLE_ROWS = 200;
+
+export class MessageRenderer {
+  constructor({ environmentUrl = null } = {}) {
+    this.environmentUrl = environmentUrl;
+  }
+
+  escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // What the chat UI assigns to innerHTML: a chat envelope or plain Markdown, sanitized
+  render(content) {
+    const html = typeof content === 'string' ? this.renderMarkdown(content) : this.renderEnvelope(content || {});
+    return sanitizeHtml(html);
+  }
+
+  // A chat envelope (see ChatResponse); older servers only send the Markdown rendering in response
+  renderEnvelope(envelope) {
+    if (typeof envelope.text !== 'string') {
+      return this.renderMarkdown(envelope.response || '');
+    }
+
+    const data = envelope.data || {};
+    let html;
+    if (envelope.type === 'problems' && data.problems?.length > 0) {
+      // The header and filter line stay as text; the list itself becomes cards
+      html = this.renderMarkdown(envelope.text.split('\n\n')[0]) + this.renderProblemCards(data.problems);
+    } else if (envelope.type === 'dql' && data.records?.length > 0) {
+      // The Markdown preview table (first rows only) is replaced by a sortable table of every record
+      const text = envelope.text.replace(/^\|.*\|$\n?/gm, '').replace(/^_Showing \d+ of \d+ records\._$/m, '');
+      html = this.insertRecordsTable(this.renderMarkdown(text), data.fields, data.records);
+    } else {
+      html = this.renderMarkdown(envelope.text);
+    }
+
+    if (envelope.analysis) {
+      html += `<div class="analysis"><div class="section-title">🤖 AI Analysis</div>${this.renderMarkdown(envelope.analysis)}</div>`;
+    }
+    html += this.renderSuggestions(envelope.suggestions || {});
+    html += this.renderFooter(envelope);
+    return html;
+  }
+
+  // The records table goes where the Markdown preview table was: after the query line
+  insertRecordsTable(html, fields, records) {
+    const table = this.renderTable((fields || []).map(field => field.name), records);
+    const marker = html.indexOf('</p>', html.indexOf('<strong>Query:</strong>'));
+    return marker === -1 ? html + table : html.slice(0, marker + 4) + table + html.slice(marker + 4);
+  }
+
+  renderTable(columns, records) {
+    const rows = records.slice(0, MAX_TABLE_ROWS);
+    let html = '<div class="table-wrapper"><table class="data-table sortable"><thead><tr>';
+    html += columns.map(column => `<th data-sort>${this.escape(column)}</th>`).join('');
+    html += '</tr></thead><tbody>';
+    for (const record of rows) {
+      html += '<tr>' + columns.map(column => {
+        const value = record[column];
+        const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : (value ?? '');
+        return `<td${typeof value === 'number' ? ' class="numeric"' : ''}>${this.escape(text)}</td>`;
+      }).join('') + '</tr>';
+    }
+    html += '</tbody></table></div>';
+    if (records.length > rows.length) {
+      html += `<p class="table-note">Showing ${rows.length} of ${records.length} records.</p>`;
+    }
+    return html;
+  }
+
+  renderProblemCards(problems) {
+    return `<div class="problem-cards">${problems.map(problem => this.renderProblemCard(problem)).join('')}</div>`;
+  }
+
+  renderProblemCard(problem) {
+    const id = problem.displayId || problem.problemId;
+    const severity = SEVERITY_CLASSES[problem.severityLevel] || 'severity-info';
+    const zones = problem.managementZones?.map(mz => mz.name).join(', ');
+    const link = this.problemUrl(problem);
+
+    return `<div class="problem-card ${severity}">
+<div class="problem-card-header"><span class="severity-badge">${this.escape(problem.severityLevel)}</span><span class="status-badge status-${problem.status === 'OPEN' ? 'open' : 'closed'}">${this.escape(problem.status)}</span><span class="problem-id">${this.escape(id)}</span></div>
+<div class="problem-title">${this.escape(problem.title)}</div>
+<div class="problem-meta">Started ${this.escape(new Date(problem.startTime).toLocaleString())}${problem.endTime > 0 ? ` · ended ${this.escape(new Date(problem.endTime).toLocaleString())}` : ''} · ${problem.affectedEntities?.length || 0} affected${zones ? ` · ${this.escape(zones)}` : ''}</div>
+<div class="problem-actions"><button class="action-button" data-action="send" data-message="${this.escape(`details of ${id}`)}">🔬 Details</button>${link ? `<a class="action-button" href="${this.escape(link)}" target="_blank" rel="noopener noreferrer">↗ Open in Dynatrace</a>` : ''}</div>
+</div>`;
+  }
+
+  // Platform (apps.dynatrace.com) tenants have the problems app; classic tenants the problem details page
+  problemUrl(problem) {
+    if (!this.environmentUrl || !/^https:\/\//.test(this.environmentUrl) || !problem.problemId) return null;
+    const base = this.environmentUrl.replace(/\/+$/, '');
+    const id = encodeURIComponent(problem.problemId);
+    return /\.apps\.dynatrace\.com$/.test(new URL(base).hostname)
+      ? `${base}/ui/apps/dynatrace.davis.problems/problem/${id}`
+      : `${base}/#problems/problemdetails;pid=${id}`;
+  }
+
+  renderSuggestions({ dql = [], nextSteps = [], questions = [] }) {
+    let html = '';
+    if (dql.length > 0) {
+      html += `<div class="section-title">💡 Suggested DQL Queries</div>${dql.map(query => this.renderCodeBlock(query, 'dql')).join('')}`;
+    }
+    if (nextSteps.length > 0) {
+      html += `<div class="section-title">🎯 Next Steps</div><ol>${nextSteps.map(step => `<li>${this.renderInline(step)}</li>`).join('')}</ol>`;
+    }
+    if (questions.length > 0) {
+      html += `<div class="suggestion-chips">${questions.map(question =>
+        `<button class="chip" data-action="send" data-message="${this.escape(question)}">${this.escape(question)}</button>`).join('')}</div>`;
+    }
+    return html;
+  }
+
+  renderFooter(envelope) {
+    const parts = [envelope.source];
+    if (envelope.cache === 'hit') parts.push(`⚡ cached${this.formatAge(envelope.cacheAgeSeconds)}`);
+    if (envelope.cache === 'partial') parts.push(`⚡ partly cached${this.formatAge(envelope.cacheAgeSeconds)}`);
+    if (envelope.cache === 'shared') parts.push('🔗 shared');
+    if (envelope.fixture) parts.push('🧪 fixture data');
+    if (envelope.stale) parts.push('⚠️ stale');
+    if (envelope.timings?.totalMs !== undefined) parts.push(`${envelope.timings.totalMs} ms`);
+    return `<div class="message-footer">${parts.filter(Boolean).map(part => this.escape(part)).join(' · ')}</div>`;
+  }
+
+  // ", 5m old" for cached data
+  formatAge(seconds) {
+    if (seconds === undefined || seconds === null) return '';
+    if (seconds < 60) return `, ${seconds}s old`;
+    const minutes = Math.floor(seconds / 60);
+    return minutes < 60 ? `, ${minutes}m old` : `, ${Math.floor(minutes / 60)}h ${minutes % 60}m old`;
+  }
+
+  // DQL blocks get copy / run / edit actions; the handlers read the query from the code element
+  renderCodeBlock(code, language = '') {
+    const isDQL = language === 'dql' || DQL_START.test(code.trim());
+    const block = `<pre><code${language ? ` class="language-${this.escape(language)}"` : ''}>${this.escape(code)}</code></pre>`;
+    if (!isDQL) return block;
+    return `<div class="dql-block">${block}<div class="dql-actions">`
+      + '<button class="action-button" data-action="copy">📋 Copy</button>'
+      + '<button class="action-button" data-action="run">▶ Run</button>'
+      + '<button class="action-button" data-action="edit">✏️ Edit</button>'
+      + '</div></div>';
+  }
+
+  // Block-level Markdown: fenced code, tables, headings, rules, lists and paragraphs
+  renderMarkdown(markdown) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => this.renderInline(line)).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        html.push(`<${list.tag}>${list.items.map(item => `<li>${item.map(line => this.renderInline(line)).join('<br>')}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      }
+    };
+    const flush = () => {
+      flushParagraph();
+      flushList();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const fence = line.match(/^\s*```\s*([\w-]*)\s*$/);
+      if (fence) {
+        flush();
+        const code = [];
+        while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+          code.push(lines[i]);
+        }
+        html.push(this.renderCodeBlock(code.join('\n'), fence[1].toLowerCase()));
+        continue;
+      }
+
+      if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/.test(lines[i + 1] || '')) {
+        flush();
+        const header = this.splitRow(line);
+        const rows = [];
+        i += 1;
+        while (i + 1 < lines.length && /^\s*\|.*\|\s*$/.test(lines[i + 1])) {
+          rows.push(this.splitRow(lines[++i]));
+        }
+        html.push(this.renderMarkdownTable(header, rows));
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,4})\s+(.*)$/);
+      if (heading) {
+        flush();
+        const level = heading[1].length + 2; // h3-h6 inside a message
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      if (/^\s*(---|\*\*\*|___)\s*$/.test(line)) {
+        flush();
+        html.push('<hr>');
+        continue;
+      }
+
+      const item = line.match(/^\s*(?:([-*•])|(\d+)\.)\s+(.*)$/);
+      if (item) {
+        flushParagraph();
+        const tag = item[2] ? 'ol' : 'ul';
+        if (!list || list.tag !== tag) {
+          flushList();
+          list = { tag, items: [] };
+        }
+        list.items.push([item[3]]);
+        continue;
+      }
+
+      if (line.trim() === '') {
+        flush();
+        continue;
+      }
+
+      // Indented lines continue the previous list item (e.g. a log pattern under its count)
+      if (list && /^\s{2,}\S/.test(line)) {
+        list.items[list.items.length - 1].push(line.trim());
+        continue;
+      }
+
+      flushList();
+      paragraph.push(line);
+    }
+    flush();
+    return html.join('');
+  }
+
+  splitRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  renderMarkdownTable(header, rows) {
+    let html = '<div class="table-wrapper"><table class="data-table sortable"><thead><tr>';
+    html += header.map(cell => `<th data-sort>${this.renderInline(cell)}</th>`).join('');
+    html += '</tr></thead><tbody>';
+    html += rows.map(row => `<tr>${header.map((_, i) => `<td>${this.renderInline(row[i] ?? '')}</td>`).join('')}</tr>`).join('');
+    return html + '</tbody></table></div>';
+  }
+
+  // Inline Markdown on escaped text: code spans, links, bold and italics
+  renderInline(text) {
+    const codeSpans = [];
+    let html = this.escape(String(text ?? '').replace(/\u0000/g, '')).replace(/`([^`]+)`/g, (_, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        // Only web links; javascript:, data: and relative URLs stay as text
+        return /^https?:\/\//i.test(url) ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>` : match;
+      })
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+  }
+}
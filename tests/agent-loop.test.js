@@ -0,0 +1,42 @@
+import { AgentLoop } from '../src/integrations/agent-loop.js';
+import { RateLimitError } from '../src/server/rate-limiter.js';
+
+const throttled = () => Object.assign(new Error('Too many requests'), { status: 429 });
+
+describe('AgentLoop tool calls and the Dynatrace quota', () => {
+  let backend;
+  let agent;
+  let quota;
+
+  beforeEach(() => {
+    backend = { listProblems: async () => ({ problems: [] }) };
+    agent = new AgentLoop({ ollama: null, backend, knowledgeBase: null });
+    quota = { consumed: 0, consume: async () => { quota.consumed++; } };
+  });
+
+  test('only calls that pass the tool checks are charged', async () => {
+    await agent.executeTool('no_such_tool', {}, null, quota);
+    await agent.executeTool('list_problems', {}, () => false, quota);
+    await agent.executeTool('get_problem_details', {}, null, quota);
+    expect(quota.consumed).toBe(0);
+
+    const record = await agent.executeTool('list_problems', {}, () => true, quota);
+    expect(record.ok).toBe(true);
+    expect(quota.consumed).toBe(1);
+  });
+
+  test('running out of our own quota ends the run', async () => {
+    quota.consume = async () => { throw new RateLimitError('dynatrace', 'user', 12); };
+
+    await expect(agent.executeTool('list_problems', {}, null, quota)).rejects.toMatchObject({ rateLimited: true, retryAfter: 12 });
+  });
+
+  test('a 429 from Dynatrace goes back to the model like any other tool error', async () => {
+    backend.listProblems = async () => { throw throttled(); };
+
+    const record = await agent.executeTool('list_problems', {}, null, quota);
+
+    expect(record.ok).toBe(false);
+    expect(record.error).toBe('Too many requests');
+  });
+});
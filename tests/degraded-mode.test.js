@@ -0,0 +1,38 @@
+import { DegradedMode } from '../src/integrations/degraded-mode.js';
+import { RedisMiddleware } from '../src/server/redis-middleware.js';
+
+const outage = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('DegradedMode', () => {
+  let degraded;
+
+  beforeEach(() => {
+    degraded = new DegradedMode(new RedisMiddleware({ enabled: false }));
+  });
+
+  test('the stale result is dated by when its data was fetched, not when it was remembered', async () => {
+    const fetchedAt = new Date(Date.now() - 3600000).toISOString();
+    await degraded.run('mock:listProblems', {}, async () => ({ message: 'P-1', realData: true, timestamp: fetchedAt }));
+
+    const result = await degraded.run('mock:listProblems', {}, async () => { throw outage(); });
+
+    expect(result.stale).toBe(true);
+    expect(result.degraded.lastSuccessAt).toBe(fetchedAt);
+    expect(result.degraded.ageSeconds).toBeGreaterThanOrEqual(3600);
+    expect(result.message).toContain('STALE DATA - retrieved 1h 0m ago');
+  });
+
+  test('without a previous result the operation is reported unavailable', async () => {
+    const result = await degraded.run('mock:listProblems', {}, async () => { throw outage(); });
+
+    expect(result).toMatchObject({ type: 'unavailable', realData: false, degraded: { lastSuccessAt: null } });
+  });
+
+  test('caller errors and rate limits are passed on, not degraded', async () => {
+    const notFound = Object.assign(new Error('No such problem'), { status: 404 });
+    const limited = Object.assign(new Error('Rate limit exceeded'), { status: 429, rateLimited: true });
+
+    await expect(degraded.run('mock:getProblemDetails', {}, async () => { throw notFound; })).rejects.toBe(notFound);
+    await expect(degraded.run('mock:listProblems', {}, async () => { throw limited; })).rejects.toBe(limited);
+  });
+});
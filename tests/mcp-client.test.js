@@ -0,0 +1,184 @@
+import http from 'http';
+import { MCPClient, MCPError } from '../src/integrations/mcp-client.js';
+
+const TOOLS = [
+  { name: 'list_problems', description: 'Open problems', inputSchema: { type: 'object' } },
+  { name: 'execute_dql', description: 'Run a DQL query', inputSchema: { type: 'object' } },
+  { name: 'slow_tool', description: 'Answers after the client gave up', inputSchema: { type: 'object' } }
+];
+
+// Streamable HTTP MCP server stub: sessions, paged tools/list, JSON and SSE replies, errors and a slow tool
+function startStubServer() {
+  const state = { sessions: new Set(), requests: [], nextSession: 1 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'DELETE') {
+        state.sessions.delete(req.headers['mcp-session-id']);
+        res.writeHead(204).end();
+        return;
+      }
+
+      const message = JSON.parse(body);
+      const sessionId = req.headers['mcp-session-id'];
+      state.requests.push({ method: message.method, sessionId, protocolVersion: req.headers['mcp-protocol-version'] });
+
+      const reply = (payload, headers = {}) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, ...payload }));
+      };
+
+      if (message.method === 'initialize') {
+        const session = `session-${state.nextSession++}`;
+        state.sessions.add(session);
+        return reply({
+          result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stub-mcp', version: '0.0.1' } }
+        }, { 'Mcp-Session-Id': session });
+      }
+      if (!state.sessions.has(sessionId)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id ?? null, error: { code: -32001, message: 'Session not found' } }));
+        return;
+      }
+      if (message.method === 'notifications/initialized') {
+        res.writeHead(202).end();
+        return;
+      }
+
+      if (message.method === 'tools/list') {
+        const page = message.params?.cursor ? TOOLS.slice(2) : TOOLS.slice(0, 2);
+        return reply({ result: { tools: page, ...(message.params?.cursor ? {} : { nextCursor: 'page-2' }) } });
+      }
+
+      if (message.method === 'tools/call') {
+        const { name, arguments: args } = message.params;
+        if (name === 'list_problems') {
+          return reply({ result: { content: [{ type: 'text', text: 'P-1 open' }, { type: 'text', text: 'P-2 open' }] } });
+        }
+        if (name === 'execute_dql') {
+          // Answered as an SSE stream, with a progress notification ahead of the response
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } })}\n\n`);
+          res.end(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {
+            content: [{ type: 'text', text: `ran ${args.dqlStatement}` }],
+            structuredContent: { records: [{ count: 3 }] }
+          } })}\n\n`);
+          return;
+        }
+        if (name === 'slow_tool') {
+          setTimeout(() => reply({ result: { content: [] } }), 500);
+          return;
+        }
+        return reply({ error: { code: -32602, message: `Unknown tool: ${name}`, data: { name } } });
+      }
+
+      reply({ error: { code: -32601, message: `Method not found: ${message.method}` } });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      state.url = `http://127.0.0.1:${server.address().port}/mcp`;
+      resolve({ server, state });
+    });
+  });
+}
+
+describe('MCPClient against a stub MCP server', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStubServer();
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+  beforeEach(() => {
+    stub.state.requests = [];
+    client = new MCPClient({ url: stub.state.url, timeout: 200 });
+  });
+
+  afterEach(() => client.close());
+
+  test('initialize negotiates the protocol and keeps the session id', async () => {
+    await client.connect();
+
+    expect(client.connected).toBe(true);
+    expect(client.serverInfo.name).toBe('stub-mcp');
+    expect(client.sessionId).toMatch(/^session-/);
+    expect(stub.state.requests.map(request => request.method)).toEqual(['initialize', 'notifications/initialized']);
+    expect(stub.state.requests[1].sessionId).toBe(client.sessionId);
+  });
+
+  test('concurrent callers share one handshake', async () => {
+    await Promise.all([client.connect(), client.connect(), client.listTools()]);
+    expect(stub.state.requests.filter(request => request.method === 'initialize')).toHaveLength(1);
+  });
+
+  test('tools/list follows nextCursor and is cached until refreshed', async () => {
+    const tools = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['list_problems', 'execute_dql', 'slow_tool']);
+
+    await client.listTools();
+    expect(stub.state.requests.filter(request => request.method === 'tools/list')).toHaveLength(2);
+
+    await client.listTools({ refresh: true });
+    expect(stub.state.requests.filter(request => request.method === 'tools/list')).toHaveLength(4);
+  });
+
+  test('tools/call sends the session headers and joins text content', async () => {
+    const result = await client.callTool('list_problems', {});
+
+    expect(result.text).toBe('P-1 open\nP-2 open');
+    expect(result.isError).toBe(false);
+    const call = stub.state.requests.find(request => request.method === 'tools/call');
+    expect(call.sessionId).toBe(client.sessionId);
+    expect(call.protocolVersion).toBe(client.protocolVersion);
+  });
+
+  test('tools/call reads the response out of an SSE stream', async () => {
+    const result = await client.callTool('execute_dql', { dqlStatement: 'fetch logs' });
+
+    expect(result.text).toBe('ran fetch logs');
+    expect(result.structuredContent).toEqual({ records: [{ count: 3 }] });
+  });
+
+  test('JSON-RPC errors become MCPErrors with code and data', async () => {
+    const error = await client.callTool('no_such_tool').catch(e => e);
+
+    expect(error).toBeInstanceOf(MCPError);
+    expect(error.code).toBe(-32602);
+    expect(error.data).toEqual({ name: 'no_such_tool' });
+    expect(error.message).toContain('Unknown tool: no_such_tool');
+  });
+
+  test('an expired session is re-initialized once and the request retried', async () => {
+    await client.connect();
+    const expired = client.sessionId;
+    stub.state.sessions.delete(expired);
+
+    const result = await client.callTool('list_problems');
+
+    expect(result.text).toBe('P-1 open\nP-2 open');
+    expect(client.sessionId).not.toBe(expired);
+    expect(stub.state.requests.filter(request => request.method === 'initialize')).toHaveLength(2);
+  });
+
+  test('a server that does not answer within the timeout fails the call', async () => {
+    const error = await client.callTool('slow_tool').catch(e => e);
+
+    expect(error).toBeInstanceOf(MCPError);
+    expect(error.message).toMatch(/MCP server unreachable: timeout of 200ms exceeded/);
+    expect(error.status).toBeUndefined();
+  });
+
+  test('an unreachable server fails the handshake', async () => {
+    const offline = new MCPClient({ url: 'http://127.0.0.1:1/mcp', timeout: 200 });
+
+    await expect(offline.connect()).rejects.toThrow(/MCP server unreachable/);
+    expect(offline.connected).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+import { MCPEndpoint } from '../src/server/mcp-endpoint.js';
+
+const alice = { id: 'user:alice', roles: ['analyst'], can: () => true };
+
+describe('MCPEndpoint sessions', () => {
+  let endpoint;
+
+  beforeEach(() => {
+    endpoint = new MCPEndpoint({ redis: null, dynatrace: {}, sessionIdleTtl: 60, maxSessions: 2 });
+  });
+
+  afterEach(() => endpoint.close());
+
+  test('a session belongs to the identity that initialized it', () => {
+    endpoint.initialize({ protocolVersion: '2025-06-18' }, 's1', alice);
+
+    expect(endpoint.ownsSession('s1', alice)).toBe(true);
+    expect(endpoint.ownsSession('s1', { id: 'user:mallory' })).toBe(false);
+  });
+
+  test('an idle session is released when it is next used', () => {
+    endpoint.initialize({}, 's1', alice);
+    endpoint.sessions.get('s1').lastSeenAt -= 60000;
+
+    expect(endpoint.ownsSession('s1', alice)).toBe(false);
+    expect(endpoint.sessions.has('s1')).toBe(false);
+  });
+
+  test('the sweep drops idle sessions only', () => {
+    endpoint.initialize({}, 's1', alice);
+    endpoint.initialize({}, 's2', alice);
+    endpoint.sessions.get('s1').lastSeenAt -= 60000;
+
+    endpoint.sweepSessions();
+
+    expect([...endpoint.sessions.keys()]).toEqual(['s2']);
+  });
+
+  test('beyond maxSessions the least recently used session goes', () => {
+    endpoint.initialize({}, 's1', alice);
+    endpoint.initialize({}, 's2', alice);
+    endpoint.touchSession('s1');
+
+    endpoint.initialize({}, 's3', alice);
+
+    expect([...endpoint.sessions.keys()]).toEqual(['s1', 's3']);
+  });
+
+  test('close releases every session', () => {
+    endpoint.initialize({}, 's1', alice);
+    endpoint.initialize({}, 's2', alice);
+
+    endpoint.close();
+
+    expect(endpoint.sessions.size).toBe(0);
+  });
+});
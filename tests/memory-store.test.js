@@ -0,0 +1,63 @@
+import { MemoryStore } from '../src/server/memory-store.js';
+
+describe('MemoryStore', () => {
+  test('beyond maxEntries the least recently used key is dropped', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.setEx('a', 60, '1');
+    await store.setEx('b', 60, '2');
+    await store.get('a');
+
+    await store.setEx('c', 60, '3');
+
+    expect(await store.get('a')).toBe('1');
+    expect(await store.get('b')).toBeNull();
+    expect(store.size).toBe(2);
+  });
+
+  test('expired keys are never returned', async () => {
+    const store = new MemoryStore();
+    await store.setEx('a', 60, '1');
+    store.entries.get('a').expiresAt = Date.now() - 1;
+
+    expect(await store.get('a')).toBeNull();
+    expect(await store.ttl('a')).toBe(-2);
+    expect(store.size).toBe(0);
+  });
+
+  test('pinned keys are never evicted, only expired', async () => {
+    const store = new MemoryStore({ maxEntries: 2, pinned: ['auth:'] });
+    await store.setEx('auth:session:1', 60, 'alice');
+    await store.setEx('dt:chat:x', 60, 'cached');
+    await store.setEx('dt:chat:y', 60, 'cached');
+    await store.setEx('dt:chat:z', 60, 'cached');
+
+    expect(await store.get('auth:session:1')).toBe('alice');
+    expect(store.matching('dt:chat:*')).toEqual(['dt:chat:z']);
+  });
+
+  test('companion keys are evicted together with their key', async () => {
+    const companions = (key) => /^session:[^:]+$/.test(key) ? [`${key}:history`] : [];
+    const store = new MemoryStore({ maxEntries: 2, companions });
+    await store.setEx('session:s1', 60, '{"owner":"user:alice"}');
+    await store.rPush('session:s1:history', ['my secret question']);
+    await store.lRange('session:s1:history', 0, -1);
+
+    await store.setEx('dt:chat:x', 60, 'cached');
+
+    expect(await store.get('session:s1')).toBeNull();
+    expect(await store.lRange('session:s1:history', 0, -1)).toEqual([]);
+  });
+
+  test('drain hands over live entries with their changed flag and empties the store', async () => {
+    const store = new MemoryStore();
+    await store.setEx('session:s1', 60, '{}');
+    await store.setEx('dt:chat:x', 60, 'cached');
+    store.markChanged('session:s1');
+
+    const drained = Object.fromEntries(store.drain());
+
+    expect(drained['session:s1']).toMatchObject({ type: 'string', value: '{}', changed: true });
+    expect(drained['dt:chat:x'].changed).toBeUndefined();
+    expect(store.size).toBe(0);
+  });
+});
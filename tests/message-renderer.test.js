@@ -0,0 +1,170 @@
+import { ChatResponse } from '../src/integrations/chat-response.js';
+import { MessageRenderer } from '../src/ui/public/message-renderer.js';
+import { sanitizeHtml } from '../src/ui/public/html-sanitizer.js';
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<svg/onload=alert(1)>',
+  '"><img src=x onerror=alert(1)>',
+  '\'><iframe src="javascript:alert(1)"></iframe>',
+  '<a href="javascript:alert(1)">click</a>',
+  '<div style="background:url(javascript:alert(1))" onmouseover="alert(1)">x</div>',
+  '</code></pre><script>alert(1)</script>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<scr<script>ipt>alert(1)</script>',
+  '&lt;script&gt;alert(1)&lt;/script&gt;',
+  '\u0000<script>alert(1)</script>'
+];
+
+const MARKDOWN_PAYLOADS = [
+  '[click](javascript:alert(1))',
+  '[click](JaVaScRiPt:alert(1))',
+  '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[click](https://example.com/"onmouseover="alert(1))',
+  '`</code><script>alert(1)</script>`',
+  '**<img src=x onerror=alert(1)>**',
+  '# <svg onload=alert(1)>',
+  '| <b onclick=alert(1)>h</b> |\n| --- |\n| <script>alert(1)</script> |',
+  '```html\n</code></pre><script>alert(1)</script>\n```',
+  '- <img src=x onerror=alert(1)>\n  continued <script>alert(1)</script>'
+];
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'strong', 'em', 'small', 'pre', 'code', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+  'div', 'span', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'button'
+]);
+
+// Every tag a browser would create from the HTML must be allowlisted, with no event handlers,
+// inline styles or non-http(s) links
+function expectSafe(html) {
+  for (const [, tag, attributes] of html.matchAll(/<\/?([^\s/>!]+)([^>]*)>/g)) {
+    expect(ALLOWED_TAGS.has(tag)).toBe(true);
+    for (const [, name, value] of attributes.matchAll(/\s([^\s=]+)(?:="([^"]*)")?/g)) {
+      expect(name).not.toMatch(/^on|^style$|^src$/i);
+      if (name === 'href') {
+        expect(value).toMatch(/^https?:\/\//i);
+      }
+    }
+  }
+  expect(html).not.toMatch(/<!--|<script|<img|<svg|<iframe/i);
+}
+
+// The same path the browser takes: server result -> envelope -> JSON -> renderer -> innerHTML
+function renderResult(result, options) {
+  const envelope = JSON.parse(JSON.stringify(ChatResponse.from(result, { source: 'dynatrace-mock' }).toJSON()));
+  return new MessageRenderer(options).render(envelope);
+}
+
+describe('MessageRenderer with hostile content', () => {
+  const renderer = new MessageRenderer({ environmentUrl: 'https://abc123.live.dynatrace.com' });
+
+  test.each([...PAYLOADS, ...MARKDOWN_PAYLOADS])('plain Markdown: %s', (payload) => {
+    expectSafe(renderer.render(payload));
+  });
+
+  test.each(PAYLOADS)('problem cards: %s', (payload) => {
+    const html = renderResult({
+      type: 'problems',
+      message: `🚨 **Dynatrace Problems** (1 found)\n\n1. ${payload}`,
+      problems: [{
+        problemId: payload,
+        displayId: payload,
+        title: payload,
+        severityLevel: payload,
+        status: payload,
+        startTime: Date.now(),
+        managementZones: [{ name: payload }],
+        affectedEntities: []
+      }]
+    }, { environmentUrl: 'https://abc123.live.dynatrace.com' });
+
+    expectSafe(html);
+    expect(html).toContain('class="problem-card');
+  });
+
+  test.each(PAYLOADS)('DQL records: %s', (payload) => {
+    const html = renderResult({
+      type: 'dql',
+      message: `📊 **DQL Results** (1 records)\n\n**Query:** \`fetch logs\`\n\n| content |\n| --- |\n| ${payload} |`,
+      executedQuery: 'fetch logs',
+      fields: [{ name: 'content' }, { name: payload }],
+      records: [{ content: payload, [payload]: { nested: payload } }]
+    });
+
+    expectSafe(html);
+    expect(html).toContain('class="data-table sortable"');
+  });
+
+  test.each(PAYLOADS)('log lines, AI analysis and suggestions: %s', (payload) => {
+    const html = renderResult({
+      apiResults: {
+        type: 'logs',
+        message: `📜 **Logs**\n\n- **3×** \`${payload}\`\n  ${payload}`,
+        dqlSuggestions: [`fetch logs | filter contains(content, "${payload}")`],
+        nextSteps: [payload]
+      },
+      phi3Analysis: { message: payload },
+      suggestions: [payload]
+    });
+
+    expectSafe(html);
+  });
+
+  test('suggestion and action buttons keep their text as data', () => {
+    const html = renderResult({ type: 'text', message: 'ok', suggestions: ['"><script>alert(1)</script>'] });
+
+    expectSafe(html);
+    expect(html).toContain('data-message="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+  });
+
+  test('links are limited to http(s) and open without access to the page', () => {
+    const html = renderer.render('[docs](https://docs.dynatrace.com) [bad](javascript:alert(1))');
+
+    expect(html).toContain('<a href="https://docs.dynatrace.com" target="_blank" rel="noopener noreferrer">docs</a>');
+    expect(html).toContain('[bad](javascript:alert(1))');
+  });
+
+  test('no Dynatrace link for a non-https environment URL', () => {
+    const html = renderResult({
+      type: 'problems',
+      message: 'Problems',
+      problems: [{ problemId: 'P-1', displayId: 'P-1', title: 't', severityLevel: 'ERROR', status: 'OPEN', startTime: 0 }]
+    }, { environmentUrl: 'javascript:alert(1)//' });
+
+    expectSafe(html);
+    expect(html).not.toContain('Open in Dynatrace');
+  });
+});
+
+describe('sanitizeHtml', () => {
+  test('escapes tags that are not allowlisted', () => {
+    expect(sanitizeHtml('<p>ok</p><script>alert(1)</script>'))
+      .toBe('<p>ok</p>&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  test('drops attributes that are not allowlisted', () => {
+    expect(sanitizeHtml('<div class="card" style="x" onclick="alert(1)">x</div>')).toBe('<div class="card">x</div>');
+  });
+
+  test('drops unsafe hrefs and forces target and rel on links', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)" target="_self" rel="opener">x</a>'))
+      .toBe('<a target="_blank" rel="noopener noreferrer">x</a>');
+    expect(sanitizeHtml('<a href="https://example.com">x</a>'))
+      .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  test('only known button actions survive', () => {
+    expect(sanitizeHtml('<button data-action="eval" data-message="x">b</button>')).toBe('<button data-message="x">b</button>');
+  });
+
+  test('malformed markup is escaped as text', () => {
+    expect(sanitizeHtml('<a href=javascript:alert(1)>x</a>')).toBe('&lt;a href=javascript:alert(1)&gt;x</a>');
+    expect(sanitizeHtml('<img/src=x/onerror=alert(1)>')).toBe('&lt;img/src=x/onerror=alert(1)&gt;');
+    expect(sanitizeHtml('<P onclick="x">')).toBe('&lt;P onclick="x"&gt;');
+  });
+
+  test('keeps escaped entities as they are', () => {
+    expect(sanitizeHtml('<p>&lt;b&gt; &amp; &quot; & </p>')).toBe('<p>&lt;b&gt; &amp; &quot; &amp; </p>');
+  });
+});
@@ -0,0 +1,173 @@
+import { QueryCache } from '../src/integrations/query-cache.js';
+import { BACKEND_METHODS } from '../src/integrations/backend-registry.js';
+import { RedisMiddleware } from '../src/server/redis-middleware.js';
+
+// Every backend method answers with the arguments it got and counts its calls
+function countingBackend() {
+  const backend = { calls: 0 };
+  for (const method of BACKEND_METHODS) {
+    backend[method] = async (...args) => {
+      backend.calls++;
+      return { method, args };
+    };
+  }
+  return backend;
+}
+
+describe('QueryCache', () => {
+  let redis;
+  let cache;
+
+  beforeEach(() => {
+    redis = new RedisMiddleware({ enabled: false });
+    cache = new QueryCache({ redis, scope: 'test', pollInterval: 10 });
+  });
+
+  const live = (value) => ({ ...value, realData: true });
+
+  test('the key is the operation and its normalized parameters', () => {
+    expect(cache.key('chat', 'listProblems', { status: 'OPEN', severity: ['ERROR', 'AVAILABILITY'], from: 'now-60m' }))
+      .toBe(cache.key('chat', 'listProblems', { from: 'now-1h', severity: ['AVAILABILITY', 'ERROR'], status: ' OPEN ', to: '' }));
+    expect(cache.key('chat', 'executeDQL', { query: 'fetch logs\n| limit 10' }))
+      .toBe(cache.key('chat', 'executeDQL', { query: 'fetch logs | limit 10' }));
+    expect(cache.key('chat', 'listProblems', { status: 'OPEN' })).not.toBe(cache.key('tool', 'listProblems', { status: 'OPEN' }));
+  });
+
+  test('entries are stored for the TTL of their operation', async () => {
+    await cache.remember('chat', 'listProblems', {}, async () => live({ problems: [] }));
+    await cache.remember('chat', 'searchEntities', {}, async () => live({ entities: [] }));
+
+    expect(await redis.memory.ttl(cache.key('chat', 'listProblems', {}))).toBe(180);
+    expect(await redis.memory.ttl(cache.key('chat', 'searchEntities', {}))).toBe(1800);
+  });
+
+  test('a result built from cached data only lives out the rest of its TTL', async () => {
+    const fetchedAt = new Date(Date.now() - 100000).toISOString();
+    const first = await cache.remember('chat', 'listProblems', {}, async () => live({ timestamp: fetchedAt }), {
+      fetchedAt: (result) => result.timestamp
+    });
+
+    expect(first.cachedAt).toBe(fetchedAt);
+    expect(await redis.memory.ttl(cache.key('chat', 'listProblems', {}))).toBe(80);
+
+    // Data older than the whole TTL is not cached at all
+    await cache.remember('chat', 'queryMetrics', {}, async () => live({ timestamp: fetchedAt }), {
+      fetchedAt: (result) => result.timestamp
+    });
+    expect(await redis.memory.ttl(cache.key('chat', 'queryMetrics', {}))).toBe(-2);
+  });
+
+  test('operations with a TTL of 0 and results that are not live are never stored', async () => {
+    let runs = 0;
+    const topology = async () => { runs++; return live({ health: {} }); };
+
+    await cache.remember('chat', 'getTopology', { name: 'checkout' }, topology);
+    const again = await cache.remember('chat', 'getTopology', { name: 'checkout' }, topology);
+    expect(again.cache).toBe('miss');
+    expect(runs).toBe(2);
+
+    await cache.remember('chat', 'listProblems', {}, async () => ({ stale: true, realData: false }));
+    expect(await cache.get('chat', 'listProblems', {})).toBeNull();
+  });
+
+  test('a hit returns the value with the time it was fetched', async () => {
+    const first = await cache.remember('chat', 'listProblems', {}, async () => live({ problems: ['P-1'] }));
+    const second = await cache.remember('chat', 'listProblems', {}, async () => live({ problems: ['P-2'] }));
+
+    expect(second).toEqual({ value: first.value, cache: 'hit', cachedAt: first.cachedAt });
+  });
+
+  test('invalidating a tag drops the entries filed under it only', async () => {
+    await cache.remember('chat', 'listProblems', {}, async () => live({ problems: [] }));
+    await cache.remember('chat', 'getProblemDetails', { problemId: 'P-1' }, async () => live({ problem: {} }));
+    await cache.remember('chat', 'getEntityDetails', { entityId: 'SERVICE-1' }, async () => live({ entity: {} }));
+
+    expect(await cache.invalidate(['problems'])).toBe(2);
+
+    expect(await cache.get('chat', 'listProblems', {})).toBeNull();
+    expect(await cache.get('chat', 'getProblemDetails', { problemId: 'P-1' })).toBeNull();
+    expect(await cache.get('chat', 'getEntityDetails', { entityId: 'SERVICE-1' })).not.toBeNull();
+  });
+
+  test('concurrent identical requests share one call', async () => {
+    let runs = 0;
+    const slow = () => new Promise(resolve => setTimeout(() => resolve(live({ run: ++runs })), 20));
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.remember('chat', 'listProblems', { status: 'OPEN' }, slow)));
+
+    expect(runs).toBe(1);
+    expect(results.map(result => result.cache).sort()).toEqual(['miss', 'shared', 'shared']);
+    expect(new Set(results.map(result => result.value.run))).toEqual(new Set([1]));
+  });
+
+  test('a waiter runs the call itself when the shared one fails', async () => {
+    let runs = 0;
+    const failsFirst = () => new Promise((resolve, reject) => setTimeout(() => {
+      runs++;
+      return runs === 1 ? reject(new Error('out of quota')) : resolve(live({ run: runs }));
+    }, 10));
+
+    const [first, second] = await Promise.allSettled([
+      cache.remember('chat', 'listProblems', {}, failsFirst),
+      cache.remember('chat', 'listProblems', {}, failsFirst)
+    ]);
+
+    expect(first.status).toBe('rejected');
+    expect(second.value).toMatchObject({ cache: 'miss', value: { run: 2 } });
+  });
+
+  test('while another instance holds the lock, its result is awaited instead of fetched again', async () => {
+    const key = cache.key('chat', 'listProblems', {});
+    let locked = true;
+    redis.acquireLock = async () => null;
+    redis.isLocked = async () => locked;
+    setTimeout(async () => {
+      await redis.set(key, { value: live({ from: 'other instance' }), cachedAt: new Date().toISOString() }, 180);
+      locked = false;
+    }, 30);
+
+    let runs = 0;
+    const result = await cache.remember('chat', 'listProblems', {}, async () => { runs++; return live({}); });
+
+    expect(runs).toBe(0);
+    expect(result).toMatchObject({ cache: 'shared', value: { from: 'other instance' } });
+  });
+});
+
+describe('QueryCache quota charges', () => {
+  let cache;
+  let backend;
+  let quota;
+
+  beforeEach(() => {
+    cache = new QueryCache({ redis: new RedisMiddleware({ enabled: false }), scope: 'test' });
+    backend = cache.cacheBackend(countingBackend());
+    quota = { consumed: 0, consume: async () => { quota.consumed++; } };
+  });
+
+  test('the first miss charges the quota once for every call made', async () => {
+    await QueryCache.charge(quota, () => Promise.all([
+      backend.listProblems({ status: 'OPEN' }),
+      backend.searchEntities({ name: 'checkout' })
+    ]));
+
+    expect(backend.calls).toBe(2);
+    expect(quota.consumed).toBe(1);
+  });
+
+  test('answers served from the cache cost nothing', async () => {
+    await backend.listProblems({ status: 'OPEN' });
+
+    await QueryCache.charge(quota, () => backend.listProblems({ status: 'OPEN' }));
+
+    expect(backend.calls).toBe(1);
+    expect(quota.consumed).toBe(0);
+  });
+
+  test('a caller out of quota gets the error and nothing is fetched', async () => {
+    quota.consume = async () => { throw Object.assign(new Error('Rate limit exceeded'), { status: 429, rateLimited: true }); };
+
+    await expect(QueryCache.charge(quota, () => backend.listProblems({}))).rejects.toMatchObject({ rateLimited: true });
+    expect(backend.calls).toBe(0);
+  });
+});
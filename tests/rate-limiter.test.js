@@ -0,0 +1,63 @@
+import { RateLimiter, RateLimitError } from '../src/server/rate-limiter.js';
+import { RedisMiddleware } from '../src/server/redis-middleware.js';
+
+const alice = { userId: 'user:alice', sessionId: 's1' };
+
+describe('RateLimiter', () => {
+  test('parses scope:count/period lists and rejects anything else', () => {
+    expect(RateLimiter.parseLimits('session:20/min, global:2/sec')).toEqual({
+      session: { capacity: 20, refillPerMs: 20 / 60000 },
+      global: { capacity: 2, refillPerMs: 2 / 1000 }
+    });
+    expect(() => RateLimiter.parseLimits('user:60/day')).toThrow(/Invalid rate limit "user:60\/day"/);
+  });
+
+  test('a bucket runs dry after its capacity and says when to retry', async () => {
+    const limiter = new RateLimiter({ limits: { chat: 'user:2/min' } });
+
+    await limiter.consume('chat', alice);
+    await limiter.consume('chat', alice);
+    const error = await limiter.consume('chat', alice).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ status: 429, rateLimited: true, budget: 'chat', scope: 'user', retryAfter: 30 });
+    await expect(limiter.consume('chat', { userId: 'user:bob' })).resolves.toBeUndefined();
+  });
+
+  test('tokens are taken from every bucket or from none', async () => {
+    const limiter = new RateLimiter({ limits: { chat: 'session:1/min,user:5/min' } });
+
+    await limiter.consume('chat', alice);
+    await expect(limiter.consume('chat', alice)).rejects.toMatchObject({ scope: 'session' });
+
+    const { buckets } = await limiter.take('chat', alice, 0);
+    expect(buckets.map(({ scope, remaining }) => [scope, remaining])).toEqual([['session', 0], ['user', 4]]);
+  });
+
+  test('buckets refill over time', async () => {
+    const limiter = new RateLimiter({ limits: { chat: 'user:1/min' } });
+    await limiter.consume('chat', alice);
+    await expect(limiter.consume('chat', alice)).rejects.toBeInstanceOf(RateLimitError);
+
+    limiter.memory.get('ratelimit:chat:user:user:alice').updated -= 60000;
+
+    await expect(limiter.consume('chat', alice)).resolves.toBeUndefined();
+  });
+
+  test('falls back to in-process buckets while Redis is unavailable', async () => {
+    const redis = new RedisMiddleware({ enabled: false });
+    const limiter = new RateLimiter({ limits: { dynatrace: 'user:1/min' }, redis });
+
+    expect(await redis.takeTokens(limiter.buckets('dynatrace', alice))).toBeNull();
+    await limiter.consume('dynatrace', alice);
+    await expect(limiter.consume('dynatrace', alice)).rejects.toMatchObject({ budget: 'dynatrace' });
+    expect(limiter.memory.has('ratelimit:dynatrace:user:user:alice')).toBe(true);
+  });
+
+  test('a disabled limiter never refuses', async () => {
+    const limiter = new RateLimiter({ enabled: false, limits: { chat: 'user:1/min' } });
+
+    await limiter.consume('chat', alice);
+    await expect(limiter.consume('chat', alice)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,86 @@
+import { RedisMiddleware } from '../src/server/redis-middleware.js';
+
+// Records what reconcile sends to Redis
+function recordingClient() {
+  const client = { commands: [] };
+  client.del = async (keys) => { client.commands.push(['del', keys]); return keys.length; };
+  client.multi = () => {
+    const multi = { exec: async () => [] };
+    for (const command of ['set', 'eval', 'rPush', 'sAdd', 'expire']) {
+      multi[command] = (...args) => {
+        client.commands.push([command, ...args]);
+        return multi;
+      };
+    }
+    return multi;
+  };
+  return client;
+}
+
+describe('RedisMiddleware reconcile after an outage', () => {
+  let redis;
+  let client;
+
+  beforeEach(() => {
+    redis = new RedisMiddleware({ enabled: false });
+    client = recordingClient();
+    redis.client = client; // configured, but unreachable: writes go to memory
+  });
+
+  const sent = (command, key) => client.commands.find(([name, first, options]) =>
+    name === command && (first === key || options?.keys?.[0] === key));
+
+  test('deletions are replayed before the entries', async () => {
+    await redis.del('auth:session:revoked');
+    await redis.setSession('s1', { owner: 'user:alice' });
+
+    redis.connected = true;
+    await redis.reconcile();
+
+    expect(client.commands[0]).toEqual(['del', ['auth:session:revoked']]);
+  });
+
+  test('strings changed during the outage replace what Redis holds, unless owned by someone else', async () => {
+    await redis.setSession('s1', { owner: 'user:alice', messageCount: 3 });
+
+    redis.connected = true;
+    await redis.reconcile();
+
+    const [, script, { keys, arguments: args }] = sent('eval', 'session:s1');
+    expect(script).toContain('existing.owner ~= incoming.owner');
+    expect(keys).toEqual(['session:s1']);
+    expect(JSON.parse(args[0])).toEqual({ owner: 'user:alice', messageCount: 3 });
+    expect(Number(args[1])).toBeGreaterThan(86000000);
+    expect(sent('set', 'session:s1')).toBeUndefined();
+  });
+
+  test('cache fills only go where Redis has nothing', async () => {
+    await redis.setWithTags('dt:chat:mock:listProblems:abc', { value: [], cachedAt: 'now' }, 180, ['problems']);
+
+    redis.connected = true;
+    await redis.reconcile();
+
+    const [, , value, options] = sent('set', 'dt:chat:mock:listProblems:abc');
+    expect(JSON.parse(value)).toEqual({ value: [], cachedAt: 'now' });
+    expect(options).toMatchObject({ NX: true });
+    expect(sent('eval', 'dt:chat:mock:listProblems:abc')).toBeUndefined();
+    expect(sent('sAdd', 'tag:problems')).toEqual(['sAdd', 'tag:problems', ['dt:chat:mock:listProblems:abc']]);
+  });
+
+  test('history lists are appended and the memory store is emptied', async () => {
+    await redis.appendSessionHistory('s1', [{ role: 'user', content: 'hi' }]);
+
+    redis.connected = true;
+    await redis.reconcile();
+
+    expect(sent('rPush', 'session:s1:history')).toEqual(['rPush', 'session:s1:history', [JSON.stringify({ role: 'user', content: 'hi' })]]);
+    expect(redis.memory.size).toBe(0);
+  });
+
+  test('without a Redis client configured nothing is marked for replay', async () => {
+    redis.client = null;
+    await redis.setSession('s1', { owner: 'user:alice' });
+
+    expect(redis.memory.entries.get('session:s1').changed).toBeUndefined();
+  });
+});
@@ -0,0 +1,42 @@
+import { SessionManager } from '../src/server/session-manager.js';
+import { RedisMiddleware } from '../src/server/redis-middleware.js';
+
+const alice = { id: 'user:alice' };
+const bob = { id: 'user:bob' };
+
+describe('SessionManager ownership', () => {
+  let redis;
+  let sessions;
+
+  beforeEach(() => {
+    redis = new RedisMiddleware({ enabled: false });
+    sessions = new SessionManager(redis);
+  });
+
+  test('the first caller creates the session and owns it', async () => {
+    const session = await sessions.getOwnedSession('s1', alice);
+
+    expect(session.owner).toBe('user:alice');
+    expect(await sessions.getOwnedSession('s1', alice)).toMatchObject({ id: 's1', owner: 'user:alice' });
+  });
+
+  test("another user's session is refused", async () => {
+    await sessions.getOwnedSession('s1', alice);
+
+    await expect(sessions.getOwnedSession('s1', bob)).rejects.toMatchObject({
+      status: 403,
+      message: 'Session belongs to another user'
+    });
+  });
+
+  test('a session without an owner is refused rather than claimed', async () => {
+    await sessions.createSession('legacy');
+    await redis.appendSessionHistory('legacy', [{ role: 'user', content: 'my secret question' }]);
+
+    await expect(sessions.getOwnedSession('legacy', bob)).rejects.toMatchObject({
+      status: 403,
+      message: 'Session has no owner - start a new session'
+    });
+    expect((await redis.getSession('legacy')).owner).toBeUndefined();
+  });
+});